@@ -6,7 +6,14 @@ import morgan from "morgan";
 
 // Import routes
 import recipesRouter from "./routes/recipes.js";
+import reviewsRouter from "./routes/reviews.js";
 import savedRecipesRouter from "./routes/savedRecipes.js";
+import collectionsRouter from "./routes/collections.js";
+import userSettingsRouter from "./routes/userSettings.js";
+import shoppingListRouter from "./routes/shoppingList.js";
+import mealPlansRouter from "./routes/mealPlans.js";
+import pantryRouter from "./routes/pantry.js";
+import intakeRouter from "./routes/intake.js";
 
 const app = express();
 
@@ -82,8 +89,15 @@ app.get("/health", (req, res) => {
 });
 
 // API routes
+app.use("/api/recipes/:id/reviews", reviewsRouter);
 app.use("/api/recipes", recipesRouter);
+app.use("/api/users/me/saved/collections", collectionsRouter);
 app.use("/api/users/me/saved", savedRecipesRouter);
+app.use("/api/users/me/settings", userSettingsRouter);
+app.use("/api/users/me/shopping-list", shoppingListRouter);
+app.use("/api/users/me/meal-plans", mealPlansRouter);
+app.use("/api/users/me/pantry", pantryRouter);
+app.use("/api/users/me/intake", intakeRouter);
 
 // Root route
 app.get("/", (req, res) => {
@@ -95,6 +109,12 @@ app.get("/", (req, res) => {
       health: "/health",
       recipes: "/api/recipes",
       savedRecipes: "/api/users/me/saved",
+      collections: "/api/users/me/saved/collections",
+      settings: "/api/users/me/settings",
+      shoppingList: "/api/users/me/shopping-list",
+      mealPlans: "/api/users/me/meal-plans",
+      pantry: "/api/users/me/pantry",
+      intake: "/api/users/me/intake",
     },
     timestamp: new Date(),
   });
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { MEAL_TYPES } from '../validators/schemas.js';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Intake Entry Schema
+ * Servings of a recipe a user ate on a day (UTC date)
+ */
+const intakeEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+      description: 'Firebase UID of the user who logged the meal',
+    },
+    date: {
+      type: Date,
+      required: [true, 'Date is required'],
+    },
+    recipeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe',
+      required: [true, 'Recipe ID is required'],
+    },
+    servings: {
+      type: Number,
+      default: 1,
+      min: [0.25, 'Servings must be at least 0.25'],
+      max: [20, 'Servings must not exceed 20'],
+    },
+    mealType: {
+      type: String,
+      enum: {
+        values: MEAL_TYPES,
+        message: `Meal type must be one of ${MEAL_TYPES.join(', ')}`,
+      },
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Notes must not exceed 500 characters'],
+    },
+    // Per-serving calories and nutrition of the recipe when the meal was
+    // logged, so later recipe edits leave past intake unchanged. Missing on
+    // entries logged before snapshots were stored.
+    nutritionPerServing: {
+      calories: Number,
+      protein: Number,
+      carbs: Number,
+      fat: Number,
+      fiber: Number,
+      sodium: Number,
+      sugar: Number,
+      saturatedFat: Number,
+      cholesterol: Number,
+    },
+  },
+  { timestamps: true, toJSON: toClient, toObject: toClient }
+);
+
+// Index for daily and weekly lookups
+intakeEntrySchema.index({ userId: 1, date: 1 });
+
+const IntakeEntry = mongoose.model('IntakeEntry', intakeEntrySchema);
+
+export default IntakeEntry;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { MEAL_TYPES } from '../validators/schemas.js';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Meal Plan Entry Schema
+ * A recipe assigned to one day and meal slot
+ */
+const mealPlanEntrySchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: [true, 'Date is required'],
+    },
+    mealType: {
+      type: String,
+      required: [true, 'Meal type is required'],
+      enum: {
+        values: MEAL_TYPES,
+        message: `Meal type must be one of ${MEAL_TYPES.join(', ')}`,
+      },
+    },
+    recipeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe',
+      required: [true, 'Recipe ID is required'],
+    },
+    // Portions eaten, used for nutrition totals
+    servings: {
+      type: Number,
+      default: 1,
+      min: [0.25, 'Servings must be at least 0.25'],
+      max: [20, 'Servings must not exceed 20'],
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Notes must not exceed 500 characters'],
+    },
+  },
+  { toJSON: toClient, toObject: toClient }
+);
+
+/**
+ * Meal Plan Schema
+ * One plan per user per week (weeks start on Monday, UTC)
+ */
+const mealPlanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+      description: 'Firebase UID of plan owner',
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name must not exceed 100 characters'],
+    },
+    weekStart: {
+      type: Date,
+      required: [true, 'Week start is required'],
+    },
+    entries: {
+      type: [mealPlanEntrySchema],
+      default: [],
+    },
+  },
+  { timestamps: true, toJSON: toClient, toObject: toClient }
+);
+
+// A user has at most one plan per week
+mealPlanSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+
+const MealPlan = mongoose.model('MealPlan', mealPlanSchema);
+
+export default MealPlan;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { normalizeIngredientName, parseAmount } from '../utils/ingredients.js';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Pantry Item Schema
+ * An ingredient a user has at home, with an optional expiry date
+ */
+const pantryItemSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+      description: 'Firebase UID of pantry owner',
+    },
+    name: {
+      type: String,
+      required: [true, 'Item name is required'],
+      trim: true,
+      maxlength: [200, 'Item name must not exceed 200 characters'],
+    },
+    amount: {
+      type: String,
+      default: '',
+    },
+    // Derived on validate (see utils/ingredients.js)
+    normalizedName: {
+      type: String,
+    },
+    quantity: {
+      type: Number,
+      default: null,
+    },
+    unit: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true, toJSON: toClient, toObject: toClient }
+);
+
+// Normalize the name for matching and parse the amount
+pantryItemSchema.pre('validate', function (next) {
+  this.normalizedName = normalizeIngredientName(this.name);
+  Object.assign(this, parseAmount(this.amount));
+  next();
+});
+
+// One entry per ingredient per user
+pantryItemSchema.index({ userId: 1, normalizedName: 1 }, { unique: true });
+
+// Index for listing by expiry
+pantryItemSchema.index({ userId: 1, expiresAt: 1 });
+
+const PantryItem = mongoose.model('PantryItem', pantryItemSchema);
+
+export default PantryItem;
@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import { deriveRecipeLabels } from "../services/recipeLabels.js";
+import { parseDurationMinutes } from "../utils/duration.js";
+import { parseNutritionValues } from "../utils/nutrition.js";
+import { parseIngredient } from "../utils/ingredients.js";
+import { RECIPE_VISIBILITIES } from "../validators/schemas.js";
 
 /**
  * Recipe Schema
@@ -36,6 +41,19 @@ const recipeSchema = new mongoose.Schema(
       type: String,
       required: [true, "Cook time is required"],
     },
+    // Normalized minutes parsed from prepTime/cookTime on save
+    prepTimeMinutes: {
+      type: Number,
+      default: null,
+    },
+    cookTimeMinutes: {
+      type: Number,
+      default: null,
+    },
+    totalTimeMinutes: {
+      type: Number,
+      default: null,
+    },
     servings: {
       type: Number,
       required: [true, "Number of servings is required"],
@@ -88,6 +106,19 @@ const recipeSchema = new mongoose.Schema(
       saturatedFat: String,
       cholesterol: String,
     },
+    // Numeric nutrition parsed from the display strings on save
+    // (grams; sodium and cholesterol in milligrams)
+    nutritionValues: {
+      protein: Number,
+      carbs: Number,
+      fat: Number,
+      fiber: Number,
+      sodium: Number,
+      sugar: Number,
+      saturatedFat: Number,
+      cholesterol: Number,
+      proteinPerCalorie: Number,
+    },
     ingredients: [
       {
         amount: {
@@ -99,6 +130,11 @@ const recipeSchema = new mongoose.Schema(
           required: true,
         },
         id: String,
+        // Parsed from amount/item on save (see utils/ingredients.js)
+        quantity: Number,
+        quantityMax: Number,
+        unit: String,
+        name: String,
       },
     ],
     dressingIngredients: [
@@ -112,6 +148,11 @@ const recipeSchema = new mongoose.Schema(
           required: true,
         },
         id: String,
+        // Parsed from amount/item on save (see utils/ingredients.js)
+        quantity: Number,
+        quantityMax: Number,
+        unit: String,
+        name: String,
       },
     ],
     steps: [
@@ -155,9 +196,57 @@ const recipeSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Private recipes are only readable by their owner (or through a share
+    // link); unlisted ones by anyone with the id; public ones also appear in
+    // search
+    visibility: {
+      type: String,
+      enum: {
+        values: RECIPE_VISIBILITIES,
+        message: `Visibility must be one of ${RECIPE_VISIBILITIES.join(", ")}`,
+      },
+      default: "private",
+    },
+    // Recipe this one was forked (remixed) from
+    forkedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recipe",
+      default: null,
+      index: true,
+    },
+    // Number of direct forks, kept in step on fork and delete
+    forkCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Review aggregates, updated incrementally (see services/reviews.js)
+    ratingTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    averageRating: {
+      type: Number,
+      default: null,
+    },
     generationParams: {
       type: mongoose.Schema.Types.Mixed,
     },
+    // Derived from ingredients on save (see services/recipeLabels.js)
+    allergens: {
+      type: [String],
+      default: [],
+    },
+    dietLabels: {
+      type: [String],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -182,12 +271,44 @@ const recipeSchema = new mongoose.Schema(
   }
 );
 
+// Keep derived fields in sync with the ingredients on every save
+recipeSchema.pre("save", function (next) {
+  const { allergens, dietLabels } = deriveRecipeLabels(this);
+  this.allergens = allergens;
+  this.dietLabels = dietLabels;
+
+  this.prepTimeMinutes = parseDurationMinutes(this.prepTime);
+  this.cookTimeMinutes = parseDurationMinutes(this.cookTime);
+  this.totalTimeMinutes =
+    this.prepTimeMinutes === null && this.cookTimeMinutes === null
+      ? null
+      : (this.prepTimeMinutes || 0) + (this.cookTimeMinutes || 0);
+
+  this.nutritionValues = parseNutritionValues(this.nutrition, this.calories);
+
+  for (const entry of [...this.ingredients, ...this.dressingIngredients]) {
+    Object.assign(entry, parseIngredient(entry));
+  }
+
+  next();
+});
+
 // Indexes for common queries
 recipeSchema.index({ userId: 1, createdAt: -1 });
+recipeSchema.index({ visibility: 1 });
+recipeSchema.index({ averageRating: -1 });
 recipeSchema.index({ tags: 1 });
 recipeSchema.index({ cuisine: 1 });
 recipeSchema.index({ difficulty: 1 });
 recipeSchema.index({ calories: 1 });
+recipeSchema.index({ prepTimeMinutes: 1 });
+recipeSchema.index({ cookTimeMinutes: 1 });
+recipeSchema.index({ totalTimeMinutes: 1 });
+recipeSchema.index({ "nutritionValues.protein": 1 });
+recipeSchema.index({ "nutritionValues.proteinPerCalorie": 1 });
+recipeSchema.index({ "ingredients.name": 1 });
+recipeSchema.index({ allergens: 1 });
+recipeSchema.index({ dietLabels: 1 });
 recipeSchema.index({ title: "text", description: "text" });
 
 const Recipe = mongoose.model("Recipe", recipeSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Recipe Collection Schema
+ * A named, ordered group of a user's saved recipes. A saved recipe can be in
+ * several collections; collections only reference recipes, so deleting one
+ * leaves the recipes saved.
+ */
+const recipeCollectionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+      description: 'Firebase UID of collection owner',
+    },
+    name: {
+      type: String,
+      required: [true, 'Collection name is required'],
+      trim: true,
+      maxlength: [100, 'Name must not exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description must not exceed 500 characters'],
+    },
+    // Recipes in display order
+    recipeIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Recipe' }],
+      default: [],
+    },
+    // Display order among the user's collections
+    position: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true, toJSON: toClient, toObject: toClient }
+);
+
+// Collection names are unique per user, ignoring case
+recipeCollectionSchema.index(
+  { userId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+// Index for listing in display order
+recipeCollectionSchema.index({ userId: 1, position: 1 });
+
+const RecipeCollection = mongoose.model(
+  'RecipeCollection',
+  recipeCollectionSchema
+);
+
+export default RecipeCollection;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Recipe Review Schema
+ * A user's public review of a recipe. Unlike SavedRecipe.rating, reviews
+ * count towards the recipe's averageRating and reviewCount.
+ */
+const recipeReviewSchema = new mongoose.Schema(
+  {
+    recipeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe',
+      required: [true, 'Recipe ID is required'],
+    },
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+      description: 'Firebase UID of the reviewer',
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be at least 1'],
+      max: [5, 'Rating must not exceed 5'],
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review must not exceed 2000 characters'],
+      default: '',
+    },
+    madeIt: {
+      type: Boolean,
+      default: false,
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Users who voted the review helpful; one vote each
+    helpfulVoters: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true, toJSON: toClient, toObject: toClient }
+);
+
+// One review per user per recipe
+recipeReviewSchema.index({ recipeId: 1, userId: 1 }, { unique: true });
+
+// Indexes for the review list sorts
+recipeReviewSchema.index({ recipeId: 1, createdAt: -1 });
+recipeReviewSchema.index({ recipeId: 1, helpfulCount: -1, createdAt: -1 });
+
+const RecipeReview = mongoose.model('RecipeReview', recipeReviewSchema);
+
+export default RecipeReview;
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Recipe Revision Schema
+ * A snapshot of a recipe's content after a change, numbered per recipe.
+ * Revision 1 is the recipe as it was before its first recorded update.
+ */
+const recipeRevisionSchema = new mongoose.Schema(
+  {
+    recipeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe',
+      required: [true, 'Recipe ID is required'],
+    },
+    revision: {
+      type: Number,
+      required: [true, 'Revision number is required'],
+      min: 1,
+    },
+    userId: {
+      type: String,
+      default: null,
+      description: 'Firebase UID of the user who made the change',
+    },
+    action: {
+      type: String,
+      enum: ['initial', 'update', 'revert'],
+      default: 'update',
+    },
+    // Revision restored by a revert
+    revertedFrom: {
+      type: Number,
+      default: null,
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    // Content fields (see services/recipeRevisions.js)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Set explicitly so the initial revision keeps the recipe's own time
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { toJSON: toClient, toObject: toClient }
+);
+
+// One document per revision number per recipe
+recipeRevisionSchema.index({ recipeId: 1, revision: -1 }, { unique: true });
+
+const RecipeRevision = mongoose.model('RecipeRevision', recipeRevisionSchema);
+
+export default RecipeRevision;
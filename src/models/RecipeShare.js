@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Recipe Share Schema
+ * A revocable link granting read access to a recipe regardless of its
+ * visibility. Revoking deletes the document.
+ */
+const recipeShareSchema = new mongoose.Schema(
+  {
+    recipeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe',
+      required: [true, 'Recipe ID is required'],
+      index: true,
+    },
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      description: 'Firebase UID of the recipe owner who created the link',
+    },
+    token: {
+      type: String,
+      required: [true, 'Token is required'],
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    accessCount: {
+      type: Number,
+      default: 0,
+    },
+    lastAccessedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true, toJSON: toClient, toObject: toClient }
+);
+
+const RecipeShare = mongoose.model('RecipeShare', recipeShareSchema);
+
+export default RecipeShare;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+/**
+ * Replace _id with a string id in serialized documents
+ */
+const toClient = {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+};
+
+/**
+ * Shopping List Item Schema
+ * Either aggregated from recipes or added manually by the user
+ */
+const shoppingListItemSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Item name is required'],
+      trim: true,
+      maxlength: [200, 'Item name must not exceed 200 characters'],
+    },
+    amount: {
+      type: String,
+      default: '',
+    },
+    quantity: {
+      type: Number,
+      default: null,
+    },
+    quantityMax: {
+      type: Number,
+      default: null,
+    },
+    unit: {
+      type: String,
+      default: null,
+    },
+    category: {
+      type: String,
+      default: 'Other',
+    },
+    checked: {
+      type: Boolean,
+      default: false,
+    },
+    source: {
+      type: String,
+      enum: ['recipe', 'manual'],
+      default: 'manual',
+    },
+    // Recipes that need this item
+    recipes: [
+      {
+        _id: false,
+        recipeId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Recipe',
+        },
+        title: String,
+      },
+    ],
+  },
+  { toJSON: toClient, toObject: toClient }
+);
+
+/**
+ * Shopping List Schema
+ * One persisted list per user, built from a set of recipes
+ */
+const shoppingListSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      unique: true,
+      index: true,
+      description: 'Firebase UID of list owner',
+    },
+    recipes: [
+      {
+        _id: false,
+        recipeId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Recipe',
+          required: true,
+        },
+        title: String,
+        servings: Number,
+      },
+    ],
+    items: {
+      type: [shoppingListItemSchema],
+      default: [],
+    },
+  },
+  { timestamps: true, toJSON: toClient, toObject: toClient }
+);
+
+const ShoppingList = mongoose.model('ShoppingList', shoppingListSchema);
+
+export default ShoppingList;
@@ -26,6 +26,40 @@ const userSettingsSchema = new mongoose.Schema(
     defaultNutritionalFocus: {
       type: String,
     },
+    // Daily intake targets; null when not set (sodium in milligrams,
+    // macros in grams)
+    dailyTargets: {
+      calories: {
+        type: Number,
+        min: [0, 'Calorie target cannot be negative'],
+        default: null,
+      },
+      protein: {
+        type: Number,
+        min: [0, 'Protein target cannot be negative'],
+        default: null,
+      },
+      carbs: {
+        type: Number,
+        min: [0, 'Carbs target cannot be negative'],
+        default: null,
+      },
+      fat: {
+        type: Number,
+        min: [0, 'Fat target cannot be negative'],
+        default: null,
+      },
+      fiber: {
+        type: Number,
+        min: [0, 'Fiber target cannot be negative'],
+        default: null,
+      },
+      sodium: {
+        type: Number,
+        min: [0, 'Sodium target cannot be negative'],
+        default: null,
+      },
+    },
     defaultCuisine: {
       type: [String],
       default: [],
@@ -92,6 +126,19 @@ const userSettingsSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Get a user's settings, creating the default document on first access
+ * @param {string} userId - Firebase UID
+ * @returns {Promise<mongoose.Document>}
+ */
+userSettingsSchema.statics.findOrCreate = function (userId) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
 const UserSettings = mongoose.model('UserSettings', userSettingsSchema);
 
 export default UserSettings;
@@ -1,5 +1,25 @@
 import Recipe from './Recipe.js';
 import SavedRecipe from './SavedRecipe.js';
 import UserSettings from './UserSettings.js';
+import ShoppingList from './ShoppingList.js';
+import MealPlan from './MealPlan.js';
+import PantryItem from './PantryItem.js';
+import IntakeEntry from './IntakeEntry.js';
+import RecipeCollection from './RecipeCollection.js';
+import RecipeShare from './RecipeShare.js';
+import RecipeRevision from './RecipeRevision.js';
+import RecipeReview from './RecipeReview.js';
 
-export { Recipe, SavedRecipe, UserSettings };
+export {
+  Recipe,
+  SavedRecipe,
+  UserSettings,
+  ShoppingList,
+  MealPlan,
+  PantryItem,
+  IntakeEntry,
+  RecipeCollection,
+  RecipeShare,
+  RecipeRevision,
+  RecipeReview,
+};
@@ -0,0 +1,470 @@
+import express from "express";
+import { RecipeCollection } from "../models/index.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import {
+  validate,
+  createCollectionSchema,
+  updateCollectionSchema,
+  addCollectionRecipeSchema,
+  reorderCollectionsSchema,
+  reorderCollectionRecipesSchema,
+} from "../validators/schemas.js";
+import {
+  assertSavedRecipes,
+  assertSameIds,
+  loadCoverImages,
+  formatCollection,
+  loadCollectionRecipes,
+} from "../services/collections.js";
+import { sendHttpError } from "../utils/errors.js";
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+/**
+ * Send the 409 for a collection name the user already uses
+ * @param {object} res
+ * @param {string} name
+ */
+const sendCollectionExists = (res, name) =>
+  res.status(409).json({
+    success: false,
+    error: {
+      code: "COLLECTION_EXISTS",
+      message: `A collection named "${name}" already exists`,
+    },
+    timestamp: new Date(),
+  });
+
+/**
+ * Find a collection owned by the user, sending 400/404 when it cannot be used
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} RecipeCollection document, or null after
+ *   responding
+ */
+const findUserCollection = async (req, res) => {
+  const { collectionId } = req.params;
+
+  // Validate collection ID format
+  if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_ID",
+        message: "Invalid collection ID format",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  const collection = await RecipeCollection.findOne({
+    _id: collectionId,
+    userId: req.user.uid,
+  });
+  if (!collection) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: "NOT_FOUND",
+        message: "Collection not found",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+/**
+ * Respond with a collection and its recipes in order
+ * @param {object} res
+ * @param {object} collection - RecipeCollection document
+ * @param {object} [options]
+ * @param {number} [options.status]
+ * @param {string} [options.message]
+ */
+const sendCollection = async (
+  res,
+  collection,
+  { status = 200, message } = {}
+) => {
+  const recipes = await loadCollectionRecipes(collection);
+  const coverImageUrl =
+    recipes.find((recipe) => recipe.imageUrl)?.imageUrl ?? null;
+
+  res.status(status).json({
+    success: true,
+    data: {
+      ...formatCollection(collection, coverImageUrl),
+      recipes,
+    },
+    ...(message && { message }),
+    timestamp: new Date(),
+  });
+};
+
+// ============================================================================
+// GET /api/users/me/saved/collections - List Collections (in display order)
+// ============================================================================
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    const collections = await RecipeCollection.find({ userId }).sort({
+      position: 1,
+      createdAt: 1,
+    });
+    const covers = await loadCoverImages(collections, userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        collections: collections.map((collection) =>
+          formatCollection(collection, covers.get(collection._id.toString()))
+        ),
+        totalCount: collections.length,
+      },
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch collections",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// POST /api/users/me/saved/collections - Create Collection
+// ============================================================================
+router.post(
+  "/",
+  authenticate,
+  validate(createCollectionSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { name, description } = req.body;
+      const recipeIds = [...new Set(req.body.recipeIds)];
+
+      await assertSavedRecipes(userId, recipeIds);
+
+      // New collections go last
+      const last = await RecipeCollection.findOne({ userId })
+        .sort({ position: -1 })
+        .select("position")
+        .lean();
+
+      const collection = await RecipeCollection.create({
+        userId,
+        name,
+        description,
+        recipeIds,
+        position: last ? last.position + 1 : 0,
+      });
+
+      await sendCollection(res, collection, {
+        status: 201,
+        message: "Collection created successfully",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      if (error.code === 11000) {
+        return sendCollectionExists(res, req.body.name);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CREATE_ERROR",
+          message: "Failed to create collection",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PUT /api/users/me/saved/collections/order - Reorder Collections
+// ============================================================================
+router.put(
+  "/order",
+  authenticate,
+  validate(reorderCollectionsSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { collectionIds } = req.body;
+
+      const collections = await RecipeCollection.find({ userId })
+        .select("_id")
+        .lean();
+      assertSameIds(
+        collections.map((collection) => collection._id),
+        collectionIds,
+        "collection"
+      );
+
+      if (collectionIds.length > 0) {
+        await RecipeCollection.bulkWrite(
+          collectionIds.map((collectionId, position) => ({
+            updateOne: {
+              filter: { _id: collectionId, userId },
+              update: { $set: { position } },
+            },
+          }))
+        );
+      }
+
+      res.json({
+        success: true,
+        data: { collectionIds },
+        message: "Collections reordered successfully",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to reorder collections",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/users/me/saved/collections/:collectionId - Get Collection Recipes
+// ============================================================================
+router.get("/:collectionId", authenticate, async (req, res) => {
+  try {
+    const collection = await findUserCollection(req, res);
+    if (!collection) return;
+
+    await sendCollection(res, collection);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch collection",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// PATCH /api/users/me/saved/collections/:collectionId - Rename / Describe
+// ============================================================================
+router.patch(
+  "/:collectionId",
+  authenticate,
+  validate(updateCollectionSchema),
+  async (req, res) => {
+    try {
+      const collection = await findUserCollection(req, res);
+      if (!collection) return;
+
+      const { name, description } = req.body;
+      if (name !== undefined) collection.name = name;
+      if (description !== undefined) collection.description = description;
+
+      await collection.save();
+
+      await sendCollection(res, collection, {
+        message: "Collection updated successfully",
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendCollectionExists(res, req.body.name);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to update collection",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/users/me/saved/collections/:collectionId - Delete Collection
+// (its recipes stay saved)
+// ============================================================================
+router.delete("/:collectionId", authenticate, async (req, res) => {
+  try {
+    const collection = await findUserCollection(req, res);
+    if (!collection) return;
+
+    await collection.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Collection deleted successfully",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to delete collection",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// POST /api/users/me/saved/collections/:collectionId/recipes - Add Recipe
+// ============================================================================
+router.post(
+  "/:collectionId/recipes",
+  authenticate,
+  validate(addCollectionRecipeSchema),
+  async (req, res) => {
+    try {
+      const collection = await findUserCollection(req, res);
+      if (!collection) return;
+
+      const { recipeId, position } = req.body;
+      await assertSavedRecipes(collection.userId, [recipeId]);
+
+      if (collection.recipeIds.some((id) => id.toString() === recipeId)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: "ALREADY_IN_COLLECTION",
+            message: "Recipe is already in this collection",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      collection.recipeIds.splice(
+        position ?? collection.recipeIds.length,
+        0,
+        recipeId
+      );
+      await collection.save();
+
+      await sendCollection(res, collection, {
+        status: 201,
+        message: "Recipe added to collection",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to add recipe to collection",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PUT /api/users/me/saved/collections/:collectionId/recipes/order - Reorder
+// ============================================================================
+router.put(
+  "/:collectionId/recipes/order",
+  authenticate,
+  validate(reorderCollectionRecipesSchema),
+  async (req, res) => {
+    try {
+      const collection = await findUserCollection(req, res);
+      if (!collection) return;
+
+      const { recipeIds } = req.body;
+      assertSameIds(collection.recipeIds, recipeIds, "recipe");
+
+      collection.recipeIds = recipeIds;
+      await collection.save();
+
+      await sendCollection(res, collection, {
+        message: "Collection reordered successfully",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to reorder collection",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/users/me/saved/collections/:collectionId/recipes/:recipeId
+// Remove Recipe from Collection (it stays saved)
+// ============================================================================
+router.delete(
+  "/:collectionId/recipes/:recipeId",
+  authenticate,
+  async (req, res) => {
+    try {
+      const collection = await findUserCollection(req, res);
+      if (!collection) return;
+
+      const { recipeId } = req.params;
+      const index = collection.recipeIds.findIndex(
+        (id) => id.toString() === recipeId
+      );
+      if (index === -1) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Recipe is not in this collection",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      collection.recipeIds.splice(index, 1);
+      await collection.save();
+
+      await sendCollection(res, collection, {
+        message: "Recipe removed from collection",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to remove recipe from collection",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+export default router;
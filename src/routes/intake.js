@@ -0,0 +1,373 @@
+import express from "express";
+import { IntakeEntry, UserSettings } from "../models/index.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import {
+  validate,
+  validateQuery,
+  logIntakeSchema,
+  updateIntakeSchema,
+  intakeListQuerySchema,
+  intakeSummaryQuerySchema,
+} from "../validators/schemas.js";
+import {
+  assertRecipesExist,
+  loadRecipesById,
+  recipeNutrition,
+  resolveWeekStart,
+} from "../services/mealPlans.js";
+import {
+  resolveDay,
+  formatIntakeEntry,
+  summarizeDay,
+  summarizeWeek,
+} from "../services/intake.js";
+import { sendHttpError } from "../utils/errors.js";
+import { addDays } from "../utils/dates.js";
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+/**
+ * Load the recipes referenced by log entries
+ * @param {object[]} entries - IntakeEntry documents
+ * @param {string} userId
+ * @returns {Promise<Map<string, object>>}
+ */
+const loadEntryRecipes = (entries, userId) =>
+  loadRecipesById(
+    entries.map((entry) => entry.recipeId),
+    userId
+  );
+
+/**
+ * Snapshot the per-serving nutrition of a recipe the user is logging
+ * @param {string} recipeId
+ * @param {string} userId
+ * @returns {Promise<object>} From recipeNutrition
+ * @throws {Error} INVALID_ID, RECIPE_NOT_FOUND
+ */
+const snapshotRecipeNutrition = async (recipeId, userId) => {
+  await assertRecipesExist([recipeId], userId);
+  const recipesById = await loadRecipesById([recipeId], userId);
+  return recipeNutrition(recipesById.get(String(recipeId)));
+};
+
+/**
+ * Read the user's daily targets without creating settings
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+const loadDailyTargets = async (userId) => {
+  const settings = await UserSettings.findOne({ userId })
+    .select("dailyTargets")
+    .lean();
+  return settings?.dailyTargets || null;
+};
+
+/**
+ * Find a log entry owned by the user, sending 400/404 when it cannot be used
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} IntakeEntry document, or null after responding
+ */
+const findUserEntry = async (req, res) => {
+  const { entryId } = req.params;
+
+  // Validate entry ID format
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_ID",
+        message: "Invalid entry ID format",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  const entry = await IntakeEntry.findOne({
+    _id: entryId,
+    userId: req.user.uid,
+  });
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: "NOT_FOUND",
+        message: "Intake entry not found",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Respond with a single entry including its recipe and nutrition
+ * @param {object} res
+ * @param {object} entry - IntakeEntry document
+ * @param {object} [options]
+ * @param {number} [options.status]
+ * @param {string} [options.message]
+ */
+const sendEntry = async (res, entry, { status = 200, message } = {}) => {
+  const recipesById = await loadEntryRecipes([entry], entry.userId);
+
+  res.status(status).json({
+    success: true,
+    data: formatIntakeEntry(entry, recipesById),
+    ...(message && { message }),
+    timestamp: new Date(),
+  });
+};
+
+// ============================================================================
+// GET /api/users/me/intake - List Logged Meals (newest first)
+// ============================================================================
+router.get(
+  "/",
+  authenticate,
+  validateQuery(intakeListQuerySchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { from, to } = req.query;
+
+      const filter = { userId };
+      if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = resolveDay(from);
+        if (to) filter.date.$lte = resolveDay(to);
+      }
+
+      const entries = await IntakeEntry.find(filter).sort({
+        date: -1,
+        createdAt: -1,
+      });
+      const recipesById = await loadEntryRecipes(entries, req.user.uid);
+
+      res.json({
+        success: true,
+        data: {
+          userId,
+          entries: entries.map((entry) =>
+            formatIntakeEntry(entry, recipesById)
+          ),
+          totalCount: entries.length,
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch intake log",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/users/me/intake - Log Servings of a Recipe
+// ============================================================================
+router.post("/", authenticate, validate(logIntakeSchema), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { date, recipeId, servings, mealType, notes } = req.body;
+
+    const nutritionPerServing = await snapshotRecipeNutrition(recipeId, userId);
+
+    const entry = await IntakeEntry.create({
+      userId,
+      date: resolveDay(date),
+      recipeId,
+      servings,
+      mealType,
+      notes,
+      nutritionPerServing,
+    });
+
+    await sendEntry(res, entry, {
+      status: 201,
+      message: "Meal logged successfully",
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "CREATE_ERROR",
+        message: "Failed to log meal",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// GET /api/users/me/intake/summary/daily - Day's Intake vs Targets
+// ============================================================================
+router.get(
+  "/summary/daily",
+  authenticate,
+  validateQuery(intakeSummaryQuerySchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const date = resolveDay(req.query.date);
+
+      const [entries, targets] = await Promise.all([
+        IntakeEntry.find({ userId, date }).sort({ createdAt: 1 }),
+        loadDailyTargets(userId),
+      ]);
+      const recipesById = await loadEntryRecipes(entries, req.user.uid);
+
+      res.json({
+        success: true,
+        data: {
+          ...summarizeDay(date, entries, recipesById, targets),
+          dailyTargets: targets,
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to summarize intake",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/users/me/intake/summary/weekly - Week's Intake vs Targets
+// ============================================================================
+router.get(
+  "/summary/weekly",
+  authenticate,
+  validateQuery(intakeSummaryQuerySchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const weekStart = resolveWeekStart(req.query.date ?? new Date());
+
+      const [entries, targets] = await Promise.all([
+        IntakeEntry.find({
+          userId,
+          date: { $gte: weekStart, $lt: addDays(weekStart, 7) },
+        }).sort({ date: 1, createdAt: 1 }),
+        loadDailyTargets(userId),
+      ]);
+      const recipesById = await loadEntryRecipes(entries, req.user.uid);
+
+      res.json({
+        success: true,
+        data: {
+          ...summarizeWeek(weekStart, entries, recipesById, targets),
+          dailyTargets: targets,
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to summarize intake",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PATCH /api/users/me/intake/:entryId - Update Logged Meal
+// ============================================================================
+router.patch(
+  "/:entryId",
+  authenticate,
+  validate(updateIntakeSchema),
+  async (req, res) => {
+    try {
+      const entry = await findUserEntry(req, res);
+      if (!entry) return;
+
+      const { date, recipeId, ...fields } = req.body;
+      if (recipeId !== undefined) {
+        entry.nutritionPerServing = await snapshotRecipeNutrition(
+          recipeId,
+          req.user.uid
+        );
+        entry.recipeId = recipeId;
+      }
+      if (date !== undefined) entry.date = resolveDay(date);
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = value;
+      }
+
+      await entry.save();
+
+      await sendEntry(res, entry, {
+        message: "Intake entry updated successfully",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to update intake entry",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/users/me/intake/:entryId - Remove Logged Meal
+// ============================================================================
+router.delete("/:entryId", authenticate, async (req, res) => {
+  try {
+    const entry = await findUserEntry(req, res);
+    if (!entry) return;
+
+    await entry.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Intake entry deleted successfully",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to delete intake entry",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,502 @@
+import express from "express";
+import { MealPlan } from "../models/index.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import {
+  validate,
+  validateQuery,
+  mealPlanEntrySchema,
+  updateMealPlanEntrySchema,
+  createMealPlanSchema,
+  updateMealPlanSchema,
+  copyMealPlanSchema,
+  autoFillMealPlanSchema,
+  mealPlanListQuerySchema,
+} from "../validators/schemas.js";
+import {
+  resolveWeekStart,
+  resolveEntryDate,
+  assertRecipesExist,
+  shiftEntries,
+  loadPlanRecipes,
+  summarizeMealPlan,
+} from "../services/mealPlans.js";
+import { autoFillMealPlan } from "../services/mealPlanner.js";
+import { sendHttpError } from "../utils/errors.js";
+import { formatDateOnly } from "../utils/dates.js";
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+/**
+ * Send the standard 400 for a malformed id
+ * @param {object} res
+ * @param {string} label - "plan" or "entry"
+ */
+const sendInvalidId = (res, label) =>
+  res.status(400).json({
+    success: false,
+    error: {
+      code: "INVALID_ID",
+      message: `Invalid ${label} ID format`,
+    },
+    timestamp: new Date(),
+  });
+
+/**
+ * Send the standard 404 for a missing plan or entry
+ * @param {object} res
+ * @param {string} message
+ */
+const sendNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message,
+    },
+    timestamp: new Date(),
+  });
+
+/**
+ * Send the 409 for a week that already has a plan
+ * @param {object} res
+ * @param {Date} weekStart
+ */
+const sendPlanExists = (res, weekStart) =>
+  res.status(409).json({
+    success: false,
+    error: {
+      code: "PLAN_EXISTS",
+      message: `A meal plan already exists for the week of ${formatDateOnly(weekStart)}`,
+    },
+    timestamp: new Date(),
+  });
+
+/**
+ * Load one of the signed-in user's plans, answering 400/404 itself
+ * @returns {Promise<object|null>} Plan document, or null when a response was sent
+ */
+const findUserPlan = async (req, res) => {
+  const { planId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(planId)) {
+    sendInvalidId(res, "plan");
+    return null;
+  }
+
+  const plan = await MealPlan.findOne({ _id: planId, userId: req.user.uid });
+  if (!plan) {
+    sendNotFound(res, "Meal plan not found");
+    return null;
+  }
+  return plan;
+};
+
+/**
+ * Respond with a plan including recipes and nutrition totals
+ * @param {object} res
+ * @param {object} plan - MealPlan document
+ * @param {object} [options]
+ * @param {number} [options.status]
+ * @param {string} [options.message]
+ */
+const sendPlan = async (res, plan, { status = 200, message } = {}) => {
+  const recipesById = await loadPlanRecipes(plan);
+
+  res.status(status).json({
+    success: true,
+    data: summarizeMealPlan(plan, recipesById),
+    ...(message && { message }),
+    timestamp: new Date(),
+  });
+};
+
+// ============================================================================
+// GET /api/users/me/meal-plans - List User's Meal Plans
+// ============================================================================
+router.get(
+  "/",
+  authenticate,
+  validateQuery(mealPlanListQuerySchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { from, to } = req.query;
+
+      const filter = { userId };
+      if (from || to) {
+        filter.weekStart = {};
+        if (from) filter.weekStart.$gte = resolveWeekStart(from);
+        if (to) filter.weekStart.$lte = resolveWeekStart(to);
+      }
+
+      const plans = await MealPlan.find(filter).sort({ weekStart: -1 }).lean();
+
+      res.json({
+        success: true,
+        data: {
+          userId,
+          mealPlans: plans.map((plan) => ({
+            id: plan._id.toString(),
+            name: plan.name,
+            weekStart: formatDateOnly(plan.weekStart),
+            entryCount: plan.entries.length,
+            updatedAt: plan.updatedAt,
+          })),
+          totalCount: plans.length,
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch meal plans",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/users/me/meal-plans - Create Meal Plan for a Week
+// ============================================================================
+router.post(
+  "/",
+  authenticate,
+  validate(createMealPlanSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { name, entries } = req.body;
+      const weekStart = resolveWeekStart(req.body.weekStart);
+
+      if (await MealPlan.exists({ userId, weekStart })) {
+        return sendPlanExists(res, weekStart);
+      }
+
+      await assertRecipesExist(
+        entries.map((entry) => entry.recipeId),
+        userId
+      );
+
+      const plan = await MealPlan.create({
+        userId,
+        name,
+        weekStart,
+        entries: entries.map((entry) => ({
+          ...entry,
+          date: resolveEntryDate(weekStart, entry.date),
+        })),
+      });
+
+      await sendPlan(res, plan, {
+        status: 201,
+        message: "Meal plan created successfully",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      if (error.code === 11000) {
+        return sendPlanExists(res, resolveWeekStart(req.body.weekStart));
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CREATE_ERROR",
+          message: "Failed to create meal plan",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/users/me/meal-plans/auto-fill - Fill a Week from Constraints
+// ============================================================================
+router.post(
+  "/auto-fill",
+  authenticate,
+  validate(autoFillMealPlanSchema),
+  async (req, res) => {
+    try {
+      const { plan, filled, unfilled, constraints, calorieTargets } =
+        await autoFillMealPlan(req.user.uid, req.body);
+      const recipesById = await loadPlanRecipes(plan);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          mealPlan: summarizeMealPlan(plan, recipesById),
+          filled,
+          unfilled,
+          constraints: { ...constraints, calorieTargets },
+        },
+        message:
+          unfilled.length > 0
+            ? `Filled ${filled.length} meals; ${unfilled.length} could not be filled`
+            : `Filled ${filled.length} meals`,
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "AUTO_FILL_ERROR",
+          message: "Failed to auto-fill meal plan",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/users/me/meal-plans/:planId - Get Meal Plan with Nutrition Totals
+// ============================================================================
+router.get("/:planId", authenticate, async (req, res) => {
+  try {
+    const plan = await findUserPlan(req, res);
+    if (!plan) return;
+
+    await sendPlan(res, plan);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch meal plan",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// PATCH /api/users/me/meal-plans/:planId - Rename Meal Plan
+// ============================================================================
+router.patch(
+  "/:planId",
+  authenticate,
+  validate(updateMealPlanSchema),
+  async (req, res) => {
+    try {
+      const plan = await findUserPlan(req, res);
+      if (!plan) return;
+
+      plan.name = req.body.name;
+      await plan.save();
+
+      await sendPlan(res, plan, { message: "Meal plan updated successfully" });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to update meal plan",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/users/me/meal-plans/:planId - Delete Meal Plan
+// ============================================================================
+router.delete("/:planId", authenticate, async (req, res) => {
+  try {
+    const plan = await findUserPlan(req, res);
+    if (!plan) return;
+
+    await plan.deleteOne();
+
+    res.json({
+      success: true,
+      data: null,
+      message: "Meal plan deleted successfully",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to delete meal plan",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// POST /api/users/me/meal-plans/:planId/copy - Copy Plan to Another Week
+// ============================================================================
+router.post(
+  "/:planId/copy",
+  authenticate,
+  validate(copyMealPlanSchema),
+  async (req, res) => {
+    try {
+      const source = await findUserPlan(req, res);
+      if (!source) return;
+
+      const userId = req.user.uid;
+      const weekStart = resolveWeekStart(req.body.weekStart);
+
+      if (await MealPlan.exists({ userId, weekStart })) {
+        return sendPlanExists(res, weekStart);
+      }
+
+      const plan = await MealPlan.create({
+        userId,
+        name: req.body.name ?? source.name,
+        weekStart,
+        entries: shiftEntries(source.entries, source.weekStart, weekStart),
+      });
+
+      await sendPlan(res, plan, {
+        status: 201,
+        message: "Meal plan copied successfully",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      if (error.code === 11000) {
+        return sendPlanExists(res, resolveWeekStart(req.body.weekStart));
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CREATE_ERROR",
+          message: "Failed to copy meal plan",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/users/me/meal-plans/:planId/entries - Assign Recipe to a Meal Slot
+// ============================================================================
+router.post(
+  "/:planId/entries",
+  authenticate,
+  validate(mealPlanEntrySchema),
+  async (req, res) => {
+    try {
+      const plan = await findUserPlan(req, res);
+      if (!plan) return;
+
+      await assertRecipesExist([req.body.recipeId], plan.userId);
+
+      plan.entries.push({
+        ...req.body,
+        date: resolveEntryDate(plan.weekStart, req.body.date),
+      });
+      await plan.save();
+
+      await sendPlan(res, plan, {
+        status: 201,
+        message: "Meal added to plan",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to add meal to plan",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PATCH /api/users/me/meal-plans/:planId/entries/:entryId - Update Meal Entry
+// ============================================================================
+router.patch(
+  "/:planId/entries/:entryId",
+  authenticate,
+  validate(updateMealPlanEntrySchema),
+  async (req, res) => {
+    try {
+      const plan = await findUserPlan(req, res);
+      if (!plan) return;
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+        return sendInvalidId(res, "entry");
+      }
+      const entry = plan.entries.id(req.params.entryId);
+      if (!entry) return sendNotFound(res, "Meal plan entry not found");
+
+      const { date, recipeId, ...rest } = req.body;
+      if (recipeId !== undefined) {
+        await assertRecipesExist([recipeId], req.user.uid);
+        entry.recipeId = recipeId;
+      }
+      if (date !== undefined) {
+        entry.date = resolveEntryDate(plan.weekStart, date);
+      }
+      Object.assign(entry, rest);
+
+      await plan.save();
+
+      await sendPlan(res, plan, { message: "Meal updated successfully" });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to update meal",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/users/me/meal-plans/:planId/entries/:entryId - Remove Meal Entry
+// ============================================================================
+router.delete("/:planId/entries/:entryId", authenticate, async (req, res) => {
+  try {
+    const plan = await findUserPlan(req, res);
+    if (!plan) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+      return sendInvalidId(res, "entry");
+    }
+    const entry = plan.entries.id(req.params.entryId);
+    if (!entry) return sendNotFound(res, "Meal plan entry not found");
+
+    entry.deleteOne();
+    await plan.save();
+
+    await sendPlan(res, plan, { message: "Meal removed from plan" });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to remove meal",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,243 @@
+import express from "express";
+import { PantryItem } from "../models/index.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import {
+  validate,
+  validateQuery,
+  addPantryItemSchema,
+  updatePantryItemSchema,
+  pantryListQuerySchema,
+} from "../validators/schemas.js";
+import { expiryStatus, expiringBefore } from "../services/pantry.js";
+import { parseDateOnly, formatDateOnly } from "../utils/dates.js";
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+/**
+ * Shape a pantry item for the response, with its expiry status
+ * @param {object} item - PantryItem document
+ * @returns {object}
+ */
+const formatPantryItem = (item) => {
+  const data = item.toObject();
+  return {
+    ...data,
+    expiresAt: data.expiresAt ? formatDateOnly(data.expiresAt) : null,
+    ...expiryStatus(data.expiresAt),
+  };
+};
+
+/**
+ * Send the 409 for an ingredient that is already in the pantry
+ * @param {object} res
+ * @param {string} name
+ */
+const sendAlreadyInPantry = (res, name) =>
+  res.status(409).json({
+    success: false,
+    error: {
+      code: "ALREADY_IN_PANTRY",
+      message: `${name} is already in your pantry`,
+    },
+    timestamp: new Date(),
+  });
+
+/**
+ * Find a pantry item owned by the user, sending 400/404 when it cannot be used
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} PantryItem document, or null after responding
+ */
+const findUserItem = async (req, res) => {
+  const { itemId } = req.params;
+
+  // Validate item ID format
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_ID",
+        message: "Invalid item ID format",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  const item = await PantryItem.findOne({ _id: itemId, userId: req.user.uid });
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: "NOT_FOUND",
+        message: "Pantry item not found",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  return item;
+};
+
+// ============================================================================
+// GET /api/users/me/pantry - List Pantry Items (soonest expiry first)
+// ============================================================================
+router.get(
+  "/",
+  authenticate,
+  validateQuery(pantryListQuerySchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { expiringWithin } = req.query;
+
+      const filter = { userId };
+      if (expiringWithin !== undefined) {
+        filter.expiresAt = { $ne: null, $lt: expiringBefore(expiringWithin) };
+      }
+
+      const items = await PantryItem.find(filter).sort({ name: 1 });
+
+      // Items without an expiry date go last
+      const sorted = items.sort(
+        (a, b) =>
+          (a.expiresAt?.getTime() ?? Infinity) -
+          (b.expiresAt?.getTime() ?? Infinity)
+      );
+
+      res.json({
+        success: true,
+        data: sorted.map(formatPantryItem),
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch pantry",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/users/me/pantry - Add Pantry Item
+// ============================================================================
+router.post(
+  "/",
+  authenticate,
+  validate(addPantryItemSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { name, amount = "", expiresAt } = req.body;
+
+      const item = await PantryItem.create({
+        userId,
+        name,
+        amount,
+        expiresAt: expiresAt ? parseDateOnly(expiresAt) : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: formatPantryItem(item),
+        message: "Item added to pantry",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      // Handle duplicate ingredient
+      if (error.code === 11000) {
+        return sendAlreadyInPantry(res, req.body.name);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CREATE_ERROR",
+          message: "Failed to add pantry item",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PATCH /api/users/me/pantry/:itemId - Update Pantry Item
+// ============================================================================
+router.patch(
+  "/:itemId",
+  authenticate,
+  validate(updatePantryItemSchema),
+  async (req, res) => {
+    try {
+      const item = await findUserItem(req, res);
+      if (!item) return;
+
+      const { name, amount, expiresAt } = req.body;
+      if (name !== undefined) item.name = name;
+      if (amount !== undefined) item.amount = amount;
+      if (expiresAt !== undefined) {
+        item.expiresAt = expiresAt ? parseDateOnly(expiresAt) : null;
+      }
+
+      await item.save();
+
+      res.json({
+        success: true,
+        data: formatPantryItem(item),
+        message: "Pantry item updated successfully",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      // Handle rename onto an existing ingredient
+      if (error.code === 11000) {
+        return sendAlreadyInPantry(res, req.body.name);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to update pantry item",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/users/me/pantry/:itemId - Remove Pantry Item
+// ============================================================================
+router.delete("/:itemId", authenticate, async (req, res) => {
+  try {
+    const item = await findUserItem(req, res);
+    if (!item) return;
+
+    await item.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Item removed from pantry",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to remove pantry item",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+export default router;
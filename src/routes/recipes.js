@@ -1,18 +1,290 @@
 import express from "express";
-import { Recipe } from "../models/index.js";
+import {
+  Recipe,
+  PantryItem,
+  RecipeShare,
+  RecipeRevision,
+  RecipeReview,
+} from "../models/index.js";
 import { authenticate, optionalAuth } from "../middleware/authMiddleware.js";
 import {
   validate,
   validateQuery,
   createRecipeSchema,
   updateRecipeSchema,
+  createShareLinkSchema,
+  forkRecipeSchema,
+  revisionDiffQuerySchema,
+  nutritionPreviewSchema,
   recipeSearchSchema,
+  recipeRetrievalSchema,
+  unitsQuerySchema,
+  substitutionQuerySchema,
   recipeGenerationSchema,
 } from "../validators/schemas.js";
+import { generateRecipe } from "../services/recipeGenerator.js";
+import { getRecipeProvider } from "../services/ai/index.js";
+import { buildDietarySearchConditions } from "../services/recipeLabels.js";
+import { scaleRecipe } from "../services/recipeScaling.js";
+import { convertRecipeUnits } from "../services/unitConversion.js";
+import {
+  calculateNutrition,
+  crossCheckNutrition,
+  resolveNutrition,
+} from "../services/nutritionCalculator.js";
+import {
+  suggestSubstitutions,
+  transformRecipe,
+} from "../services/substitutions.js";
+import {
+  buildPantryCandidateCondition,
+  rankRecipesByPantry,
+} from "../services/pantry.js";
+import {
+  resolveGenerationParams,
+  resolveSearchFilters,
+  resolveMeasurementSystem,
+} from "../services/userDefaults.js";
+import {
+  isRecipeOwner,
+  canReadRecipe,
+  searchableRecipeCondition,
+  createShareToken,
+  isShareExpired,
+} from "../services/recipeAccess.js";
+import {
+  REVISION_FIELDS,
+  diffSnapshots,
+  recordRevision,
+  findRevision,
+  summarizeRevision,
+} from "../services/recipeRevisions.js";
+import { buildFork, loadLineage } from "../services/recipeForks.js";
+import { sendHttpError } from "../utils/errors.js";
+import { addDays } from "../utils/dates.js";
 import mongoose from "mongoose";
 
 const router = express.Router();
 
+// sortBy values that sort on a derived field rather than the field itself
+const SORT_FIELDS = {
+  prepTime: "prepTimeMinutes",
+  cookTime: "cookTimeMinutes",
+  totalTime: "totalTimeMinutes",
+  protein: "nutritionValues.protein",
+  carbs: "nutritionValues.carbs",
+  fat: "nutritionValues.fat",
+  fiber: "nutritionValues.fiber",
+  sodium: "nutritionValues.sodium",
+  proteinPerCalorie: "nutritionValues.proteinPerCalorie",
+  rating: "averageRating",
+};
+
+// Recipes considered for pantry ranking, which happens in memory
+const PANTRY_CANDIDATE_LIMIT = 500;
+
+// Macro search parameters mapped to [numeric nutrition field, operator]
+const NUTRITION_FILTERS = {
+  minProtein: ["protein", "$gte"],
+  maxProtein: ["protein", "$lte"],
+  minCarbs: ["carbs", "$gte"],
+  maxCarbs: ["carbs", "$lte"],
+  minFat: ["fat", "$gte"],
+  maxFat: ["fat", "$lte"],
+  minFiber: ["fiber", "$gte"],
+  maxFiber: ["fiber", "$lte"],
+  maxSugar: ["sugar", "$lte"],
+  maxSodium: ["sodium", "$lte"],
+};
+
+/**
+ * Send the standard 400 for a malformed recipe id
+ * @param {object} res
+ */
+const sendInvalidRecipeId = (res) =>
+  res.status(400).json({
+    success: false,
+    error: {
+      code: "INVALID_ID",
+      message: "Invalid recipe ID format",
+    },
+    timestamp: new Date(),
+  });
+
+/**
+ * Send the standard 404 for a recipe that is missing or not readable
+ * @param {object} res
+ */
+const sendRecipeNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message: "Recipe not found",
+    },
+    timestamp: new Date(),
+  });
+
+/**
+ * Load a recipe the user may read, answering 400/404 itself.
+ * Recipes the user may not see are reported as not found.
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} Lean recipe, or null when a response was sent
+ */
+const findReadableRecipe = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate ObjectId
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    sendInvalidRecipeId(res);
+    return null;
+  }
+
+  const recipe = await Recipe.findById(id).lean();
+  if (!recipe || !canReadRecipe(recipe, req.user?.uid)) {
+    sendRecipeNotFound(res);
+    return null;
+  }
+  return recipe;
+};
+
+/**
+ * Load a recipe owned by the signed-in user, answering 400/404/403 itself
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} Recipe document, or null when a response was
+ *   sent
+ */
+const findOwnedRecipe = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    sendInvalidRecipeId(res);
+    return null;
+  }
+
+  const recipe = await Recipe.findById(id);
+  if (!recipe || !canReadRecipe(recipe, req.user.uid)) {
+    sendRecipeNotFound(res);
+    return null;
+  }
+
+  if (!isRecipeOwner(recipe, req.user.uid)) {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: "FORBIDDEN",
+        message: "Only the recipe owner can manage share links",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+  return recipe;
+};
+
+/**
+ * Load a recipe the signed-in user may edit (their own or an ownerless one),
+ * answering 400/404/403 itself
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} Recipe document, or null when a response was
+ *   sent
+ */
+const findEditableRecipe = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    sendInvalidRecipeId(res);
+    return null;
+  }
+
+  const recipe = await Recipe.findById(id);
+  if (!recipe || !canReadRecipe(recipe, req.user.uid)) {
+    sendRecipeNotFound(res);
+    return null;
+  }
+
+  // Check if user owns this recipe
+  if (recipe.userId && recipe.userId !== req.user.uid) {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: "FORBIDDEN",
+        message: "You do not have permission to update this recipe",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+  return recipe;
+};
+
+/**
+ * Record the revision for a change that is already saved. A failure to store
+ * it is logged rather than reported, since the change itself succeeded.
+ * @param {object} before - Plain recipe object from before the change
+ * @param {object} recipe - Saved Recipe document
+ * @param {object} options - See recordRevision
+ * @returns {Promise<object|null|undefined>} The revision, null when no
+ *   content changed, or undefined when it could not be stored
+ */
+const recordSavedRevision = async (before, recipe, options) => {
+  try {
+    return await recordRevision(before, recipe, options);
+  } catch (error) {
+    console.error(
+      `Failed to record a revision for recipe ${recipe.id}:`,
+      error.message
+    );
+    return undefined;
+  }
+};
+
+/**
+ * Respond with a recipe scaled and converted for the reader
+ * @param {object} req
+ * @param {object} res
+ * @param {object} recipe - Lean recipe
+ */
+const sendRecipe = async (req, res, recipe) => {
+  const { servings, units } = req.query;
+
+  const measurementSystem = await resolveMeasurementSystem(
+    req.user?.uid,
+    units
+  );
+  const scaledRecipe =
+    servings && servings !== recipe.servings
+      ? scaleRecipe(recipe, servings)
+      : recipe;
+
+  // Transform to match frontend format
+  const transformedRecipe = {
+    ...convertRecipeUnits(scaledRecipe, measurementSystem),
+    __v: undefined,
+  };
+
+  res.json({
+    success: true,
+    data: transformedRecipe,
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Shape a share link for its owner
+ * @param {object} req
+ * @param {object} share - RecipeShare document
+ * @returns {object}
+ */
+const formatShare = (req, share) => ({
+  ...share.toObject(),
+  url: `${req.protocol}://${req.get("host")}/api/recipes/shared/${share.token}`,
+  expired: isShareExpired(share),
+});
+
 // ============================================================================
 // GET /api/recipes - Search/List Recipes
 // ============================================================================
@@ -22,6 +294,26 @@ router.get(
   validateQuery(recipeSearchSchema),
   async (req, res) => {
     try {
+      // Pantry mode ranks against the signed-in user's pantry
+      if (req.query.mode === "pantry" && !req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: "AUTH_REQUIRED",
+            message: "Sign in to search by pantry",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      // Fill omitted filters from the signed-in user's saved defaults
+      const { filters: effectiveFilters, appliedDefaults } =
+        await resolveSearchFilters(req.user?.uid, req.query);
+      const measurementSystem = await resolveMeasurementSystem(
+        req.user?.uid,
+        effectiveFilters.units
+      );
+
       const {
         query,
         dietaryPreferences,
@@ -30,14 +322,18 @@ router.get(
         tags,
         maxPrepTime,
         maxCookTime,
+        maxTotalTime,
         maxCalories,
         minCalories,
+        minRating,
         difficulty,
         sortBy,
         sortOrder,
         page,
         pageSize,
-      } = req.query;
+        mode,
+        maxMissing,
+      } = effectiveFilters;
 
       // Build filter query
       const filter = {};
@@ -62,6 +358,21 @@ router.get(
         filter.difficulty = { $in: difficulty };
       }
 
+      // Exclude allergens and require diet compatibility (derived labels)
+      const dietaryConditions = buildDietarySearchConditions({
+        allergies,
+        dietaryPreferences,
+      });
+      if (dietaryConditions.length > 0) {
+        filter.$and = dietaryConditions;
+      }
+
+      // Only public recipes and the user's own
+      filter.$and = [
+        ...(filter.$and || []),
+        searchableRecipeCondition(req.user?.uid),
+      ];
+
       // Filter by calories
       if (maxCalories || minCalories) {
         filter.calories = {};
@@ -69,24 +380,67 @@ router.get(
         if (minCalories) filter.calories.$gte = minCalories;
       }
 
-      // TODO: Implement time-based filtering (requires parsing prepTime/cookTime)
-      // For now, skipping maxPrepTime and maxCookTime
+      // Filter by average review rating
+      if (minRating) filter.averageRating = { $gte: minRating };
+
+      // Filter by time (normalized minute fields parsed from prepTime/cookTime)
+      if (maxPrepTime) filter.prepTimeMinutes = { $lte: maxPrepTime };
+      if (maxCookTime) filter.cookTimeMinutes = { $lte: maxCookTime };
+      if (maxTotalTime) filter.totalTimeMinutes = { $lte: maxTotalTime };
+
+      // Filter by macros (numeric values parsed from nutrition strings)
+      for (const [param, [nutrient, operator]] of Object.entries(
+        NUTRITION_FILTERS
+      )) {
+        if (effectiveFilters[param] === undefined) continue;
+        const path = `nutritionValues.${nutrient}`;
+        filter[path] = { ...filter[path], [operator]: effectiveFilters[param] };
+      }
 
       // Build sort options
       const sortOptions = {};
-      sortOptions[sortBy] = sortOrder === "asc" ? 1 : -1;
+      sortOptions[SORT_FIELDS[sortBy] || sortBy] = sortOrder === "asc" ? 1 : -1;
 
       // Execute query with pagination
       const skip = (page - 1) * pageSize;
+      let recipes;
+      let total;
 
-      const [recipes, total] = await Promise.all([
-        Recipe.find(filter).sort(sortOptions).skip(skip).limit(pageSize).lean(),
-        Recipe.countDocuments(filter),
-      ]);
+      if (mode === "pantry") {
+        // Rank recipes using any pantry item by ingredient coverage
+        const pantryItems = await PantryItem.find({
+          userId: req.user.uid,
+        }).lean();
+
+        let ranked = [];
+        if (pantryItems.length > 0) {
+          filter.$and = [
+            ...(filter.$and || []),
+            buildPantryCandidateCondition(pantryItems),
+          ];
+          const candidates = await Recipe.find(filter)
+            .sort(sortOptions)
+            .limit(PANTRY_CANDIDATE_LIMIT)
+            .lean();
+          ranked = rankRecipesByPantry(candidates, pantryItems, { maxMissing });
+        }
+
+        recipes = ranked.slice(skip, skip + pageSize);
+        total = ranked.length;
+      } else {
+        [recipes, total] = await Promise.all([
+          Recipe.find(filter)
+            .sort(sortOptions)
+            .skip(skip)
+            .limit(pageSize)
+            .lean(),
+          Recipe.countDocuments(filter),
+        ]);
+      }
 
       // Transform recipes to match frontend format
       const transformedRecipes = recipes.map((recipe) => ({
-        ...recipe,
+        ...convertRecipeUnits(recipe, measurementSystem),
         __v: undefined,
       }));
 
@@ -102,7 +456,8 @@ router.get(
             totalPages: Math.ceil(total / pageSize),
           },
           filters: {
-            appliedFilters: req.query,
+            appliedFilters: effectiveFilters,
+            appliedDefaults,
           },
         },
         timestamp: new Date(),
@@ -120,47 +475,513 @@ router.get(
   }
 );
 
+// ============================================================================
+// POST /api/recipes/nutrition/preview - Calculate Nutrition from Ingredients
+// ============================================================================
+router.post(
+  "/nutrition/preview",
+  authenticate,
+  validate(nutritionPreviewSchema),
+  async (req, res) => {
+    try {
+      const { calories, nutrition } = req.body;
+      const estimate = calculateNutrition(req.body);
+
+      res.json({
+        success: true,
+        data: {
+          ...estimate,
+          crossCheck:
+            calories !== undefined || nutrition
+              ? crossCheckNutrition({ calories, nutrition }, estimate)
+              : null,
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CALCULATION_ERROR",
+          message: "Failed to calculate nutrition",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/recipes/shared/:token - Get Recipe through a Share Link
+// ============================================================================
+router.get(
+  "/shared/:token",
+  optionalAuth,
+  validateQuery(recipeRetrievalSchema),
+  async (req, res) => {
+    try {
+      const share = await RecipeShare.findOne({ token: req.params.token });
+      const recipe =
+        share && !isShareExpired(share)
+          ? await Recipe.findById(share.recipeId).lean()
+          : null;
+
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "SHARE_NOT_FOUND",
+            message: "Share link not found, expired or revoked",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      await RecipeShare.updateOne(
+        { _id: share._id },
+        { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } }
+      );
+
+      await sendRecipe(req, res, recipe);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch recipe",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
 // ============================================================================
 // GET /api/recipes/:id - Get Recipe by ID
 // ============================================================================
-router.get("/:id", optionalAuth, async (req, res) => {
+router.get(
+  "/:id",
+  optionalAuth,
+  validateQuery(recipeRetrievalSchema),
+  async (req, res) => {
+    try {
+      const recipe = await findReadableRecipe(req, res);
+      if (!recipe) return;
+
+      await sendRecipe(req, res, recipe);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch recipe",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/recipes/:id/substitutions - Suggest Ingredient Substitutions
+// ============================================================================
+router.get(
+  "/:id/substitutions",
+  optionalAuth,
+  validateQuery(substitutionQuerySchema),
+  async (req, res) => {
+    try {
+      const recipe = await findReadableRecipe(req, res);
+      if (!recipe) return;
+
+      // Fill omitted allergies and diets from the user's saved defaults
+      const { filters, appliedDefaults } = await resolveSearchFilters(
+        req.user?.uid,
+        req.query
+      );
+      const constraints = {
+        allergies: filters.allergies || [],
+        dietaryPreferences: filters.dietaryPreferences || [],
+      };
+
+      res.json({
+        success: true,
+        data: {
+          recipeId: req.params.id,
+          constraints: { ...constraints, appliedDefaults },
+          substitutions: suggestSubstitutions(recipe, constraints),
+          // Adapted draft for ?transform=<diet>; not saved
+          transformation: filters.transform
+            ? {
+                diet: filters.transform,
+                ...transformRecipe(recipe, filters.transform, constraints),
+              }
+            : null,
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch substitutions",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/recipes/:id/shares - List Share Links (owner only)
+// ============================================================================
+router.get("/:id/shares", authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
 
-    // Validate ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
+    const shares = await RecipeShare.find({ recipeId: recipe._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recipeId: recipe.id,
+        visibility: recipe.visibility,
+        shares: shares.map((share) => formatShare(req, share)),
+      },
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch share links",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// POST /api/recipes/:id/shares - Create Share Link (owner only)
+// ============================================================================
+router.post(
+  "/:id/shares",
+  authenticate,
+  validate(createShareLinkSchema),
+  async (req, res) => {
+    try {
+      const recipe = await findOwnedRecipe(req, res);
+      if (!recipe) return;
+
+      const { expiresInDays } = req.body;
+      const share = await RecipeShare.create({
+        recipeId: recipe._id,
+        userId: req.user.uid,
+        token: createShareToken(),
+        expiresAt: expiresInDays ? addDays(new Date(), expiresInDays) : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: formatShare(req, share),
+        message: "Share link created successfully",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
         success: false,
         error: {
-          code: "INVALID_ID",
-          message: "Invalid recipe ID format",
+          code: "CREATE_ERROR",
+          message: "Failed to create share link",
         },
         timestamp: new Date(),
       });
     }
+  }
+);
+
+// ============================================================================
+// DELETE /api/recipes/:id/shares/:shareId - Revoke Share Link (owner only)
+// ============================================================================
+router.delete("/:id/shares/:shareId", authenticate, async (req, res) => {
+  try {
+    const recipe = await findOwnedRecipe(req, res);
+    if (!recipe) return;
 
-    const recipe = await Recipe.findById(id).lean();
+    const { shareId } = req.params;
+    const share = mongoose.Types.ObjectId.isValid(shareId)
+      ? await RecipeShare.findOneAndDelete({
+          _id: shareId,
+          recipeId: recipe._id,
+        })
+      : null;
 
-    if (!recipe) {
+    if (!share) {
       return res.status(404).json({
         success: false,
         error: {
           code: "NOT_FOUND",
-          message: "Recipe not found",
+          message: "Share link not found",
         },
         timestamp: new Date(),
       });
     }
 
-    // Transform to match frontend format
-    const transformedRecipe = {
-      ...recipe,
-      __v: undefined,
-    };
+    res.json({
+      success: true,
+      message: "Share link revoked successfully",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to revoke share link",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// GET /api/recipes/:id/revisions - List Revision History (newest first)
+// ============================================================================
+router.get("/:id/revisions", optionalAuth, async (req, res) => {
+  try {
+    const recipe = await findReadableRecipe(req, res);
+    if (!recipe) return;
+
+    const revisions = await RecipeRevision.find({ recipeId: recipe._id }).sort({
+      revision: -1,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recipeId: req.params.id,
+        revisions: revisions.map(summarizeRevision),
+        totalCount: revisions.length,
+      },
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch revisions",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// GET /api/recipes/:id/revisions/diff - Compare Two Revisions
+// ============================================================================
+router.get(
+  "/:id/revisions/diff",
+  optionalAuth,
+  validateQuery(revisionDiffQuerySchema),
+  async (req, res) => {
+    try {
+      const recipe = await findReadableRecipe(req, res);
+      if (!recipe) return;
+
+      const [from, to] = await Promise.all([
+        findRevision(recipe._id, req.query.from),
+        findRevision(recipe._id, req.query.to),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          recipeId: req.params.id,
+          from: summarizeRevision(from),
+          to: summarizeRevision(to),
+          changes: diffSnapshots(from.snapshot, to.snapshot),
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to compare revisions",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/recipes/:id/revisions/:revision - Get Revision Snapshot
+// ============================================================================
+router.get("/:id/revisions/:revision", optionalAuth, async (req, res) => {
+  try {
+    const recipe = await findReadableRecipe(req, res);
+    if (!recipe) return;
+
+    const revision = await findRevision(recipe._id, req.params.revision);
+
+    res.json({
+      success: true,
+      data: revision.toObject(),
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch revision",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// POST /api/recipes/:id/revisions/:revision/revert - Restore a Revision
+// ============================================================================
+router.post(
+  "/:id/revisions/:revision/revert",
+  authenticate,
+  async (req, res) => {
+    try {
+      const recipe = await findEditableRecipe(req, res);
+      if (!recipe) return;
+
+      const target = await findRevision(recipe._id, req.params.revision);
+
+      // Restore the content fields; fields missing from the snapshot are cleared
+      const before = recipe.toObject();
+      for (const field of REVISION_FIELDS) {
+        recipe.set(field, target.snapshot[field]);
+      }
+
+      await recipe.save();
+      const revision = await recordSavedRevision(before, recipe, {
+        userId: req.user.uid,
+        action: "revert",
+        revertedFrom: target.revision,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...recipe.toObject(),
+          revision: revision ? summarizeRevision(revision) : null,
+        },
+        message:
+          revision === null
+            ? `Recipe already matches revision ${target.revision}`
+            : `Recipe reverted to revision ${target.revision}`,
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Recipe validation failed",
+            details: Object.values(error.errors).map((err) => err.message),
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to revert recipe",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/recipes/:id/fork - Fork (Remix) a Recipe into Your Own
+// ============================================================================
+router.post(
+  "/:id/fork",
+  authenticate,
+  validate(forkRecipeSchema),
+  async (req, res) => {
+    try {
+      const source = await findReadableRecipe(req, res);
+      if (!source) return;
+
+      const fork = await Recipe.create(
+        buildFork(source, req.user.uid, req.body)
+      );
+      // A new fork is not an edit of the source
+      await Recipe.updateOne(
+        { _id: source._id },
+        { $inc: { forkCount: 1 } },
+        { timestamps: false }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: fork.toObject(),
+        message: "Recipe forked successfully",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Recipe validation failed",
+            details: Object.values(error.errors).map((err) => err.message),
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CREATE_ERROR",
+          message: "Failed to fork recipe",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// GET /api/recipes/:id/lineage - Fork Ancestors and Descendants
+// ============================================================================
+router.get("/:id/lineage", optionalAuth, async (req, res) => {
+  try {
+    const recipe = await findReadableRecipe(req, res);
+    if (!recipe) return;
 
     res.json({
       success: true,
-      data: transformedRecipe,
+      data: await loadLineage(recipe, req.user?.uid),
       timestamp: new Date(),
     });
   } catch (error) {
@@ -168,7 +989,7 @@ router.get("/:id", optionalAuth, async (req, res) => {
       success: false,
       error: {
         code: "FETCH_ERROR",
-        message: "Failed to fetch recipe",
+        message: "Failed to fetch recipe lineage",
       },
       timestamp: new Date(),
     });
@@ -184,21 +1005,34 @@ router.post(
   validate(createRecipeSchema),
   async (req, res) => {
     try {
+      const { nutritionMode = "manual", ...body } = req.body;
       const recipeData = {
-        ...req.body,
+        ...body,
         userId: req.user.uid, // Attach authenticated user's Firebase UID
       };
 
+      // Calculate nutrition from ingredients when requested
+      let nutritionEstimate;
+      if (nutritionMode !== "manual") {
+        const result = resolveNutrition(recipeData, body, nutritionMode);
+        Object.assign(recipeData, result.values);
+        nutritionEstimate = result.estimate;
+      }
+
       const recipe = await Recipe.create(recipeData);
       const savedRecipe = recipe.toObject();
 
       res.status(201).json({
         success: true,
-        data: savedRecipe,
+        data: nutritionEstimate
+          ? { ...savedRecipe, nutritionEstimate }
+          : savedRecipe,
         message: "Recipe created successfully",
         timestamp: new Date(),
       });
     } catch (error) {
+      if (sendHttpError(res, error)) return;
+
       if (error.name === "ValidationError") {
         return res.status(400).json({
           success: false,
@@ -232,57 +1066,42 @@ router.put(
   validate(updateRecipeSchema),
   async (req, res) => {
     try {
-      const { id } = req.params;
-
-      if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_ID",
-            message: "Invalid recipe ID format",
-          },
-          timestamp: new Date(),
-        });
-      }
+      const recipe = await findEditableRecipe(req, res);
+      if (!recipe) return;
 
-      const recipe = await Recipe.findById(id);
-
-      if (!recipe) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "NOT_FOUND",
-            message: "Recipe not found",
-          },
-          timestamp: new Date(),
-        });
-      }
+      // Update recipe, keeping the previous content for its revision history
+      const before = recipe.toObject();
+      const { nutritionMode = "manual", ...updates } = req.body;
+      Object.assign(recipe, updates);
 
-      // Check if user owns this recipe
-      if (recipe.userId && recipe.userId !== req.user.uid) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: "FORBIDDEN",
-            message: "You do not have permission to update this recipe",
-          },
-          timestamp: new Date(),
-        });
+      // Recalculate nutrition from the updated ingredients when requested
+      let nutritionEstimate;
+      if (nutritionMode !== "manual") {
+        const result = resolveNutrition(
+          recipe.toObject(),
+          updates,
+          nutritionMode
+        );
+        recipe.set(result.values);
+        nutritionEstimate = result.estimate;
       }
 
-      // Update recipe
-      Object.assign(recipe, req.body);
       await recipe.save();
+      await recordSavedRevision(before, recipe, { userId: req.user.uid });
 
       const updatedRecipe = recipe.toObject();
 
       res.json({
         success: true,
-        data: updatedRecipe,
+        data: nutritionEstimate
+          ? { ...updatedRecipe, nutritionEstimate }
+          : updatedRecipe,
         message: "Recipe updated successfully",
         timestamp: new Date(),
       });
     } catch (error) {
+      if (sendHttpError(res, error)) return;
+
       if (error.name === "ValidationError") {
         return res.status(400).json({
           success: false,
@@ -327,7 +1146,7 @@ router.delete("/:id", authenticate, async (req, res) => {
 
     const recipe = await Recipe.findById(id);
 
-    if (!recipe) {
+    if (!recipe || !canReadRecipe(recipe, req.user.uid)) {
       return res.status(404).json({
         success: false,
         error: {
@@ -351,6 +1170,16 @@ router.delete("/:id", authenticate, async (req, res) => {
     }
 
     await Recipe.findByIdAndDelete(id);
+    if (recipe.forkedFrom) {
+      await Recipe.updateOne(
+        { _id: recipe.forkedFrom, forkCount: { $gt: 0 } },
+        { $inc: { forkCount: -1 } },
+        { timestamps: false }
+      );
+    }
+    await RecipeShare.deleteMany({ recipeId: id });
+    await RecipeRevision.deleteMany({ recipeId: id });
+    await RecipeReview.deleteMany({ recipeId: id });
 
     res.json({
       success: true,
@@ -370,94 +1199,59 @@ router.delete("/:id", authenticate, async (req, res) => {
 });
 
 // ============================================================================
-// POST /api/recipes/generate - Generate Recipe with AI (Stub)
+// POST /api/recipes/generate - Generate Recipe with AI
 // ============================================================================
 router.post(
   "/generate",
   authenticate,
+  validateQuery(unitsQuerySchema),
   validate(recipeGenerationSchema),
   async (req, res) => {
     try {
-      const params = req.body;
+      const { params, appliedDefaults } = await resolveGenerationParams(
+        req.user.uid,
+        req.body
+      );
 
-      // TODO: Integrate with AI service (OpenAI, Anthropic, etc.)
-      // For now, return a mock generated recipe aligned with frontend model
+      // Generated output is validated (and repaired) against createRecipeSchema
+      const {
+        recipe: generated,
+        provider,
+        attempts,
+      } = await generateRecipe(params);
 
-      const mockRecipe = {
+      const recipe = await Recipe.create({
+        ...generated,
         userId: req.user.uid,
-        title: `${params.cuisineType || "Delicious"} ${
-          params.mealType || "Meal"
-        }`,
-        subtitle: "AI-Generated Recipe",
-        description: `A delicious ${
-          params.cuisineType || "international"
-        } dish tailored to your preferences.`,
-        prepTime: "15 min",
-        cookTime: "25 min",
-        servings: params.servings || 4,
-        calories: params.maxCalories || 350,
-        difficulty: params.difficulty || "Medium",
-        tags: params.dietaryPreferences || ["Healthy"],
-        cuisine: params.cuisineType || "International",
-        imageUrl: "https://via.placeholder.com/800x600?text=Recipe+Image",
-        nutrition: {
-          protein: "18g",
-          carbs: "45g",
-          fat: "12g",
-          fiber: "8g",
-          sodium: "450mg",
-        },
-        ingredients: [
-          { amount: "2 cups", item: "Main ingredient" },
-          { amount: "1 tbsp", item: "Seasoning" },
-          { amount: "1/2 cup", item: "Supporting ingredient" },
-        ],
-        steps: [
-          {
-            number: 1,
-            title: "Preparation",
-            description: "Prepare all ingredients as specified.",
-            tip: "Keep ingredients at room temperature for best results.",
-          },
-          {
-            number: 2,
-            title: "Cooking",
-            description: "Cook according to instructions.",
-          },
-          {
-            number: 3,
-            title: "Serving",
-            description: "Serve hot and enjoy!",
-          },
-        ],
-        shoppingList: [
-          {
-            category: "Produce",
-            items: ["Main ingredient"],
-          },
-          {
-            category: "Pantry",
-            items: ["Seasoning", "Supporting ingredient"],
-          },
-        ],
         isGenerated: true,
         generationParams: params,
-      };
-
-      const recipe = await Recipe.create(mockRecipe);
-      const savedRecipe = recipe.toObject();
+      });
+      const measurementSystem = await resolveMeasurementSystem(
+        req.user.uid,
+        req.query.units
+      );
+      const savedRecipe = convertRecipeUnits(
+        recipe.toObject(),
+        measurementSystem
+      );
 
       res.status(201).json({
         success: true,
         data: {
           recipe: savedRecipe,
           generationId: recipe.id,
-          model: "stub-mock-model",
+          provider: provider.name,
+          model: provider.model,
+          attempts,
+          effectiveParams: params,
+          appliedDefaults,
         },
         message: "Recipe generated successfully",
         timestamp: new Date(),
       });
     } catch (error) {
+      if (sendHttpError(res, error)) return;
+
       res.status(500).json({
         success: false,
         error: {
@@ -470,4 +1264,100 @@ router.post(
   }
 );
 
+// ============================================================================
+// POST /api/recipes/generate/stream - Generate Recipe with AI (Server-Sent Events)
+// ============================================================================
+router.post(
+  "/generate/stream",
+  authenticate,
+  validateQuery(unitsQuerySchema),
+  validate(recipeGenerationSchema),
+  async (req, res) => {
+    const controller = new AbortController();
+    let clientClosed = false;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // Stop generating (and never persist) once the client goes away
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        clientClosed = true;
+        controller.abort();
+      }
+    });
+
+    const sendEvent = (event, data) => {
+      if (clientClosed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => {
+      if (!clientClosed) res.write(": keep-alive\n\n");
+    }, 15000);
+
+    try {
+      const { params, appliedDefaults } = await resolveGenerationParams(
+        req.user.uid,
+        req.body
+      );
+      const provider = getRecipeProvider();
+      sendEvent("start", {
+        provider: provider.name,
+        model: provider.model,
+        effectiveParams: params,
+        appliedDefaults,
+      });
+
+      const { recipe: generated, attempts } = await generateRecipe(params, {
+        provider,
+        signal: controller.signal,
+        onProgress: sendEvent,
+      });
+
+      if (clientClosed) return;
+
+      const recipe = await Recipe.create({
+        ...generated,
+        userId: req.user.uid,
+        isGenerated: true,
+        generationParams: params,
+      });
+
+      const measurementSystem = await resolveMeasurementSystem(
+        req.user.uid,
+        req.query.units
+      );
+
+      sendEvent("complete", {
+        recipeId: recipe.id,
+        recipe: convertRecipeUnits(recipe.toObject(), measurementSystem),
+        provider: provider.name,
+        model: provider.model,
+        attempts,
+      });
+    } catch (error) {
+      if (!clientClosed) {
+        sendEvent("error", {
+          code: error.status && error.code ? error.code : "GENERATION_ERROR",
+          message:
+            error.status && error.code
+              ? error.message
+              : "Failed to generate recipe",
+          details: error.details,
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      if (!clientClosed) res.end();
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,420 @@
+import express from "express";
+import { Recipe, RecipeReview } from "../models/index.js";
+import { authenticate, optionalAuth } from "../middleware/authMiddleware.js";
+import {
+  validate,
+  validateQuery,
+  createReviewSchema,
+  updateReviewSchema,
+  reviewListQuerySchema,
+} from "../validators/schemas.js";
+import { canReadRecipe, isRecipeOwner } from "../services/recipeAccess.js";
+import {
+  REVIEW_SORT_OPTIONS,
+  applyRatingChange,
+  formatReview,
+  summarizeReviews,
+} from "../services/reviews.js";
+import mongoose from "mongoose";
+
+// Mounted under /api/recipes/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the reviewed recipe if the user may read it, sending 400/404 otherwise
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} Lean recipe, or null after responding
+ */
+const findReviewedRecipe = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate recipe ID format
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_ID",
+        message: "Invalid recipe ID format",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  const recipe = await Recipe.findById(id).lean();
+  if (!recipe || !canReadRecipe(recipe, req.user?.uid)) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: "NOT_FOUND",
+        message: "Recipe not found",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  return recipe;
+};
+
+/**
+ * Find a review of a readable recipe, sending 400/404 when it cannot be used
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<object|null>} RecipeReview document, or null after
+ *   responding
+ */
+const findRecipeReview = async (req, res) => {
+  const recipe = await findReviewedRecipe(req, res);
+  if (!recipe) return null;
+
+  const { reviewId } = req.params;
+
+  // Validate review ID format
+  if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_ID",
+        message: "Invalid review ID format",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  const review = await RecipeReview.findOne({
+    _id: reviewId,
+    recipeId: recipe._id,
+  });
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: "NOT_FOUND",
+        message: "Review not found",
+      },
+      timestamp: new Date(),
+    });
+    return null;
+  }
+
+  return review;
+};
+
+/**
+ * Send the 403 for changing someone else's review
+ * @param {object} res
+ */
+const sendNotReviewAuthor = (res) =>
+  res.status(403).json({
+    success: false,
+    error: {
+      code: "FORBIDDEN",
+      message: "You can only change your own review",
+    },
+    timestamp: new Date(),
+  });
+
+// ============================================================================
+// GET /api/recipes/:id/reviews - List Reviews with Rating Summary
+// ============================================================================
+router.get(
+  "/",
+  optionalAuth,
+  validateQuery(reviewListQuerySchema),
+  async (req, res) => {
+    try {
+      const recipe = await findReviewedRecipe(req, res);
+      if (!recipe) return;
+
+      const userId = req.user?.uid;
+      const { sortBy, page, pageSize } = req.query;
+      const skip = (page - 1) * pageSize;
+
+      const [reviews, total, summary, userReview] = await Promise.all([
+        RecipeReview.find({ recipeId: recipe._id })
+          .sort(REVIEW_SORT_OPTIONS[sortBy])
+          .skip(skip)
+          .limit(pageSize),
+        RecipeReview.countDocuments({ recipeId: recipe._id }),
+        summarizeReviews(recipe),
+        userId ? RecipeReview.findOne({ recipeId: recipe._id, userId }) : null,
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          recipeId: req.params.id,
+          summary,
+          // The signed-in user's own review, wherever it is in the list
+          userReview: userReview ? formatReview(userReview, userId) : null,
+          reviews: reviews.map((review) => formatReview(review, userId)),
+          pagination: {
+            total,
+            page,
+            pageSize,
+            totalPages: Math.ceil(total / pageSize),
+          },
+        },
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch reviews",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/recipes/:id/reviews - Review a Recipe (one per user)
+// ============================================================================
+router.post(
+  "/",
+  authenticate,
+  validate(createReviewSchema),
+  async (req, res) => {
+    try {
+      const recipe = await findReviewedRecipe(req, res);
+      if (!recipe) return;
+
+      const userId = req.user.uid;
+      if (isRecipeOwner(recipe, userId)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: "OWN_RECIPE",
+            message: "You cannot review your own recipe",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      const review = await RecipeReview.create({
+        ...req.body,
+        recipeId: recipe._id,
+        userId,
+      });
+      await applyRatingChange(recipe._id, { total: review.rating, count: 1 });
+
+      res.status(201).json({
+        success: true,
+        data: formatReview(review, userId),
+        message: "Review added successfully",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: "ALREADY_REVIEWED",
+            message: "You have already reviewed this recipe",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CREATE_ERROR",
+          message: "Failed to add review",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PATCH /api/recipes/:id/reviews/:reviewId - Update Your Review
+// ============================================================================
+router.patch(
+  "/:reviewId",
+  authenticate,
+  validate(updateReviewSchema),
+  async (req, res) => {
+    try {
+      const review = await findRecipeReview(req, res);
+      if (!review) return;
+
+      const userId = req.user.uid;
+      if (review.userId !== userId) {
+        return sendNotReviewAuthor(res);
+      }
+
+      const updates = Object.fromEntries(
+        Object.entries(req.body).filter(([, value]) => value !== undefined)
+      );
+
+      // Atomic, returning the review as it was, so the rating change is
+      // measured against what this update replaced even when edits overlap
+      const previous = await RecipeReview.findOneAndUpdate(
+        { _id: review._id, userId },
+        { $set: updates },
+        { new: false, runValidators: true }
+      );
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Review not found",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      if (updates.rating !== undefined && updates.rating !== previous.rating) {
+        await applyRatingChange(previous.recipeId, {
+          total: updates.rating - previous.rating,
+          count: 0,
+        });
+      }
+
+      const updated = await RecipeReview.findById(previous._id);
+
+      res.json({
+        success: true,
+        data: formatReview(updated || previous.set(updates), userId),
+        message: "Review updated successfully",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to update review",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/recipes/:id/reviews/:reviewId - Delete Your Review
+// ============================================================================
+router.delete("/:reviewId", authenticate, async (req, res) => {
+  try {
+    const review = await findRecipeReview(req, res);
+    if (!review) return;
+
+    if (review.userId !== req.user.uid) {
+      return sendNotReviewAuthor(res);
+    }
+
+    // Only adjust the aggregates if this request removed the review
+    const { deletedCount } = await review.deleteOne();
+    if (deletedCount) {
+      await applyRatingChange(review.recipeId, {
+        total: -review.rating,
+        count: -1,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Review deleted successfully",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to delete review",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// POST /api/recipes/:id/reviews/:reviewId/helpful - Vote a Review Helpful
+// ============================================================================
+router.post("/:reviewId/helpful", authenticate, async (req, res) => {
+  try {
+    const review = await findRecipeReview(req, res);
+    if (!review) return;
+
+    const userId = req.user.uid;
+    if (review.userId === userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: "OWN_REVIEW",
+          message: "You cannot vote on your own review",
+        },
+        timestamp: new Date(),
+      });
+    }
+
+    // Matches only if the user has not voted yet, so repeats are no-ops
+    const updated = await RecipeReview.findOneAndUpdate(
+      { _id: review._id, helpfulVoters: { $ne: userId } },
+      { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      data: formatReview(updated || review, userId),
+      message: "Review marked as helpful",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "UPDATE_ERROR",
+        message: "Failed to vote on review",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// DELETE /api/recipes/:id/reviews/:reviewId/helpful - Withdraw Helpful Vote
+// ============================================================================
+router.delete("/:reviewId/helpful", authenticate, async (req, res) => {
+  try {
+    const review = await findRecipeReview(req, res);
+    if (!review) return;
+
+    const userId = req.user.uid;
+    const updated = await RecipeReview.findOneAndUpdate(
+      { _id: review._id, helpfulVoters: userId },
+      { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      data: formatReview(updated || review, userId),
+      message: "Helpful vote removed",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "UPDATE_ERROR",
+        message: "Failed to remove helpful vote",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+export default router;
@@ -1,76 +1,60 @@
 import express from "express";
-import { SavedRecipe, Recipe } from "../models/index.js";
+import { SavedRecipe, Recipe, RecipeCollection } from "../models/index.js";
 import { authenticate } from "../middleware/authMiddleware.js";
 import {
   validate,
+  validateQuery,
   saveRecipeSchema,
   updateSavedRecipeSchema,
+  savedRecipeListQuerySchema,
 } from "../validators/schemas.js";
+import { listSavedRecipes } from "../services/savedRecipes.js";
+import { canReadRecipe } from "../services/recipeAccess.js";
+import { sendHttpError } from "../utils/errors.js";
 import mongoose from "mongoose";
 
 const router = express.Router();
 
 // ============================================================================
-// GET /api/users/me/saved - Get User's Saved Recipes
+// GET /api/users/me/saved - Get User's Saved Recipes (filtered, paginated)
 // ============================================================================
-router.get("/", authenticate, async (req, res) => {
-  try {
-    const userId = req.user.uid;
-
-    // Get all saved recipes for this user
-    const savedRecipes = await SavedRecipe.find({ userId })
-      .sort({ savedAt: -1 })
-      .populate("recipeId")
-      .lean();
-
-    // Transform to match frontend SavedRecipeSummary format
-    const transformedRecipes = savedRecipes
-      .filter((saved) => saved.recipeId) // Filter out any deleted recipes
-      .map((saved) => {
-        const recipe = saved.recipeId;
+router.get(
+  "/",
+  authenticate,
+  validateQuery(savedRecipeListQuerySchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
 
-        // Calculate total time
-        const prepMin = parseInt(recipe.prepTime) || 0;
-        const cookMin = parseInt(recipe.cookTime) || 0;
-        const totalMin = prepMin + cookMin;
-        const time = totalMin > 0 ? `${totalMin} min` : "Unknown";
+      const { recipes, totalCount, hasMore, nextCursor } =
+        await listSavedRecipes(userId, req.query);
 
-        return {
-          id: recipe._id.toString(),
-          userId: saved.userId,
-          title: recipe.title,
-          cuisine: recipe.cuisine,
-          time,
-          calories: recipe.calories,
-          imageUrl: recipe.imageUrl,
-          tags: recipe.tags,
-          savedAt: saved.savedAt,
-          notes: saved.notes,
-          rating: saved.rating,
-        };
+      res.json({
+        success: true,
+        data: {
+          userId,
+          recipes,
+          totalCount,
+          hasMore,
+          nextCursor,
+          updatedAt: new Date(),
+        },
+        timestamp: new Date(),
       });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
 
-    res.json({
-      success: true,
-      data: {
-        userId,
-        recipes: transformedRecipes,
-        totalCount: transformedRecipes.length,
-        updatedAt: new Date(),
-      },
-      timestamp: new Date(),
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "FETCH_ERROR",
-        message: "Failed to fetch saved recipes",
-      },
-      timestamp: new Date(),
-    });
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "FETCH_ERROR",
+          message: "Failed to fetch saved recipes",
+        },
+        timestamp: new Date(),
+      });
+    }
   }
-});
+);
 
 // ============================================================================
 // POST /api/users/me/saved - Save a Recipe
@@ -92,9 +76,9 @@ router.post("/", authenticate, validate(saveRecipeSchema), async (req, res) => {
       });
     }
 
-    // Check if recipe exists
+    // Check if recipe exists and is readable by the user
     const recipe = await Recipe.findById(recipeId);
-    if (!recipe) {
+    if (!recipe || !canReadRecipe(recipe, userId)) {
       return res.status(404).json({
         success: false,
         error: {
@@ -258,6 +242,12 @@ router.delete("/:recipeId", authenticate, async (req, res) => {
       });
     }
 
+    // Unsaved recipes leave every collection they were in
+    await RecipeCollection.updateMany(
+      { userId, recipeIds: recipeId },
+      { $pull: { recipeIds: recipeId } }
+    );
+
     res.json({
       success: true,
       message: "Recipe unsaved successfully",
@@ -0,0 +1,386 @@
+import express from "express";
+import { ShoppingList, Recipe } from "../models/index.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import {
+  validate,
+  createShoppingListSchema,
+  addShoppingListItemSchema,
+  updateShoppingListItemSchema,
+} from "../validators/schemas.js";
+import {
+  aggregateIngredients,
+  resolveItemCategory,
+  groupByCategory,
+} from "../services/shoppingList.js";
+import { readableRecipeCondition } from "../services/recipeAccess.js";
+import { parseAmount } from "../utils/ingredients.js";
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+/**
+ * Shape a shopping list for the response, with items grouped by category
+ * @param {object|null} list - ShoppingList document
+ * @param {string} userId
+ * @returns {object}
+ */
+const formatShoppingList = (list, userId) => {
+  const data = list
+    ? list.toObject()
+    : { userId, recipes: [], items: [], updatedAt: null };
+
+  return {
+    ...data,
+    categories: groupByCategory(data.items),
+    totalCount: data.items.length,
+    checkedCount: data.items.filter((item) => item.checked).length,
+  };
+};
+
+/**
+ * Send the standard 404 for a user without a shopping list
+ * @param {object} res
+ */
+const sendListNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message: "Shopping list not found",
+    },
+    timestamp: new Date(),
+  });
+
+// ============================================================================
+// GET /api/users/me/shopping-list - Get User's Shopping List
+// ============================================================================
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const list = await ShoppingList.findOne({ userId });
+
+    res.json({
+      success: true,
+      data: formatShoppingList(list, userId),
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch shopping list",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// POST /api/users/me/shopping-list - Build Shopping List from Recipes
+// ============================================================================
+router.post(
+  "/",
+  authenticate,
+  validate(createShoppingListSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { recipes: selections, keepManualItems } = req.body;
+
+      // Validate recipe ID format
+      const invalidIds = selections
+        .map((selection) => selection.recipeId)
+        .filter((recipeId) => !mongoose.Types.ObjectId.isValid(recipeId));
+      if (invalidIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "INVALID_ID",
+            message: "Invalid recipe ID format",
+            details: invalidIds,
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      const recipes = await Recipe.find({
+        _id: { $in: selections.map((selection) => selection.recipeId) },
+        ...readableRecipeCondition(userId),
+      }).lean();
+      const recipesById = new Map(
+        recipes.map((recipe) => [recipe._id.toString(), recipe])
+      );
+
+      const missingIds = selections
+        .map((selection) => selection.recipeId)
+        .filter((recipeId) => !recipesById.has(recipeId));
+      if (missingIds.length > 0) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "RECIPE_NOT_FOUND",
+            message: "Recipe not found",
+            details: missingIds,
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      const resolved = selections.map(({ recipeId, servings }) => ({
+        recipe: recipesById.get(recipeId),
+        servings,
+      }));
+
+      const recipeItems = aggregateIngredients(resolved).map((item) => ({
+        ...item,
+        source: "recipe",
+      }));
+
+      const existing = await ShoppingList.findOne({ userId }).lean();
+      const manualItems =
+        keepManualItems && existing
+          ? existing.items.filter((item) => item.source === "manual")
+          : [];
+
+      const list = await ShoppingList.findOneAndUpdate(
+        { userId },
+        {
+          $set: {
+            recipes: resolved.map(({ recipe, servings }) => ({
+              recipeId: recipe._id,
+              title: recipe.title,
+              servings: servings || recipe.servings,
+            })),
+            items: [...recipeItems, ...manualItems],
+          },
+          $setOnInsert: { userId },
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: formatShoppingList(list, userId),
+        message: "Shopping list created successfully",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "CREATE_ERROR",
+          message: "Failed to create shopping list",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// POST /api/users/me/shopping-list/items - Add Manual Item
+// ============================================================================
+router.post(
+  "/items",
+  authenticate,
+  validate(addShoppingListItemSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { name, amount = "", category } = req.body;
+
+      const list = await ShoppingList.findOneAndUpdate(
+        { userId },
+        {
+          $push: {
+            items: {
+              name,
+              amount,
+              ...parseAmount(amount),
+              category: resolveItemCategory(name, category),
+              source: "manual",
+            },
+          },
+          $setOnInsert: { userId },
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: formatShoppingList(list, userId),
+        message: "Item added to shopping list",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to add shopping list item",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// PATCH /api/users/me/shopping-list/items/:itemId - Update Item (check off, edit)
+// ============================================================================
+router.patch(
+  "/items/:itemId",
+  authenticate,
+  validate(updateShoppingListItemSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { itemId } = req.params;
+
+      // Validate item ID format
+      if (!mongoose.Types.ObjectId.isValid(itemId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "INVALID_ID",
+            message: "Invalid item ID format",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      const list = await ShoppingList.findOne({ userId });
+      if (!list) return sendListNotFound(res);
+
+      const item = list.items.id(itemId);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Shopping list item not found",
+          },
+          timestamp: new Date(),
+        });
+      }
+
+      const { name, amount, category, checked } = req.body;
+      if (name !== undefined) item.name = name;
+      if (amount !== undefined) {
+        Object.assign(item, { amount, ...parseAmount(amount) });
+      }
+      if (category !== undefined) {
+        item.category = resolveItemCategory(item.name, category);
+      }
+      if (checked !== undefined) item.checked = checked;
+
+      await list.save();
+
+      res.json({
+        success: true,
+        data: formatShoppingList(list, userId),
+        message: "Shopping list item updated",
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "UPDATE_ERROR",
+          message: "Failed to update shopping list item",
+        },
+        timestamp: new Date(),
+      });
+    }
+  }
+);
+
+// ============================================================================
+// DELETE /api/users/me/shopping-list/items/:itemId - Remove Item
+// ============================================================================
+router.delete("/items/:itemId", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { itemId } = req.params;
+
+    // Validate item ID format
+    if (!mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_ID",
+          message: "Invalid item ID format",
+        },
+        timestamp: new Date(),
+      });
+    }
+
+    const list = await ShoppingList.findOneAndUpdate(
+      { userId, "items._id": itemId },
+      { $pull: { items: { _id: itemId } } },
+      { new: true }
+    );
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Shopping list item not found",
+        },
+        timestamp: new Date(),
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatShoppingList(list, userId),
+      message: "Item removed from shopping list",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to remove shopping list item",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+// ============================================================================
+// DELETE /api/users/me/shopping-list/completed - Clear Checked Items
+// ============================================================================
+router.delete("/completed", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    const list = await ShoppingList.findOneAndUpdate(
+      { userId },
+      { $pull: { items: { checked: true } } },
+      { new: true }
+    );
+    if (!list) return sendListNotFound(res);
+
+    res.json({
+      success: true,
+      data: formatShoppingList(list, userId),
+      message: "Completed items cleared",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DELETE_ERROR",
+        message: "Failed to clear completed items",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+import express from "express";
+import { UserSettings } from "../models/index.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import { validate, updateUserSettingsSchema } from "../validators/schemas.js";
+
+const router = express.Router();
+
+// Sub-documents merged per field rather than replaced
+const NESTED_SETTINGS = ["notifications", "dailyTargets"];
+
+/**
+ * Build a MongoDB update from a settings payload.
+ * `notifications` and `dailyTargets` are flattened into dotted paths so that
+ * updating one flag or target keeps the others instead of replacing the
+ * whole sub-document.
+ * @param {object} body - Validated updateUserSettingsSchema payload
+ * @returns {object} $set document
+ */
+const buildSettingsUpdate = (body) => {
+  const update = { ...body };
+
+  for (const field of NESTED_SETTINGS) {
+    const values = update[field];
+    delete update[field];
+    if (!values) continue;
+
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== undefined) update[`${field}.${key}`] = value;
+    }
+  }
+
+  return update;
+};
+
+// ============================================================================
+// GET /api/users/me/settings - Get User Settings (creates defaults on first access)
+// ============================================================================
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const settings = await UserSettings.findOrCreate(req.user.uid);
+
+    res.json({
+      success: true,
+      data: settings.toObject(),
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "FETCH_ERROR",
+        message: "Failed to fetch user settings",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+/**
+ * Shared handler for PUT and PATCH: both merge the payload into the
+ * existing settings, with a deep merge for `notifications` and
+ * `dailyTargets`
+ */
+const updateSettings = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    const settings = await UserSettings.findOneAndUpdate(
+      { userId },
+      { $set: buildSettingsUpdate(req.body), $setOnInsert: { userId } },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+
+    res.json({
+      success: true,
+      data: settings.toObject(),
+      message: "Settings updated successfully",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Settings validation failed",
+          details: Object.values(error.errors).map((err) => err.message),
+        },
+        timestamp: new Date(),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "UPDATE_ERROR",
+        message: "Failed to update user settings",
+      },
+      timestamp: new Date(),
+    });
+  }
+};
+
+// ============================================================================
+// PUT /api/users/me/settings - Update User Settings
+// ============================================================================
+router.put(
+  "/",
+  authenticate,
+  validate(updateUserSettingsSchema),
+  updateSettings
+);
+
+// ============================================================================
+// PATCH /api/users/me/settings - Partially Update User Settings
+// ============================================================================
+router.patch(
+  "/",
+  authenticate,
+  validate(updateUserSettingsSchema),
+  updateSettings
+);
+
+// ============================================================================
+// POST /api/users/me/settings/reset - Reset User Settings to Defaults
+// ============================================================================
+router.post("/reset", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    await UserSettings.deleteOne({ userId });
+    const settings = await UserSettings.create({ userId });
+
+    res.json({
+      success: true,
+      data: settings.toObject(),
+      message: "Settings reset to defaults",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "RESET_ERROR",
+        message: "Failed to reset user settings",
+      },
+      timestamp: new Date(),
+    });
+  }
+});
+
+export default router;
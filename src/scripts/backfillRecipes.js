@@ -0,0 +1,53 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import { Recipe } from "../models/index.js";
+
+/**
+ * Backfill derived recipe fields
+ * Re-saves every recipe so the Recipe pre-save hook recomputes fields that
+ * are derived from other data (labels, minutes, numeric nutrition, ...).
+ * Recipes without a visibility are given one first.
+ *
+ * Usage: npm run backfill:recipes
+ */
+const backfillRecipes = async () => {
+  await connectDB();
+
+  // Recipes from before visibility existed: ownerless ones stay public,
+  // users' own and generated recipes become private
+  const legacy = { visibility: { $exists: false } };
+  await Recipe.updateMany(
+    { ...legacy, userId: { $in: [null, ""] } },
+    { $set: { visibility: "public" } }
+  );
+  await Recipe.updateMany(legacy, { $set: { visibility: "private" } });
+
+  let updated = 0;
+  let failed = 0;
+
+  for await (const recipe of Recipe.find().cursor()) {
+    try {
+      // Legacy documents may predate current validation rules
+      await recipe.save({ validateBeforeSave: false });
+      updated++;
+    } catch (error) {
+      failed++;
+      console.error(
+        `❌ Failed to backfill recipe ${recipe.id}:`,
+        error.message
+      );
+    }
+  }
+
+  console.log(
+    `✅ Backfilled ${updated} recipe(s)${failed ? `, ${failed} failed` : ""}`
+  );
+};
+
+backfillRecipes()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
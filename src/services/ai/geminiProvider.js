@@ -0,0 +1,98 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { buildRecipePrompt } from "./prompts.js";
+import { parseRecipeJson } from "./recipeJson.js";
+import { createHttpError } from "../../utils/errors.js";
+
+const DEFAULT_MODEL = "gemini-1.5-flash";
+
+/**
+ * Wrap an SDK failure in a provider error
+ * @param {Error} error
+ * @returns {Error}
+ */
+const toProviderError = (error) =>
+  createHttpError(
+    502,
+    "GENERATION_PROVIDER_ERROR",
+    "AI provider request failed",
+    error.message
+  );
+
+/**
+ * Create a Google Gemini recipe provider
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Defaults to GEMINI_API_KEY
+ * @param {string} [options.model] - Defaults to GEMINI_MODEL or gemini-1.5-flash
+ * @returns {{ name: string, model: string, generateRecipe: Function, streamRecipe: Function }}
+ */
+export const createGeminiProvider = ({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+} = {}) => {
+  if (!apiKey) {
+    throw new Error("GEMINI_API_KEY is required for the gemini AI provider");
+  }
+
+  const client = new GoogleGenerativeAI(apiKey);
+  const generativeModel = client.getGenerativeModel({
+    model,
+    generationConfig: {
+      responseMimeType: "application/json",
+      temperature: 0.8,
+    },
+  });
+
+  return {
+    name: "gemini",
+    model,
+
+    /**
+     * Generate a recipe draft from generation parameters
+     * @param {object} params - Validated recipeGenerationSchema payload
+     * @param {object} [options]
+     * @param {string[]} [options.feedback] - Problems with a previous attempt
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<object>} Unvalidated recipe draft
+     */
+    async generateRecipe(params, options = {}) {
+      let text;
+
+      try {
+        const result = await generativeModel.generateContent(
+          buildRecipePrompt(params, options),
+          { signal: options.signal }
+        );
+        text = result.response.text();
+      } catch (error) {
+        throw toProviderError(error);
+      }
+
+      return parseRecipeJson(text);
+    },
+
+    /**
+     * Stream the raw JSON text of a recipe draft as it is produced
+     * @param {object} params - Validated recipeGenerationSchema payload
+     * @param {object} [options]
+     * @param {string[]} [options.feedback] - Problems with a previous attempt
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *streamRecipe(params, options = {}) {
+      try {
+        const result = await generativeModel.generateContentStream(
+          buildRecipePrompt(params, options),
+          { signal: options.signal }
+        );
+
+        for await (const chunk of result.stream) {
+          yield chunk.text();
+        }
+      } catch (error) {
+        throw toProviderError(error);
+      }
+    },
+  };
+};
+
+export default createGeminiProvider;
@@ -0,0 +1,54 @@
+import { createGeminiProvider } from "./geminiProvider.js";
+import { createStubProvider } from "./stubProvider.js";
+
+/**
+ * AI provider registry
+ * Every provider exposes { name, model, generateRecipe(params, options) }.
+ */
+const providerFactories = {
+  gemini: createGeminiProvider,
+  stub: createStubProvider,
+};
+
+let cachedProvider = null;
+
+/**
+ * Resolve the configured provider name.
+ * AI_PROVIDER wins; otherwise Gemini is used when an API key is present,
+ * falling back to the offline stub.
+ * @returns {string}
+ */
+const resolveProviderName = () => {
+  if (process.env.AI_PROVIDER) {
+    return process.env.AI_PROVIDER.trim().toLowerCase();
+  }
+  return process.env.GEMINI_API_KEY ? "gemini" : "stub";
+};
+
+/**
+ * Get the recipe generation provider selected by environment variables
+ * @returns {{ name: string, model: string, generateRecipe: Function }}
+ */
+export const getRecipeProvider = () => {
+  if (cachedProvider) {
+    return cachedProvider;
+  }
+
+  const name = resolveProviderName();
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(
+        providerFactories
+      ).join(", ")}`
+    );
+  }
+
+  cachedProvider = factory();
+  return cachedProvider;
+};
+
+export { createGeminiProvider, createStubProvider };
+
+export default getRecipeProvider;
@@ -0,0 +1,108 @@
+/**
+ * Prompt construction for AI recipe generation
+ * The requested JSON shape mirrors createRecipeSchema in validators/schemas.js
+ */
+
+const RECIPE_JSON_SHAPE = `{
+  "title": string (3-200 characters),
+  "subtitle": string (optional, short tagline),
+  "description": string (10-2000 characters),
+  "prepTime": string (e.g. "15 min", "1 hr 10 min"),
+  "cookTime": string (e.g. "25 min"),
+  "servings": integer (1-100),
+  "calories": integer (calories per serving, 0-5000),
+  "difficulty": "Easy" | "Medium" | "Hard",
+  "tags": string[],
+  "cuisine": string,
+  "nutrition": {
+    "protein": string (e.g. "18g"),
+    "carbs": string (e.g. "45g"),
+    "fat": string (e.g. "12g"),
+    "fiber": string (e.g. "8g"),
+    "sodium": string (optional, e.g. "450mg"),
+    "sugar": string (optional),
+    "saturatedFat": string (optional),
+    "cholesterol": string (optional)
+  },
+  "ingredients": [{ "amount": string (e.g. "1/2 cup"), "item": string }],
+  "dressingIngredients": [{ "amount": string, "item": string }] (optional),
+  "steps": [{ "number": integer starting at 1, "title": string, "description": string, "tip": string (optional), "duration": string (optional) }],
+  "shoppingList": [{ "category": string (e.g. "Produce"), "items": string[] }]
+}`;
+
+/**
+ * Describe the user's generation parameters as prompt bullet points
+ * @param {object} params - Validated recipeGenerationSchema payload
+ * @returns {string[]}
+ */
+const describeParams = (params) => {
+  const lines = [];
+
+  if (params.mealType) lines.push(`Meal type: ${params.mealType}`);
+  if (params.cuisineType) lines.push(`Cuisine: ${params.cuisineType}`);
+  if (params.dietaryPreferences?.length) {
+    lines.push(`Dietary preferences: ${params.dietaryPreferences.join(", ")}`);
+  }
+  if (params.allergies?.length) {
+    lines.push(
+      `Allergies (the recipe MUST NOT contain these or anything derived from them): ${params.allergies.join(", ")}`
+    );
+  }
+  if (params.excludeIngredients?.length) {
+    lines.push(
+      `Ingredients to exclude entirely: ${params.excludeIngredients.join(", ")}`
+    );
+  }
+  if (params.availableIngredients?.length) {
+    lines.push(
+      `Prefer using these available ingredients: ${params.availableIngredients.join(", ")}`
+    );
+  }
+  if (params.nutritionalFocus) {
+    lines.push(`Nutritional focus: ${params.nutritionalFocus}`);
+  }
+  if (params.maxCalories) {
+    lines.push(`Maximum calories per serving: ${params.maxCalories}`);
+  }
+  if (params.maxPrepTime) {
+    lines.push(`Maximum prep time: ${params.maxPrepTime} minutes`);
+  }
+  if (params.maxCookTime) {
+    lines.push(`Maximum cook time: ${params.maxCookTime} minutes`);
+  }
+  if (params.servings) lines.push(`Servings: ${params.servings}`);
+  if (params.difficulty) lines.push(`Difficulty: ${params.difficulty}`);
+
+  return lines;
+};
+
+/**
+ * Build the recipe generation prompt
+ * @param {object} params - Validated recipeGenerationSchema payload
+ * @param {object} [options]
+ * @param {string[]} [options.feedback] - Problems with a previous attempt to correct
+ * @returns {string}
+ */
+export const buildRecipePrompt = (params, { feedback = [] } = {}) => {
+  const requirements = describeParams(params);
+
+  const sections = [
+    "You are a professional chef and nutritionist. Create one original recipe.",
+    requirements.length > 0
+      ? `Requirements:\n${requirements.map((line) => `- ${line}`).join("\n")}`
+      : "Requirements: none, choose a healthy, balanced recipe.",
+    `Respond with a single JSON object and nothing else, using exactly this shape:\n${RECIPE_JSON_SHAPE}`,
+  ];
+
+  if (feedback.length > 0) {
+    sections.push(
+      `Your previous answer was rejected. Fix these problems:\n${feedback
+        .map((line) => `- ${line}`)
+        .join("\n")}`
+    );
+  }
+
+  return sections.join("\n\n");
+};
+
+export default { buildRecipePrompt };
@@ -0,0 +1,182 @@
+import { createHttpError } from "../../utils/errors.js";
+
+/**
+ * Parse a model's text response into a recipe object.
+ * Tolerates markdown code fences around the JSON.
+ * @param {string} text - Raw model output
+ * @returns {object}
+ * @throws {Error} GENERATION_MALFORMED_OUTPUT when the text is not a JSON object
+ */
+export const parseRecipeJson = (text) => {
+  const cleaned = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    const parsed = JSON.parse(cleaned);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("Response is not a JSON object");
+    }
+    return parsed;
+  } catch (error) {
+    throw createHttpError(
+      502,
+      "GENERATION_MALFORMED_OUTPUT",
+      "AI provider returned malformed JSON",
+      error.message
+    );
+  }
+};
+
+/**
+ * Incremental parser for a streamed recipe JSON object.
+ * Reports each top-level field once its value is complete, and each element
+ * of the `steps` array as soon as it closes, so progress can be forwarded
+ * before the whole response has arrived. Malformed input is ignored here;
+ * the full text is validated with parseRecipeJson afterwards.
+ * @param {object} handlers
+ * @param {(key: string, value: *) => void} [handlers.onField]
+ * @param {(step: object, index: number) => void} [handlers.onStep]
+ * @returns {{ write: (chunk: string) => void, text: () => string }}
+ */
+export const createRecipeStreamParser = ({ onField, onStep } = {}) => {
+  let buffer = "";
+  let position = 0;
+  let started = false;
+
+  // Scanner state
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let currentKey = null;
+  let expectingKey = false;
+  let valueStart = -1;
+  let stepStart = -1;
+  let stepIndex = 0;
+
+  const emit = (handler, start, end, ...args) => {
+    if (!handler) return;
+    try {
+      handler(JSON.parse(buffer.slice(start, end)), ...args);
+    } catch {
+      // Incomplete or invalid fragment; the final parse reports errors
+    }
+  };
+
+  const finishValue = (end) => {
+    if (valueStart === -1 || currentKey === null) return;
+    const key = currentKey;
+    emit(onField && ((value) => onField(key, value)), valueStart, end);
+    valueStart = -1;
+    currentKey = null;
+  };
+
+  const scan = () => {
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (!started) {
+        if (char === "{") {
+          started = true;
+          stack.push("{");
+          expectingKey = true;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (stack.length === 1) {
+            if (expectingKey) {
+              currentKey = JSON.parse(buffer.slice(stringStart, position + 1));
+              expectingKey = false;
+            } else if (valueStart === stringStart) {
+              finishValue(position + 1);
+            }
+          }
+        }
+        continue;
+      }
+
+      if (/\s/.test(char)) continue;
+
+      // Start of a top-level value
+      if (
+        stack.length === 1 &&
+        !expectingKey &&
+        valueStart === -1 &&
+        char !== ":" &&
+        char !== ","
+      ) {
+        valueStart = position;
+      }
+
+      if (char === '"') {
+        inString = true;
+        stringStart = position;
+        continue;
+      }
+
+      if (char === "{" || char === "[") {
+        if (
+          char === "{" &&
+          stack.length === 2 &&
+          stack[1] === "[" &&
+          currentKey === "steps"
+        ) {
+          stepStart = position;
+        }
+        stack.push(char);
+        continue;
+      }
+
+      if (char === "}" || char === "]") {
+        stack.pop();
+
+        if (
+          char === "}" &&
+          stack.length === 2 &&
+          stepStart !== -1 &&
+          currentKey === "steps"
+        ) {
+          const index = stepIndex++;
+          emit(onStep, stepStart, position + 1, index);
+          stepStart = -1;
+        }
+
+        if (stack.length === 1) {
+          finishValue(position + 1);
+        } else if (stack.length === 0) {
+          // Closing the recipe object ends a trailing primitive value
+          finishValue(position);
+        }
+        continue;
+      }
+
+      if (stack.length === 1 && char === ",") {
+        // Primitive values (numbers, booleans, null) end at the separator
+        finishValue(position);
+        expectingKey = true;
+      }
+    }
+  };
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      scan();
+    },
+    text() {
+      return buffer;
+    },
+  };
+};
+
+export default { parseRecipeJson, createRecipeStreamParser };
@@ -0,0 +1,689 @@
+import { buildConstraintMatchers, matchIngredient } from "../allergens.js";
+import { deriveRecipeLabels, resolveDietLabel } from "../recipeLabels.js";
+
+/**
+ * Deterministic offline recipe provider
+ * Used for tests and local development where no network/API key is available.
+ * The same parameters always produce the same recipe.
+ */
+
+// Templates per meal type, in order of preference. Ingredients marked `main`
+// make the dish; a template missing one is only used as a last resort.
+// Steps mention other ingredients only through `uses` (item -> phrase), so
+// removed ingredients drop out of the instructions too.
+const TEMPLATES = {
+  Breakfast: [
+    {
+      title: "Overnight Oats with Berries",
+      subtitle: "No-cook make-ahead breakfast",
+      description:
+        "Creamy rolled oats soaked overnight and topped with fresh berries.",
+      prepTime: "10 min",
+      cookTime: "0 min",
+      servings: 2,
+      calories: 380,
+      difficulty: "Easy",
+      cuisine: "American",
+      tags: ["Breakfast", "Make-Ahead"],
+      nutrition: {
+        protein: "14g",
+        carbs: "58g",
+        fat: "10g",
+        fiber: "9g",
+        sodium: "120mg",
+        sugar: "18g",
+      },
+      ingredients: [
+        {
+          amount: "1 cup",
+          item: "Rolled oats",
+          category: "Pantry",
+          main: true,
+        },
+        { amount: "1 cup", item: "Milk", category: "Dairy" },
+        { amount: "2 tbsp", item: "Chia seeds", category: "Pantry" },
+        {
+          amount: "1 cup",
+          item: "Mixed berries",
+          category: "Produce",
+          main: true,
+        },
+        { amount: "1 tbsp", item: "Honey", category: "Pantry" },
+        { amount: "1 tbsp", item: "Almond butter", category: "Pantry" },
+      ],
+      steps: [
+        {
+          title: "Combine",
+          description: "Stir {uses} together in a jar or bowl.",
+          uses: {
+            "Rolled oats": "the oats",
+            Milk: "milk",
+            "Chia seeds": "chia seeds",
+          },
+        },
+        {
+          title: "Chill",
+          description: "Cover and refrigerate overnight, or at least 4 hours.",
+          duration: "4 hr",
+        },
+        {
+          title: "Top and Serve",
+          description: "Top with {uses} before serving.",
+          uses: {
+            "Mixed berries": "berries",
+            "Almond butter": "almond butter",
+            Honey: "a drizzle of honey",
+          },
+          tip: "Loosen with a splash of water if it has thickened too much.",
+        },
+      ],
+    },
+    {
+      title: "Banana Oat Porridge",
+      subtitle: "Warm plant-based breakfast",
+      description:
+        "Rolled oats simmered until creamy and finished with sliced banana.",
+      prepTime: "5 min",
+      cookTime: "10 min",
+      servings: 2,
+      calories: 340,
+      difficulty: "Easy",
+      cuisine: "American",
+      tags: ["Breakfast"],
+      nutrition: {
+        protein: "9g",
+        carbs: "62g",
+        fat: "6g",
+        fiber: "8g",
+        sodium: "90mg",
+        sugar: "16g",
+      },
+      ingredients: [
+        {
+          amount: "1 cup",
+          item: "Rolled oats",
+          category: "Pantry",
+          main: true,
+        },
+        { amount: "2 cups", item: "Oat milk", category: "Pantry" },
+        { amount: "1", item: "Banana", category: "Produce", main: true },
+        { amount: "1 tbsp", item: "Maple syrup", category: "Pantry" },
+        { amount: "1/2 tsp", item: "Ground cinnamon", category: "Spices" },
+      ],
+      steps: [
+        {
+          title: "Simmer",
+          description:
+            "Simmer {uses} for 10 minutes, stirring often, until creamy.",
+          uses: {
+            "Rolled oats": "the oats",
+            "Oat milk": "oat milk",
+            "Ground cinnamon": "cinnamon",
+          },
+          duration: "10 min",
+        },
+        {
+          title: "Serve",
+          description: "Top with {uses}.",
+          uses: { Banana: "sliced banana", "Maple syrup": "maple syrup" },
+        },
+      ],
+    },
+  ],
+  Lunch: [
+    {
+      title: "Chickpea Quinoa Salad",
+      subtitle: "Bright, protein-packed grain bowl",
+      description:
+        "Fluffy quinoa tossed with chickpeas, crunchy vegetables and a bright dressing.",
+      prepTime: "15 min",
+      cookTime: "15 min",
+      servings: 4,
+      calories: 420,
+      difficulty: "Easy",
+      cuisine: "Mediterranean",
+      tags: ["Lunch", "Vegetarian", "High-Protein"],
+      nutrition: {
+        protein: "16g",
+        carbs: "55g",
+        fat: "15g",
+        fiber: "11g",
+        sodium: "380mg",
+      },
+      ingredients: [
+        { amount: "1 cup", item: "Quinoa", category: "Grains", main: true },
+        {
+          amount: "1 can (15 oz)",
+          item: "Chickpeas",
+          category: "Pantry",
+          main: true,
+        },
+        { amount: "1", item: "Cucumber", category: "Produce" },
+        { amount: "1 cup", item: "Cherry tomatoes", category: "Produce" },
+        { amount: "1/4 cup", item: "Fresh parsley", category: "Produce" },
+      ],
+      dressingIngredients: [
+        { amount: "3 tbsp", item: "Olive oil", category: "Pantry" },
+        { amount: "2 tbsp", item: "Lemon juice", category: "Produce" },
+        { amount: "1 tbsp", item: "Tahini", category: "Pantry" },
+        { amount: "1/2 tsp", item: "Salt", category: "Pantry" },
+      ],
+      steps: [
+        {
+          title: "Cook Quinoa",
+          description:
+            "Rinse the quinoa and simmer in 2 cups of water for 15 minutes, then fluff and cool.",
+          duration: "15 min",
+        },
+        {
+          title: "Prepare Vegetables",
+          description: "{uses}.",
+          uses: {
+            Cucumber: "dice the cucumber",
+            "Cherry tomatoes": "halve the tomatoes",
+            "Fresh parsley": "chop the parsley",
+            Chickpeas: "drain and rinse the chickpeas",
+          },
+        },
+        {
+          title: "Make Dressing",
+          description: "Whisk {uses}.",
+          uses: {
+            "Olive oil": "the olive oil",
+            "Lemon juice": "lemon juice",
+            Tahini: "tahini",
+            Salt: "salt",
+          },
+        },
+        {
+          title: "Toss",
+          description: "Combine everything with the dressing and serve.",
+          tip: "Keeps well in the fridge for up to 3 days.",
+        },
+      ],
+    },
+  ],
+  Dinner: [
+    {
+      title: "Garlic Chicken with Roasted Vegetables",
+      subtitle: "One-pan weeknight dinner",
+      description:
+        "Juicy herb-roasted chicken breasts cooked on a single tray with vegetables.",
+      prepTime: "15 min",
+      cookTime: "25 min",
+      servings: 4,
+      calories: 450,
+      difficulty: "Medium",
+      cuisine: "International",
+      tags: ["Dinner", "High-Protein"],
+      nutrition: {
+        protein: "38g",
+        carbs: "18g",
+        fat: "22g",
+        fiber: "5g",
+        sodium: "520mg",
+      },
+      ingredients: [
+        {
+          amount: "1 1/2 lb",
+          item: "Chicken breast",
+          category: "Meat & Seafood",
+          main: true,
+        },
+        { amount: "2 cups", item: "Broccoli florets", category: "Produce" },
+        { amount: "2", item: "Bell peppers", category: "Produce" },
+        { amount: "3 tbsp", item: "Olive oil", category: "Pantry" },
+        { amount: "4 cloves", item: "Garlic", category: "Produce", main: true },
+        { amount: "1 tbsp", item: "Soy sauce", category: "Pantry" },
+        { amount: "to taste", item: "Salt and pepper", category: "Pantry" },
+      ],
+      steps: [
+        {
+          title: "Preheat",
+          description: "Preheat the oven to 220°C (425°F).",
+        },
+        {
+          title: "Season",
+          description: "Toss {uses}.",
+          uses: {
+            "Chicken breast": "the chicken",
+            "Broccoli florets": "broccoli",
+            "Bell peppers": "sliced peppers",
+            "Olive oil": "olive oil",
+            Garlic: "minced garlic",
+            "Soy sauce": "soy sauce",
+            "Salt and pepper": "salt and pepper",
+          },
+        },
+        {
+          title: "Roast",
+          description:
+            "Spread on a baking tray and roast for 25 minutes until the chicken is cooked through.",
+          duration: "25 min",
+          tip: "Chicken is done when it reaches 74°C (165°F) inside.",
+        },
+      ],
+    },
+    {
+      title: "Chickpea and Spinach Curry",
+      subtitle: "Quick plant-based curry",
+      description:
+        "Chickpeas simmered with spinach in a fragrant spiced tomato sauce.",
+      prepTime: "10 min",
+      cookTime: "20 min",
+      servings: 4,
+      calories: 410,
+      difficulty: "Easy",
+      cuisine: "Indian",
+      tags: ["Dinner", "High-Fiber"],
+      nutrition: {
+        protein: "15g",
+        carbs: "52g",
+        fat: "16g",
+        fiber: "13g",
+        sodium: "460mg",
+      },
+      ingredients: [
+        {
+          amount: "2 cans (15 oz)",
+          item: "Chickpeas",
+          category: "Pantry",
+          main: true,
+        },
+        {
+          amount: "1 can (14 oz)",
+          item: "Chopped tomatoes",
+          category: "Pantry",
+          main: true,
+        },
+        { amount: "1", item: "Onion", category: "Produce" },
+        { amount: "3 cloves", item: "Garlic", category: "Produce" },
+        { amount: "2 tbsp", item: "Curry powder", category: "Spices" },
+        { amount: "2 tbsp", item: "Olive oil", category: "Pantry" },
+        {
+          amount: "4 cups",
+          item: "Baby spinach",
+          category: "Produce",
+          main: true,
+        },
+        { amount: "1 cup", item: "Basmati rice", category: "Grains" },
+      ],
+      steps: [
+        {
+          title: "Cook Rice",
+          description: "Simmer {uses} in 2 cups of water for 15 minutes.",
+          uses: { "Basmati rice": "the rice" },
+          duration: "15 min",
+        },
+        {
+          title: "Fry Aromatics",
+          description: "Soften {uses} for 5 minutes.",
+          uses: {
+            Onion: "the chopped onion",
+            Garlic: "garlic",
+            "Curry powder": "curry powder",
+            "Olive oil": "olive oil",
+          },
+          duration: "5 min",
+        },
+        {
+          title: "Simmer",
+          description:
+            "Add the chickpeas and tomatoes and simmer for 10 minutes.",
+          duration: "10 min",
+        },
+        {
+          title: "Finish",
+          description: "Stir in {uses} until wilted, then serve.",
+          uses: { "Baby spinach": "the spinach" },
+        },
+      ],
+    },
+  ],
+  Snack: [
+    {
+      title: "Spiced Roasted Chickpeas",
+      subtitle: "Crunchy high-fiber snack",
+      description: "Chickpeas roasted until crisp with a smoky spice rub.",
+      prepTime: "5 min",
+      cookTime: "30 min",
+      servings: 4,
+      calories: 160,
+      difficulty: "Easy",
+      cuisine: "Mediterranean",
+      tags: ["Snack", "Vegan", "Gluten-Free"],
+      nutrition: {
+        protein: "7g",
+        carbs: "20g",
+        fat: "6g",
+        fiber: "6g",
+        sodium: "240mg",
+      },
+      ingredients: [
+        {
+          amount: "2 cans (15 oz)",
+          item: "Chickpeas",
+          category: "Pantry",
+          main: true,
+        },
+        { amount: "1 tbsp", item: "Olive oil", category: "Pantry" },
+        { amount: "1 tsp", item: "Smoked paprika", category: "Spices" },
+        { amount: "1/2 tsp", item: "Ground cumin", category: "Spices" },
+        { amount: "1/2 tsp", item: "Salt", category: "Pantry" },
+      ],
+      steps: [
+        {
+          title: "Dry Chickpeas",
+          description:
+            "Drain, rinse and pat the chickpeas completely dry with a towel.",
+        },
+        {
+          title: "Season",
+          description: "Toss with {uses}.",
+          uses: {
+            "Olive oil": "olive oil",
+            "Smoked paprika": "paprika",
+            "Ground cumin": "cumin",
+            Salt: "salt",
+          },
+        },
+        {
+          title: "Roast",
+          description:
+            "Roast at 200°C (400°F) for 30 minutes, shaking the tray halfway.",
+          duration: "30 min",
+        },
+      ],
+    },
+  ],
+  Dessert: [
+    {
+      title: "Greek Yogurt Berry Parfait",
+      subtitle: "Light layered dessert",
+      description:
+        "Layers of thick Greek yogurt and fresh berries with a crunchy topping.",
+      prepTime: "10 min",
+      cookTime: "0 min",
+      servings: 2,
+      calories: 310,
+      difficulty: "Easy",
+      cuisine: "Greek",
+      tags: ["Dessert", "Vegetarian"],
+      nutrition: {
+        protein: "17g",
+        carbs: "36g",
+        fat: "12g",
+        fiber: "4g",
+        sugar: "24g",
+      },
+      ingredients: [
+        {
+          amount: "1 1/2 cups",
+          item: "Greek yogurt",
+          category: "Dairy",
+          main: true,
+        },
+        {
+          amount: "1 cup",
+          item: "Mixed berries",
+          category: "Produce",
+          main: true,
+        },
+        { amount: "1/2 cup", item: "Granola", category: "Pantry" },
+        { amount: "2 tbsp", item: "Walnuts", category: "Pantry" },
+        { amount: "1 tbsp", item: "Honey", category: "Pantry" },
+      ],
+      steps: [
+        {
+          title: "Layer",
+          description: "Spoon {uses} into glasses in alternating layers.",
+          uses: {
+            "Greek yogurt": "yogurt",
+            "Mixed berries": "berries",
+            Granola: "granola",
+          },
+        },
+        {
+          title: "Finish",
+          description: "Top with {uses}.",
+          uses: { Walnuts: "chopped walnuts", Honey: "a drizzle of honey" },
+          tip: "Assemble just before serving so the topping stays crunchy.",
+        },
+      ],
+    },
+    {
+      title: "Cinnamon Baked Apples",
+      subtitle: "Warm fruit dessert",
+      description: "Tender apples baked with a warm spiced filling.",
+      prepTime: "10 min",
+      cookTime: "30 min",
+      servings: 4,
+      calories: 220,
+      difficulty: "Easy",
+      cuisine: "American",
+      tags: ["Dessert"],
+      nutrition: {
+        protein: "2g",
+        carbs: "42g",
+        fat: "6g",
+        fiber: "6g",
+        sugar: "28g",
+      },
+      ingredients: [
+        { amount: "4", item: "Apples", category: "Produce", main: true },
+        { amount: "1/2 cup", item: "Rolled oats", category: "Pantry" },
+        { amount: "2 tbsp", item: "Maple syrup", category: "Pantry" },
+        { amount: "2 tbsp", item: "Coconut oil", category: "Pantry" },
+        { amount: "1 tsp", item: "Ground cinnamon", category: "Spices" },
+      ],
+      steps: [
+        {
+          title: "Prepare",
+          description: "Preheat the oven to 190°C (375°F) and core the apples.",
+        },
+        {
+          title: "Fill",
+          description: "Mix {uses} and fill the apples.",
+          uses: {
+            "Rolled oats": "the oats",
+            "Maple syrup": "maple syrup",
+            "Coconut oil": "coconut oil",
+            "Ground cinnamon": "cinnamon",
+          },
+        },
+        {
+          title: "Bake",
+          description: "Bake for 30 minutes until the apples are tender.",
+          duration: "30 min",
+        },
+      ],
+    },
+  ],
+};
+
+const DEFAULT_MEAL_TYPE = "Dinner";
+const STREAM_CHUNK_SIZE = 64;
+
+/**
+ * Group ingredient entries into shopping list categories
+ * @param {Array<{ item: string, category: string }>} entries
+ * @returns {Array<{ category: string, items: string[] }>}
+ */
+const buildShoppingList = (entries) => {
+  const categories = new Map();
+
+  for (const { item, category } of entries) {
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(item);
+  }
+
+  return Array.from(categories, ([category, items]) => ({ category, items }));
+};
+
+/**
+ * Join phrases into a list ("a, b and c")
+ * @param {string[]} phrases
+ * @returns {string}
+ */
+const joinList = (phrases) =>
+  phrases.length > 1
+    ? `${phrases.slice(0, -1).join(", ")} and ${phrases[phrases.length - 1]}`
+    : phrases[0];
+
+/**
+ * Write a template's steps for the ingredients that were kept. Steps whose
+ * `uses` were all left out are dropped.
+ * @param {object[]} steps - Template steps
+ * @param {Set<string>} kept - Kept ingredient items
+ * @returns {object[]} Numbered recipe steps
+ */
+const renderSteps = (steps, kept) =>
+  steps
+    .map(({ uses, description, ...step }) => {
+      if (!uses) return { ...step, description };
+
+      const phrases = Object.entries(uses)
+        .filter(([item]) => kept.has(item))
+        .map(([, phrase]) => phrase);
+      if (phrases.length === 0) return null;
+
+      const text = description.replace("{uses}", joinList(phrases));
+      return {
+        ...step,
+        description: text.charAt(0).toUpperCase() + text.slice(1),
+      };
+    })
+    .filter(Boolean)
+    .map((step, index) => ({ number: index + 1, ...step }));
+
+/**
+ * Build a draft from one template, leaving out ingredients that match the
+ * allergies or excluded ingredients
+ * @param {object} template
+ * @param {object} params - Validated recipeGenerationSchema payload
+ * @param {Array<object>} matchers - From buildConstraintMatchers
+ * @returns {{ draft: object, removed: object[], dietLabels: string[] }}
+ */
+const buildDraft = (template, params, matchers) => {
+  const removed = [];
+  const keep = (entries = []) =>
+    entries.filter((entry) => {
+      const allowed = matchIngredient(entry.item, matchers).length === 0;
+      if (!allowed) removed.push(entry);
+      return allowed;
+    });
+
+  const ingredients = keep(template.ingredients);
+  const dressingIngredients = keep(template.dressingIngredients);
+  const kept = new Set(
+    [...ingredients, ...dressingIngredients].map(({ item }) => item)
+  );
+  const toEntry = ({ amount, item }) => ({ amount, item });
+
+  const draft = {
+    title: params.cuisineType
+      ? `${params.cuisineType} ${template.title}`
+      : template.title,
+    subtitle: template.subtitle,
+    description: template.description,
+    prepTime: template.prepTime,
+    cookTime: template.cookTime,
+    servings: params.servings || template.servings,
+    calories: params.maxCalories
+      ? Math.min(template.calories, params.maxCalories)
+      : template.calories,
+    difficulty: params.difficulty || template.difficulty,
+    tags: [...template.tags],
+    cuisine: params.cuisineType || template.cuisine,
+    nutrition: { ...template.nutrition },
+    ingredients: ingredients.map(toEntry),
+    ...(dressingIngredients.length > 0 && {
+      dressingIngredients: dressingIngredients.map(toEntry),
+    }),
+    steps: renderSteps(template.steps, kept),
+    shoppingList: buildShoppingList([...ingredients, ...dressingIngredients]),
+  };
+
+  return { draft, removed, dietLabels: deriveRecipeLabels(draft).dietLabels };
+};
+
+/**
+ * Pick the best draft for the request: one keeping its main ingredients,
+ * then one meeting every derivable diet, then the fewest left-out
+ * ingredients, then template order
+ * @param {object[]} templates
+ * @param {object} params - Validated recipeGenerationSchema payload
+ * @returns {{ draft: object, dietLabels: string[] }}
+ */
+const chooseDraft = (templates, params) => {
+  const matchers = buildConstraintMatchers(params);
+  const requiredLabels = (params.dietaryPreferences || [])
+    .map(resolveDietLabel)
+    .filter(Boolean);
+
+  const ranked = templates.map((template, index) => {
+    const candidate = buildDraft(template, params, matchers);
+    return {
+      ...candidate,
+      index,
+      lostMain: candidate.removed.some((entry) => entry.main),
+      meetsDiet: requiredLabels.every((label) =>
+        candidate.dietLabels.includes(label)
+      ),
+    };
+  });
+
+  ranked.sort(
+    (a, b) =>
+      a.lostMain - b.lostMain ||
+      b.meetsDiet - a.meetsDiet ||
+      a.removed.length - b.removed.length ||
+      a.index - b.index
+  );
+  return ranked[0];
+};
+
+/**
+ * Create the deterministic offline recipe provider
+ * @returns {{ name: string, model: string, generateRecipe: Function, streamRecipe: Function }}
+ */
+export const createStubProvider = () => ({
+  name: "stub",
+  model: "stub-template-v1",
+
+  /**
+   * Build a recipe draft from the template for the meal type that best fits
+   * the constraints. Ingredients matching allergies or excluded ingredients
+   * are left out, and requested diets are only tagged when the ingredients
+   * meet them.
+   * @param {object} params - Validated recipeGenerationSchema payload
+   * @returns {Promise<object>} Recipe draft
+   */
+  async generateRecipe(params) {
+    const templates =
+      TEMPLATES[params.mealType] || TEMPLATES[DEFAULT_MEAL_TYPE];
+    const { draft, dietLabels } = chooseDraft(templates, params);
+
+    const dietTags = (params.dietaryPreferences || []).filter((preference) =>
+      dietLabels.includes(resolveDietLabel(preference))
+    );
+    draft.tags = Array.from(new Set([...dietTags, ...draft.tags]));
+
+    return draft;
+  },
+
+  /**
+   * Stream the JSON text of the template recipe in fixed-size chunks
+   * @param {object} params - Validated recipeGenerationSchema payload
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *streamRecipe(params) {
+    const text = JSON.stringify(await this.generateRecipe(params));
+
+    for (let index = 0; index < text.length; index += STREAM_CHUNK_SIZE) {
+      yield text.slice(index, index + STREAM_CHUNK_SIZE);
+    }
+  },
+});
+
+export default createStubProvider;
@@ -0,0 +1,535 @@
+import { escapeRegExp } from "../utils/regex.js";
+
+/**
+ * Allergen dictionary and ingredient constraint checking
+ * Maps common allergens to the ingredient names they hide behind, so that
+ * "peanut" also catches "groundnut oil" or "satay sauce".
+ */
+
+/**
+ * Canonical allergens with ingredient synonyms.
+ * `exceptions` are phrases that contain a synonym but are safe
+ * (e.g. "peanut butter" is not dairy, "coconut milk" is not milk); a synonym
+ * is only excused where an exception covers it. `freeFrom` labels such as
+ * "gluten-free" mark the whole ingredient as safe.
+ */
+export const ALLERGENS = {
+  peanut: {
+    label: "Peanut",
+    synonyms: [
+      "peanut",
+      "groundnut",
+      "goober",
+      "arachis",
+      "satay",
+      "monkey nut",
+    ],
+    exceptions: [],
+    freeFrom: ["peanut-free", "peanut free", "nut-free", "nut free"],
+  },
+  treeNut: {
+    label: "Tree nut",
+    synonyms: [
+      "almond",
+      "cashew",
+      "walnut",
+      "pecan",
+      "pistachio",
+      "hazelnut",
+      "filbert",
+      "macadamia",
+      "brazil nut",
+      "pine nut",
+      "chestnut",
+      "praline",
+      "marzipan",
+      "frangipane",
+      "gianduja",
+      "nutella",
+      "mixed nut",
+      "nut butter",
+      // Unspecified nuts, e.g. "chopped nuts"; whole words only, so coconut,
+      // nutmeg and butternut do not match
+      "nut",
+      "pesto",
+    ],
+    exceptions: ["water chestnut"],
+    freeFrom: ["nut-free", "nut free"],
+  },
+  shellfish: {
+    label: "Shellfish",
+    synonyms: [
+      "shellfish",
+      "shrimp",
+      "prawn",
+      "crab",
+      "lobster",
+      "crayfish",
+      "crawfish",
+      "langoustine",
+      "scampi",
+      "krill",
+      "scallop",
+      "clam",
+      "mussel",
+      "oyster",
+      "squid",
+      "calamari",
+      "octopus",
+      "cockle",
+      "whelk",
+      "oyster sauce",
+    ],
+    exceptions: ["oyster mushroom"],
+    freeFrom: [],
+  },
+  fish: {
+    label: "Fish",
+    synonyms: [
+      "fish",
+      "salmon",
+      "tuna",
+      "cod",
+      "anchovy",
+      "sardine",
+      "mackerel",
+      "trout",
+      "tilapia",
+      "halibut",
+      "haddock",
+      "sea bass",
+      "snapper",
+      "herring",
+      "pollock",
+      "swordfish",
+      "fish sauce",
+      "worcestershire",
+      "bonito",
+      "dashi",
+    ],
+    exceptions: ["shellfish"],
+    freeFrom: [],
+  },
+  dairy: {
+    label: "Dairy",
+    synonyms: [
+      "milk",
+      "cheese",
+      "butter",
+      "buttermilk",
+      "cream",
+      "yogurt",
+      "yoghurt",
+      "ghee",
+      "whey",
+      "casein",
+      "lactose",
+      "parmesan",
+      "mozzarella",
+      "cheddar",
+      "feta",
+      "ricotta",
+      "mascarpone",
+      "paneer",
+      "halloumi",
+      "custard",
+      "kefir",
+      "creme fraiche",
+      "gruyere",
+      "gruyère",
+      "brie",
+      "camembert",
+      "gouda",
+      "emmental",
+      "emmenthal",
+      "manchego",
+      "pecorino",
+      "gorgonzola",
+      "roquefort",
+      "stilton",
+      "provolone",
+      "fontina",
+      "burrata",
+      "havarti",
+      "asiago",
+      "comte",
+      "comté",
+      "taleggio",
+      "queso",
+      "quark",
+      "monterey jack",
+      // Traditionally made with parmesan
+      "pesto",
+    ],
+    exceptions: [
+      "peanut butter",
+      "almond butter",
+      "cashew butter",
+      "nut butter",
+      "sunflower butter",
+      "cocoa butter",
+      // Legumes
+      "butter bean",
+      "apple butter",
+      "coconut milk",
+      "coconut cream",
+      "coconut yogurt",
+      "almond milk",
+      "oat milk",
+      "soy milk",
+      "rice milk",
+      "cashew milk",
+      "cream of tartar",
+      "vegan cheese",
+      "vegan cream cheese",
+      "vegan parmesan",
+      "vegan butter",
+      "vegan pesto",
+    ],
+    freeFrom: ["dairy-free", "dairy free"],
+  },
+  egg: {
+    label: "Egg",
+    synonyms: [
+      "egg",
+      "egg white",
+      "egg yolk",
+      "mayonnaise",
+      "mayo",
+      "aioli",
+      "meringue",
+      "albumen",
+    ],
+    exceptions: ["flax egg", "chia egg", "vegan mayo"],
+    freeFrom: ["egg-free", "egg free"],
+  },
+  gluten: {
+    label: "Gluten",
+    synonyms: [
+      "gluten",
+      "wheat",
+      "flour",
+      "bread",
+      "breadcrumb",
+      "panko",
+      "pasta",
+      "spaghetti",
+      "noodle",
+      "couscous",
+      "semolina",
+      "bulgur",
+      "barley",
+      "rye",
+      "spelt",
+      "farro",
+      "seitan",
+      "malt",
+      "cracker",
+      "tortilla",
+      "soy sauce",
+      "granola",
+    ],
+    exceptions: [
+      "rice flour",
+      "almond flour",
+      "coconut flour",
+      "chickpea flour",
+      "buckwheat flour",
+      "corn flour",
+      "potato flour",
+      "tapioca flour",
+      "corn tortilla",
+      "rice noodle",
+    ],
+    freeFrom: ["gluten-free", "gluten free"],
+  },
+  soy: {
+    label: "Soy",
+    synonyms: [
+      "soy",
+      "soya",
+      "soybean",
+      "tofu",
+      "tempeh",
+      "edamame",
+      "miso",
+      "tamari",
+    ],
+    exceptions: [],
+    freeFrom: [],
+  },
+  sesame: {
+    label: "Sesame",
+    synonyms: ["sesame", "tahini", "benne", "gomasio", "halva", "halvah"],
+    exceptions: [],
+    freeFrom: [],
+  },
+  mustard: {
+    label: "Mustard",
+    synonyms: ["mustard"],
+    exceptions: [],
+    freeFrom: [],
+  },
+  celery: {
+    label: "Celery",
+    synonyms: ["celery", "celeriac"],
+    exceptions: [],
+    freeFrom: [],
+  },
+};
+
+/**
+ * User-facing allergy names mapped to canonical allergen keys
+ */
+const ALLERGY_ALIASES = {
+  peanut: ["peanut"],
+  peanuts: ["peanut"],
+  groundnut: ["peanut"],
+  nut: ["peanut", "treeNut"],
+  nuts: ["peanut", "treeNut"],
+  "tree nut": ["treeNut"],
+  "tree nuts": ["treeNut"],
+  shellfish: ["shellfish"],
+  crustacean: ["shellfish"],
+  crustaceans: ["shellfish"],
+  mollusc: ["shellfish"],
+  molluscs: ["shellfish"],
+  seafood: ["shellfish", "fish"],
+  fish: ["fish"],
+  dairy: ["dairy"],
+  milk: ["dairy"],
+  lactose: ["dairy"],
+  egg: ["egg"],
+  eggs: ["egg"],
+  gluten: ["gluten"],
+  wheat: ["gluten"],
+  celiac: ["gluten"],
+  coeliac: ["gluten"],
+  soy: ["soy"],
+  soya: ["soy"],
+  sesame: ["sesame"],
+  mustard: ["mustard"],
+  celery: ["celery"],
+};
+
+/**
+ * Build a whole-word, plural-tolerant pattern for a term
+ * ("anchovy" also matches "anchovies", "peanut" matches "peanuts").
+ * Word boundaries are Unicode-aware, since `\b` treats accented letters as
+ * non-word characters and would never match "comté" in "Comté cheese".
+ * Copies built from `pattern.source` need the `u` flag too.
+ * @param {string} term
+ * @returns {RegExp}
+ */
+export const termPattern = (term) => {
+  const escaped = escapeRegExp(term.toLowerCase()).replace(/\s+/g, "[\\s-]+");
+  const stem = escaped.endsWith("y")
+    ? `${escaped.slice(0, -1)}(?:y|ies)`
+    : `${escaped}(?:e?s)?`;
+  return new RegExp(`(?<![\\p{L}\\p{N}])${stem}(?![\\p{L}\\p{N}])`, "iu");
+};
+
+/**
+ * Normalize a user-supplied constraint ("Peanut allergy" -> "peanut")
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeConstraint = (value) =>
+  value
+    .toLowerCase()
+    .replace(/\b(allergy|allergies|allergic|intolerance|free)\b/g, "")
+    .replace(/-+$/, "")
+    .trim();
+
+/**
+ * Resolve a user-supplied allergy to canonical allergen keys
+ * ("Nut allergy" -> ["peanut", "treeNut"])
+ * @param {string} value
+ * @returns {string[]} Allergen keys; empty for unknown allergies
+ */
+export const resolveAllergyKeys = (value) =>
+  ALLERGY_ALIASES[normalizeConstraint(value)] || [];
+
+/**
+ * Allergen synonym and exception patterns, compiled once
+ */
+const COMPILED_ALLERGENS = Object.fromEntries(
+  Object.entries(ALLERGENS).map(([key, allergen]) => [
+    key,
+    {
+      terms: allergen.synonyms.map((term) => ({
+        term,
+        pattern: termPattern(term),
+      })),
+      exceptions: allergen.exceptions.map(termPattern),
+      freeFrom: allergen.freeFrom.map(termPattern),
+    },
+  ])
+);
+
+/**
+ * Compile matchers for each allergy and excluded ingredient.
+ * Known allergies expand to their synonym dictionary; anything else is
+ * matched literally.
+ * @param {object} constraints
+ * @param {string[]} [constraints.allergies]
+ * @param {string[]} [constraints.excludeIngredients]
+ * @returns {Array<object>} Matchers
+ */
+export const buildConstraintMatchers = ({
+  allergies = [],
+  excludeIngredients = [],
+} = {}) => {
+  const matchers = [];
+
+  const addMatchers = (values, type) => {
+    for (const value of values) {
+      const normalized = normalizeConstraint(value);
+      if (!normalized) continue;
+
+      const allergenKeys = resolveAllergyKeys(value);
+
+      if (allergenKeys.length === 0) {
+        matchers.push({
+          type,
+          constraint: value,
+          allergen: null,
+          terms: [{ term: normalized, pattern: termPattern(normalized) }],
+          exceptions: [],
+          freeFrom: [termPattern(`${normalized}-free`)],
+        });
+        continue;
+      }
+
+      for (const key of allergenKeys) {
+        matchers.push({
+          type,
+          constraint: value,
+          allergen: key,
+          ...COMPILED_ALLERGENS[key],
+        });
+      }
+    }
+  };
+
+  addMatchers(allergies, "allergy");
+  addMatchers(excludeIngredients, "excludedIngredient");
+
+  return matchers;
+};
+
+/**
+ * Character ranges of every match of a pattern in a piece of text
+ * @param {RegExp} pattern
+ * @param {string} text
+ * @returns {Array<[number, number]>}
+ */
+const findSpans = (pattern, text) =>
+  Array.from(text.matchAll(new RegExp(pattern.source, "giu")), (match) => [
+    match.index,
+    match.index + match[0].length,
+  ]);
+
+/**
+ * Find the first term of a matcher contained in a piece of text.
+ * An occurrence is ignored when a listed exception covers it, so the
+ * exception "rice flour" excuses "rice flour" but not "buckwheat and flour".
+ * Text labelled free from the allergen ("gluten-free soy sauce") never
+ * matches.
+ * @param {object} matcher - From buildConstraintMatchers
+ * @param {string} text
+ * @returns {string|null} Matched term
+ */
+const matchText = (matcher, text) => {
+  const lower = text.toLowerCase();
+  if (matcher.freeFrom.some((pattern) => pattern.test(lower))) return null;
+
+  const excused = matcher.exceptions.flatMap((pattern) =>
+    findSpans(pattern, lower)
+  );
+  const isExcused = ([start, end]) =>
+    excused.some(([from, to]) => from <= start && end <= to);
+
+  const hit = matcher.terms.find(({ pattern }) =>
+    findSpans(pattern, lower).some((span) => !isExcused(span))
+  );
+  return hit ? hit.term : null;
+};
+
+/**
+ * Check a single ingredient name against compiled matchers
+ * @param {string} text - Ingredient name
+ * @param {Array<object>} matchers - From buildConstraintMatchers
+ * @returns {Array<{ matcher: object, term: string }>}
+ */
+export const matchIngredient = (text, matchers) => {
+  if (typeof text !== "string" || !text) return [];
+
+  return matchers
+    .map((matcher) => ({ matcher, term: matchText(matcher, text) }))
+    .filter(({ term }) => term !== null);
+};
+
+/**
+ * Detect which canonical allergens an ingredient name contains
+ * @param {string} text - Ingredient name
+ * @returns {string[]} Allergen keys (e.g. ["treeNut"])
+ */
+export const detectAllergens = (text) => {
+  if (typeof text !== "string" || !text) return [];
+
+  return Object.keys(COMPILED_ALLERGENS).filter(
+    (key) => matchText(COMPILED_ALLERGENS[key], text) !== null
+  );
+};
+
+/**
+ * Scan a recipe's ingredients, dressing ingredients and shopping list for
+ * allergies and excluded ingredients.
+ * @param {object} recipe - Recipe (or draft) to check
+ * @param {object} constraints - { allergies, excludeIngredients }
+ * @returns {Array<{ field: string, ingredient: string, type: string, constraint: string, allergen: string|null, matchedTerm: string }>}
+ */
+export const findConstraintViolations = (recipe, constraints) => {
+  const matchers = buildConstraintMatchers(constraints);
+  if (matchers.length === 0) return [];
+
+  const entries = [
+    ...(recipe.ingredients || []).map((entry) => ({
+      field: "ingredients",
+      text: entry.item,
+    })),
+    ...(recipe.dressingIngredients || []).map((entry) => ({
+      field: "dressingIngredients",
+      text: entry.item,
+    })),
+    ...(recipe.shoppingList || []).flatMap((category) =>
+      (category.items || []).map((item) => ({
+        field: "shoppingList",
+        text: item,
+      }))
+    ),
+  ];
+
+  return entries.flatMap(({ field, text }) =>
+    matchIngredient(text, matchers).map(({ matcher, term }) => ({
+      field,
+      ingredient: text,
+      type: matcher.type,
+      constraint: matcher.constraint,
+      allergen: matcher.allergen,
+      matchedTerm: term,
+    }))
+  );
+};
+
+export default {
+  ALLERGENS,
+  termPattern,
+  normalizeConstraint,
+  resolveAllergyKeys,
+  buildConstraintMatchers,
+  matchIngredient,
+  detectAllergens,
+  findConstraintViolations,
+};
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import { Recipe, SavedRecipe } from "../models/index.js";
+import { toSavedRecipeSummary } from "./savedRecipes.js";
+import { readableRecipeCondition } from "./recipeAccess.js";
+import { createHttpError } from "../utils/errors.js";
+
+/**
+ * Collections of saved recipes: membership checks, ordering and covers
+ */
+
+/**
+ * Ensure every recipe is saved by the user
+ * @param {string} userId
+ * @param {string[]} recipeIds
+ * @throws {Error} INVALID_ID or NOT_SAVED listing the offending ids
+ */
+export const assertSavedRecipes = async (userId, recipeIds) => {
+  const unique = [...new Set(recipeIds.map(String))];
+
+  const invalid = unique.filter(
+    (recipeId) => !mongoose.Types.ObjectId.isValid(recipeId)
+  );
+  if (invalid.length > 0) {
+    throw createHttpError(
+      400,
+      "INVALID_ID",
+      "Invalid recipe ID format",
+      invalid
+    );
+  }
+
+  const saved = await SavedRecipe.find({ userId, recipeId: { $in: unique } })
+    .select("recipeId")
+    .lean();
+  const savedIds = new Set(saved.map((entry) => entry.recipeId.toString()));
+
+  const missing = unique.filter((recipeId) => !savedIds.has(recipeId));
+  if (missing.length > 0) {
+    throw createHttpError(
+      404,
+      "NOT_SAVED",
+      "Only saved recipes can be added to a collection",
+      missing
+    );
+  }
+};
+
+/**
+ * Check that a requested order lists exactly the current ids
+ * @param {Array<string|object>} currentIds
+ * @param {string[]} requestedIds
+ * @param {string} label - "recipe" or "collection", for the message
+ * @throws {Error} INVALID_ORDER with the missing and unknown ids
+ */
+export const assertSameIds = (currentIds, requestedIds, label) => {
+  const current = currentIds.map(String);
+  const requested = new Set(requestedIds);
+
+  const missing = current.filter((id) => !requested.has(id));
+  const unknown = [...requested].filter((id) => !current.includes(id));
+
+  if (
+    missing.length > 0 ||
+    unknown.length > 0 ||
+    requested.size !== requestedIds.length
+  ) {
+    throw createHttpError(
+      400,
+      "INVALID_ORDER",
+      `Order must list every ${label} exactly once`,
+      { missing, unknown }
+    );
+  }
+};
+
+/**
+ * Cover images for collections: the imageUrl of the first recipe, in
+ * collection order, that has one and that the user may read
+ * @param {object[]} collections - RecipeCollection documents
+ * @param {string} userId - Firebase UID of the collections' owner
+ * @returns {Promise<Map<string, string|null>>} Cover by collection id
+ */
+export const loadCoverImages = async (collections, userId) => {
+  const recipes = await Recipe.find({
+    $and: [
+      {
+        _id: { $in: collections.flatMap((collection) => collection.recipeIds) },
+        imageUrl: { $nin: [null, ""] },
+      },
+      readableRecipeCondition(userId),
+    ],
+  })
+    .select("imageUrl")
+    .lean();
+  const imageById = new Map(
+    recipes.map((recipe) => [recipe._id.toString(), recipe.imageUrl])
+  );
+
+  return new Map(
+    collections.map((collection) => {
+      const coverId = collection.recipeIds.find((recipeId) =>
+        imageById.has(recipeId.toString())
+      );
+      return [
+        collection._id.toString(),
+        coverId ? imageById.get(coverId.toString()) : null,
+      ];
+    })
+  );
+};
+
+/**
+ * Shape a collection for the response
+ * @param {object} collection - RecipeCollection document
+ * @param {string|null} coverImageUrl
+ * @returns {object}
+ */
+export const formatCollection = (collection, coverImageUrl) => {
+  const data = collection.toObject();
+  return {
+    ...data,
+    recipeIds: data.recipeIds.map(String),
+    recipeCount: data.recipeIds.length,
+    coverImageUrl,
+  };
+};
+
+/**
+ * A collection's recipes as SavedRecipeSummary items, in collection order.
+ * Recipes that were deleted or that the owner may no longer read are left
+ * out.
+ * @param {object} collection - RecipeCollection document
+ * @returns {Promise<object[]>}
+ */
+export const loadCollectionRecipes = async (collection) => {
+  const savedRecipes = await SavedRecipe.find({
+    userId: collection.userId,
+    recipeId: { $in: collection.recipeIds },
+  })
+    // Unreadable recipes populate as null
+    .populate({
+      path: "recipeId",
+      match: readableRecipeCondition(collection.userId),
+    })
+    .lean();
+  const savedById = new Map(
+    savedRecipes
+      .filter((saved) => saved.recipeId)
+      .map((saved) => [saved.recipeId._id.toString(), saved])
+  );
+
+  return collection.recipeIds
+    .map((recipeId) => savedById.get(recipeId.toString()))
+    .filter(Boolean)
+    .map(toSavedRecipeSummary);
+};
+
+export default {
+  assertSavedRecipes,
+  assertSameIds,
+  loadCoverImages,
+  formatCollection,
+  loadCollectionRecipes,
+};
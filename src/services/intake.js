@@ -0,0 +1,221 @@
+import { MEAL_TYPES } from "../validators/schemas.js";
+import { createHttpError } from "../utils/errors.js";
+import { sumNutrition, NUTRITION_TOTAL_UNITS } from "./mealPlans.js";
+import { parseDateOnly, formatDateOnly, addDays } from "../utils/dates.js";
+
+/**
+ * Intake log summaries: what a user ate compared with their daily targets
+ */
+
+// Nutrients that can have a daily target (see UserSettings.dailyTargets)
+export const TARGET_KEYS = [
+  "calories",
+  "protein",
+  "carbs",
+  "fat",
+  "fiber",
+  "sodium",
+];
+
+// Upper limits rather than goals: staying below counts as meeting them
+const LIMIT_KEYS = ["sodium"];
+
+// Intake within this share of a target counts as meeting it
+const TARGET_BAND = 0.1;
+
+/**
+ * Parse a logged or requested day, defaulting to today (UTC)
+ * @param {string|Date} [value]
+ * @returns {Date}
+ * @throws {Error} INVALID_DATE when the value is not a date
+ */
+export const resolveDay = (value = new Date()) => {
+  const date = parseDateOnly(value);
+  if (!date) {
+    throw createHttpError(400, "INVALID_DATE", "Date must be YYYY-MM-DD");
+  }
+  return date;
+};
+
+/**
+ * Compare intake with the user's targets
+ * @param {object} intake - From sumNutrition
+ * @param {object} [targets] - UserSettings.dailyTargets
+ * @param {number} [days] - Days the targets are multiplied over
+ * @returns {object} Per nutrient target, intake, remaining, percent and
+ *   status ("under", "met" or "over"); nutrients without a target are omitted
+ */
+export const compareWithTargets = (intake, targets, days = 1) =>
+  Object.fromEntries(
+    TARGET_KEYS.filter(
+      (key) => targets?.[key] !== null && targets?.[key] !== undefined
+    ).map((key) => {
+      const target = targets[key] * days;
+      const value = intake[key];
+      const ratio = target > 0 ? value / target : null;
+
+      let status = "met";
+      if (ratio === null ? value > 0 : ratio > 1 + TARGET_BAND) {
+        status = "over";
+      } else if (
+        !LIMIT_KEYS.includes(key) &&
+        ratio !== null &&
+        ratio < 1 - TARGET_BAND
+      ) {
+        status = "under";
+      }
+
+      return [
+        key,
+        {
+          target,
+          intake: value,
+          remaining: Math.round((target - value) * 10) / 10,
+          percent: ratio !== null ? Math.round(ratio * 100) : null,
+          status,
+        },
+      ];
+    })
+  );
+
+/**
+ * What an entry counts towards intake totals: the nutrition snapshot taken
+ * when it was logged, or for older entries the recipe's current nutrition
+ * @param {object} entry - Plain IntakeEntry data
+ * @param {object|null} recipe - Lean recipe, null when deleted or unreadable
+ * @returns {object|null} sumNutrition portion, null when nothing is known
+ */
+const entryPortion = (entry, recipe) => {
+  if (entry.nutritionPerServing) {
+    return { perServing: entry.nutritionPerServing, servings: entry.servings };
+  }
+  return recipe && { recipe, servings: entry.servings };
+};
+
+/**
+ * Shape a log entry for the response, with its recipe and nutrition.
+ * Entries whose recipe was deleted or is no longer readable are kept with
+ * `recipe: null`, and still count their nutrition snapshot.
+ * @param {object} entry - IntakeEntry document
+ * @param {Map<string, object>} recipesById - From loadRecipesById
+ * @returns {object}
+ */
+export const formatIntakeEntry = (entry, recipesById) => {
+  const data = entry.toObject();
+  const recipe = recipesById.get(data.recipeId.toString()) || null;
+  const portion = entryPortion(data, recipe);
+
+  return {
+    ...data,
+    date: formatDateOnly(data.date),
+    recipe: recipe && {
+      id: recipe._id.toString(),
+      title: recipe.title,
+      cuisine: recipe.cuisine,
+      calories: recipe.calories,
+      servings: recipe.servings,
+      imageUrl: recipe.imageUrl,
+    },
+    nutrition: portion ? sumNutrition([portion]) : null,
+  };
+};
+
+/**
+ * Total the nutrition of formatted entries
+ * @param {object[]} entries - From formatIntakeEntry
+ * @param {Map<string, object>} recipesById
+ * @returns {object}
+ */
+const totalEntries = (entries, recipesById) =>
+  sumNutrition(
+    entries
+      .map((entry) =>
+        entryPortion(entry, entry.recipe && recipesById.get(entry.recipe.id))
+      )
+      .filter(Boolean)
+  );
+
+/**
+ * Summarize one day of intake against the daily targets
+ * @param {Date} date
+ * @param {object[]} entries - IntakeEntry documents for the day
+ * @param {Map<string, object>} recipesById
+ * @param {object} [targets] - UserSettings.dailyTargets
+ * @returns {object}
+ */
+export const summarizeDay = (date, entries, recipesById, targets) => {
+  const slotOrder = (entry) =>
+    entry.mealType ? MEAL_TYPES.indexOf(entry.mealType) : MEAL_TYPES.length;
+  const meals = entries
+    .map((entry) => formatIntakeEntry(entry, recipesById))
+    .sort((a, b) => slotOrder(a) - slotOrder(b));
+  const totals = totalEntries(meals, recipesById);
+
+  return {
+    date: formatDateOnly(date),
+    entries: meals,
+    nutrition: {
+      units: NUTRITION_TOTAL_UNITS,
+      totals,
+      targets: compareWithTargets(totals, targets),
+    },
+  };
+};
+
+/**
+ * Summarize a week of intake: each day against the daily targets and the
+ * week against seven days of them
+ * @param {Date} weekStart - Monday
+ * @param {object[]} entries - IntakeEntry documents for the week
+ * @param {Map<string, object>} recipesById
+ * @param {object} [targets] - UserSettings.dailyTargets
+ * @returns {object}
+ */
+export const summarizeWeek = (weekStart, entries, recipesById, targets) => {
+  const formatted = entries.map((entry) =>
+    formatIntakeEntry(entry, recipesById)
+  );
+
+  const days = Array.from({ length: 7 }, (_, offset) => {
+    const date = formatDateOnly(addDays(weekStart, offset));
+    const dayEntries = formatted.filter((entry) => entry.date === date);
+    const totals = totalEntries(dayEntries, recipesById);
+
+    return {
+      date,
+      entryCount: dayEntries.length,
+      totals,
+      targets: compareWithTargets(totals, targets),
+    };
+  });
+
+  const weekly = totalEntries(formatted, recipesById);
+  const loggedDays = days.filter((day) => day.entryCount > 0).length;
+
+  return {
+    weekStart: formatDateOnly(weekStart),
+    days,
+    nutrition: {
+      units: NUTRITION_TOTAL_UNITS,
+      weekly,
+      // Averaged over days with at least one logged meal
+      dailyAverage: Object.fromEntries(
+        Object.entries(weekly).map(([key, value]) => [
+          key,
+          loggedDays > 0 ? Math.round((value / loggedDays) * 10) / 10 : 0,
+        ])
+      ),
+      loggedDays,
+      targets: compareWithTargets(weekly, targets, 7),
+    },
+  };
+};
+
+export default {
+  TARGET_KEYS,
+  resolveDay,
+  compareWithTargets,
+  formatIntakeEntry,
+  summarizeDay,
+  summarizeWeek,
+};
@@ -0,0 +1,437 @@
+import { Recipe, MealPlan, UserSettings } from "../models/index.js";
+import { MEAL_TYPES } from "../validators/schemas.js";
+import {
+  buildDietarySearchConditions,
+  deriveRecipeLabels,
+  resolveDietLabel,
+} from "./recipeLabels.js";
+import { searchableRecipeCondition } from "./recipeAccess.js";
+import { resolveGenerationParams } from "./userDefaults.js";
+import { generateRecipe } from "./recipeGenerator.js";
+import { resolveWeekStart } from "./mealPlans.js";
+import { escapeRegExp } from "../utils/regex.js";
+import { addDays, formatDateOnly } from "../utils/dates.js";
+import { parseDurationMinutes } from "../utils/duration.js";
+import { createHttpError } from "../utils/errors.js";
+
+/**
+ * Automatic meal planning
+ * Fills a week's empty meal slots with existing recipes that match the
+ * user's constraints, and generates new recipes for slots nothing fits.
+ */
+
+// Share of the daily calorie target for each slot, renormalized over the
+// slots being planned
+const CALORIE_SHARES = {
+  Breakfast: 0.25,
+  Lunch: 0.35,
+  Dinner: 0.4,
+  Snack: 0.1,
+  Dessert: 0.1,
+};
+
+// Accepted deviation from a slot's calorie target, per serving
+const CALORIE_TOLERANCE = 0.25;
+
+// Slots that may also use recipes not labelled for any meal type
+const FLEXIBLE_SLOTS = ["Lunch", "Dinner"];
+
+const CANDIDATE_LIMIT = 100;
+
+// Generations tried for a slot before it is reported as unfilled
+const SLOT_GENERATION_ATTEMPTS = 2;
+
+// Time allowed for all generation in one auto-fill; slots still waiting are
+// reported unfilled with GENERATION_TIMEOUT
+const GENERATION_TIME_BUDGET_MS = 90 * 1000;
+
+/**
+ * Case-insensitive exact match on a tag
+ * @param {string} value
+ * @returns {RegExp}
+ */
+const exactTag = (value) => new RegExp(`^${escapeRegExp(value)}$`, "i");
+
+/**
+ * Conditions that tie a recipe to a meal slot: a matching tag or the meal
+ * type it was generated for. Flexible slots also accept recipes labelled
+ * for no other slot.
+ * @param {string} mealType
+ * @param {boolean} relaxed
+ * @returns {object}
+ */
+const slotCondition = (mealType, relaxed) => {
+  if (!relaxed) {
+    return {
+      $or: [
+        { tags: exactTag(mealType) },
+        { "generationParams.mealType": mealType },
+      ],
+    };
+  }
+
+  const others = MEAL_TYPES.filter(
+    (type) => type !== mealType && !FLEXIBLE_SLOTS.includes(type)
+  );
+  return {
+    tags: { $nin: others.map(exactTag) },
+    "generationParams.mealType": { $nin: others },
+  };
+};
+
+/**
+ * Per-slot calorie targets from a daily target
+ * @param {number} [targetCalories] - Daily calories
+ * @param {string[]} mealTypes
+ * @returns {object} Calories per slot, empty without a target
+ */
+const slotCalorieTargets = (targetCalories, mealTypes) => {
+  if (!targetCalories) return {};
+
+  const total = mealTypes.reduce((sum, type) => sum + CALORIE_SHARES[type], 0);
+  return Object.fromEntries(
+    mealTypes.map((type) => [
+      type,
+      Math.round((targetCalories * CALORIE_SHARES[type]) / total),
+    ])
+  );
+};
+
+/**
+ * Resolve the constraints for a plan. Omitted diets and allergies are filled
+ * from saved defaults, and saved allergies always apply.
+ * @param {string} userId
+ * @param {object} body - Validated autoFillMealPlanSchema payload
+ * @returns {Promise<object>}
+ */
+const resolveConstraints = async (userId, body) => {
+  const { params, appliedDefaults } = await resolveGenerationParams(userId, {
+    dietaryPreferences: body.dietaryPreferences,
+    allergies: body.allergies,
+    useSavedDefaults: body.useSavedDefaults,
+  });
+
+  const settings = await UserSettings.findOne({ userId })
+    .select("defaultAllergies")
+    .lean();
+  const allergies = [
+    ...new Set([...params.allergies, ...(settings?.defaultAllergies || [])]),
+  ];
+
+  return {
+    dietaryPreferences: params.dietaryPreferences,
+    allergies,
+    cuisines: body.cuisines || [],
+    appliedDefaults,
+  };
+};
+
+/**
+ * Calorie range accepted for a slot
+ * @param {number} calorieTarget
+ * @returns {{ min: number, max: number }}
+ */
+const calorieBounds = (calorieTarget) => ({
+  min: Math.round(calorieTarget * (1 - CALORIE_TOLERANCE)),
+  max: Math.round(calorieTarget * (1 + CALORIE_TOLERANCE)),
+});
+
+/**
+ * Find existing recipes for a slot, best calorie match first
+ * @param {object} options
+ * @returns {Promise<object[]>} Lean recipes
+ */
+const findCandidates = async ({
+  userId,
+  mealType,
+  constraints,
+  calorieTarget,
+  maxTotalTime,
+  excludeIds,
+}) => {
+  const baseConditions = [
+    ...buildDietarySearchConditions(constraints),
+    searchableRecipeCondition(userId),
+    { _id: { $nin: excludeIds } },
+  ];
+  if (constraints.cuisines.length > 0) {
+    baseConditions.push({ cuisine: { $in: constraints.cuisines } });
+  }
+  if (calorieTarget) {
+    const { min, max } = calorieBounds(calorieTarget);
+    baseConditions.push({ calories: { $gte: min, $lte: max } });
+  }
+  if (maxTotalTime) {
+    baseConditions.push({ totalTimeMinutes: { $lte: maxTotalTime } });
+  }
+
+  const passes = FLEXIBLE_SLOTS.includes(mealType) ? [false, true] : [false];
+  const candidates = [];
+
+  for (const relaxed of passes) {
+    const found = await Recipe.find({
+      $and: [
+        ...baseConditions,
+        slotCondition(mealType, relaxed),
+        { _id: { $nin: candidates.map((recipe) => recipe._id) } },
+      ],
+    })
+      .select("_id title calories totalTimeMinutes")
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+    const byCalories = calorieTarget
+      ? found.sort(
+          (a, b) =>
+            Math.abs(a.calories - calorieTarget) -
+            Math.abs(b.calories - calorieTarget)
+        )
+      : found;
+    candidates.push(...byCalories);
+  }
+
+  return candidates;
+};
+
+/**
+ * Generation limits for prep and cook time that add up to a slot's total
+ * @param {number} maxTotalTime - Minutes
+ * @returns {object} maxPrepTime and, when any time is left, maxCookTime
+ */
+const splitTimeBudget = (maxTotalTime) => {
+  const maxPrepTime = Math.ceil(maxTotalTime / 2);
+  const maxCookTime = maxTotalTime - maxPrepTime;
+  return maxCookTime > 0 ? { maxPrepTime, maxCookTime } : { maxPrepTime };
+};
+
+/**
+ * Ways a generated recipe misses a slot's constraints, checked the same way
+ * existing recipes are filtered: derived diet labels, total time and calories
+ * @param {object} recipe - Validated recipe draft
+ * @param {object} slot
+ * @returns {string[]} Problems, empty when the recipe fits
+ */
+const findSlotMismatches = (
+  recipe,
+  { constraints, calorieTarget, maxTotalTime }
+) => {
+  const problems = [];
+
+  const { dietLabels } = deriveRecipeLabels(recipe);
+  for (const preference of constraints.dietaryPreferences) {
+    const label = resolveDietLabel(preference);
+    if (label && !dietLabels.includes(label)) {
+      problems.push(`Not ${label}`);
+    }
+  }
+
+  if (maxTotalTime) {
+    const prep = parseDurationMinutes(recipe.prepTime);
+    const cook = parseDurationMinutes(recipe.cookTime);
+    const total =
+      prep === null && cook === null ? null : (prep || 0) + (cook || 0);
+    if (total === null || total > maxTotalTime) {
+      problems.push(`Total time exceeds ${maxTotalTime} minutes`);
+    }
+  }
+
+  if (calorieTarget) {
+    const { min, max } = calorieBounds(calorieTarget);
+    if (recipe.calories < min || recipe.calories > max) {
+      problems.push(`Calories outside ${min}-${max}`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Generate and store a recipe for a slot. A recipe that misses the slot's
+ * constraints is discarded and generation is retried.
+ * @returns {Promise<object>} Created recipe document
+ * @throws {Error} GENERATED_RECIPE_MISMATCH when no attempt fits the slot
+ * @throws {Error} GENERATION_ABORTED when the signal is aborted
+ */
+const generateForSlot = async ({
+  userId,
+  mealType,
+  constraints,
+  calorieTarget,
+  maxTotalTime,
+  signal,
+}) => {
+  const params = {
+    mealType,
+    dietaryPreferences: constraints.dietaryPreferences,
+    allergies: constraints.allergies,
+    ...(constraints.cuisines[0] && { cuisineType: constraints.cuisines[0] }),
+    ...(calorieTarget && { maxCalories: calorieBounds(calorieTarget).max }),
+    ...(maxTotalTime && splitTimeBudget(maxTotalTime)),
+  };
+
+  let problems = [];
+  for (let attempt = 1; attempt <= SLOT_GENERATION_ATTEMPTS; attempt++) {
+    const { recipe } = await generateRecipe(params, { signal });
+
+    problems = findSlotMismatches(recipe, {
+      constraints,
+      calorieTarget,
+      maxTotalTime,
+    });
+    if (problems.length > 0) continue;
+
+    return Recipe.create({
+      ...recipe,
+      userId,
+      isGenerated: true,
+      generationParams: params,
+    });
+  }
+
+  throw createHttpError(
+    422,
+    "GENERATED_RECIPE_MISMATCH",
+    `Generated recipe did not fit the ${mealType} slot`,
+    problems
+  );
+};
+
+/**
+ * Fill the empty slots of a week's plan, creating the plan when needed.
+ * Existing recipes are preferred; generation is used for slots nothing fits,
+ * up to `maxGenerated` recipes within GENERATION_TIME_BUDGET_MS. No recipe
+ * is used twice in the week. Generated recipes are deleted again when the
+ * plan cannot be saved.
+ * @param {string} userId - Firebase UID
+ * @param {object} body - Validated autoFillMealPlanSchema payload
+ * @returns {Promise<object>} plan, filled and unfilled slots, and the
+ *   constraints and per-slot calorie targets that were applied
+ * @throws {Error} PLAN_CONFLICT when another request created the week's plan
+ *   first
+ */
+export const autoFillMealPlan = async (userId, body) => {
+  const weekStart = resolveWeekStart(body.weekStart);
+  const { mealTypes, allowGeneration, maxGenerated } = body;
+
+  const constraints = await resolveConstraints(userId, body);
+  const calorieTargets = slotCalorieTargets(body.targetCalories, mealTypes);
+  const timeLimit = (mealType) =>
+    body.maxTotalTimeByMeal?.[mealType] ?? body.maxTotalTime;
+
+  const plan =
+    (await MealPlan.findOne({ userId, weekStart })) ||
+    new MealPlan({ userId, weekStart, name: body.name, entries: [] });
+
+  const usedIds = new Set(plan.entries.map((entry) => String(entry.recipeId)));
+  const isTaken = (date, mealType) =>
+    plan.entries.some(
+      (entry) =>
+        entry.mealType === mealType &&
+        formatDateOnly(entry.date) === formatDateOnly(date)
+    );
+
+  const filled = [];
+  const unfilled = [];
+  const generatedIds = [];
+  let generated = 0;
+  const generationSignal = AbortSignal.timeout(GENERATION_TIME_BUDGET_MS);
+
+  for (const mealType of mealTypes) {
+    const dates = Array.from({ length: 7 }, (_, offset) =>
+      addDays(weekStart, offset)
+    ).filter((date) => !isTaken(date, mealType));
+    if (dates.length === 0) continue;
+
+    const slot = {
+      mealType,
+      constraints,
+      calorieTarget: calorieTargets[mealType],
+      maxTotalTime: timeLimit(mealType),
+    };
+
+    const candidates = (
+      await findCandidates({
+        ...slot,
+        userId,
+        excludeIds: Array.from(usedIds),
+      })
+    ).filter((recipe) => !usedIds.has(recipe._id.toString()));
+
+    for (const date of dates) {
+      let recipe = candidates.shift();
+      let source = "existing";
+
+      if (!recipe && allowGeneration && generated < maxGenerated) {
+        if (generationSignal.aborted) {
+          unfilled.push({
+            date: formatDateOnly(date),
+            mealType,
+            reason: "GENERATION_TIMEOUT",
+          });
+          continue;
+        }
+
+        try {
+          generated += 1;
+          recipe = await generateForSlot({
+            ...slot,
+            userId,
+            signal: generationSignal,
+          });
+          source = "generated";
+          generatedIds.push(recipe._id);
+        } catch (error) {
+          unfilled.push({
+            date: formatDateOnly(date),
+            mealType,
+            reason: generationSignal.aborted
+              ? "GENERATION_TIMEOUT"
+              : error.code || "GENERATION_ERROR",
+          });
+          continue;
+        }
+      }
+
+      if (!recipe) {
+        unfilled.push({
+          date: formatDateOnly(date),
+          mealType,
+          reason: allowGeneration ? "GENERATION_LIMIT" : "NO_MATCHING_RECIPE",
+        });
+        continue;
+      }
+
+      usedIds.add(recipe._id.toString());
+      plan.entries.push({ date, mealType, recipeId: recipe._id, servings: 1 });
+      filled.push({
+        date: formatDateOnly(date),
+        mealType,
+        recipeId: recipe._id.toString(),
+        title: recipe.title,
+        source,
+      });
+    }
+  }
+
+  try {
+    await plan.save();
+  } catch (error) {
+    // Nothing references the generated recipes without the plan
+    if (generatedIds.length > 0) {
+      await Recipe.deleteMany({ _id: { $in: generatedIds } });
+    }
+    if (error.code === 11000) {
+      throw createHttpError(
+        409,
+        "PLAN_CONFLICT",
+        `The meal plan for the week of ${formatDateOnly(weekStart)} was created by another request; try again`
+      );
+    }
+    throw error;
+  }
+
+  return { plan, filled, unfilled, constraints, calorieTargets };
+};
+
+export default { autoFillMealPlan };
@@ -0,0 +1,287 @@
+import mongoose from "mongoose";
+import { Recipe } from "../models/index.js";
+import { MEAL_TYPES } from "../validators/schemas.js";
+import { readableRecipeCondition } from "./recipeAccess.js";
+import { createHttpError } from "../utils/errors.js";
+import {
+  NUTRIENT_KEYS,
+  parseNutrientAmount,
+  nutrientUnit,
+} from "../utils/nutrition.js";
+import {
+  parseDateOnly,
+  formatDateOnly,
+  addDays,
+  daysBetween,
+  startOfWeek,
+} from "../utils/dates.js";
+
+/**
+ * Weekly meal plans: date handling, entry checks and nutrition totals
+ */
+
+const RECIPE_SUMMARY_FIELDS =
+  "title cuisine calories nutrition nutritionValues servings imageUrl prepTime cookTime totalTimeMinutes tags";
+
+/**
+ * Normalize a requested week to its Monday
+ * @param {string|Date} value - Any date in the week
+ * @returns {Date}
+ * @throws {Error} INVALID_DATE when the value is not a date
+ */
+export const resolveWeekStart = (value) => {
+  const date = parseDateOnly(value);
+  if (!date) {
+    throw createHttpError(400, "INVALID_DATE", "Date must be YYYY-MM-DD");
+  }
+  return startOfWeek(date);
+};
+
+/**
+ * Check an entry's date against the plan week and return it as a Date
+ * @param {Date} weekStart
+ * @param {string|Date} value
+ * @returns {Date}
+ * @throws {Error} DATE_OUTSIDE_WEEK when the date is not in the plan's week
+ */
+export const resolveEntryDate = (weekStart, value) => {
+  const date = parseDateOnly(value);
+  const offset = date ? daysBetween(weekStart, date) : -1;
+
+  if (offset < 0 || offset > 6) {
+    throw createHttpError(
+      400,
+      "DATE_OUTSIDE_WEEK",
+      `Date must be within the week of ${formatDateOnly(weekStart)}`,
+      { date: value }
+    );
+  }
+  return date;
+};
+
+/**
+ * Ensure every referenced recipe exists and is readable by the user
+ * @param {string[]} recipeIds
+ * @param {string} userId
+ * @throws {Error} INVALID_ID or RECIPE_NOT_FOUND listing the offending ids
+ */
+export const assertRecipesExist = async (recipeIds, userId) => {
+  const unique = [...new Set(recipeIds.map(String))];
+
+  const invalid = unique.filter(
+    (recipeId) => !mongoose.Types.ObjectId.isValid(recipeId)
+  );
+  if (invalid.length > 0) {
+    throw createHttpError(
+      400,
+      "INVALID_ID",
+      "Invalid recipe ID format",
+      invalid
+    );
+  }
+
+  const found = await Recipe.find({
+    _id: { $in: unique },
+    ...readableRecipeCondition(userId),
+  })
+    .select("_id")
+    .lean();
+  const foundIds = new Set(found.map((recipe) => recipe._id.toString()));
+
+  const missing = unique.filter((recipeId) => !foundIds.has(recipeId));
+  if (missing.length > 0) {
+    throw createHttpError(404, "RECIPE_NOT_FOUND", "Recipe not found", missing);
+  }
+};
+
+/**
+ * Move plan entries to another week, keeping day of week and meal slot
+ * @param {object[]} entries
+ * @param {Date} fromWeek
+ * @param {Date} toWeek
+ * @returns {object[]} New entries without ids
+ */
+export const shiftEntries = (entries, fromWeek, toWeek) => {
+  const days = daysBetween(fromWeek, toWeek);
+
+  return entries.map(({ date, mealType, recipeId, servings, notes }) => ({
+    date: addDays(date, days),
+    mealType,
+    recipeId,
+    servings,
+    notes,
+  }));
+};
+
+/**
+ * Per-serving nutrition of a recipe as numbers
+ * @param {object} recipe
+ * @returns {object} calories plus NUTRIENT_KEYS, null when unknown
+ */
+export const recipeNutrition = (recipe) => ({
+  calories: Number.isFinite(recipe.calories) ? recipe.calories : null,
+  ...Object.fromEntries(
+    NUTRIENT_KEYS.map((key) => [
+      key,
+      recipe.nutritionValues?.[key] ??
+        parseNutrientAmount(recipe.nutrition?.[key], key),
+    ])
+  ),
+});
+
+/**
+ * Sum nutrition over recipe portions
+ * @param {Array<{ recipe?: object, perServing?: object, servings: number }>} portions -
+ *   `perServing` (from recipeNutrition) is used instead of the recipe when set
+ * @returns {object} calories plus NUTRIENT_KEYS totals
+ */
+export const sumNutrition = (portions) => {
+  const totals = Object.fromEntries(
+    ["calories", ...NUTRIENT_KEYS].map((key) => [key, 0])
+  );
+
+  for (const { recipe, servings = 1, ...portion } of portions) {
+    const perServing = portion.perServing ?? recipeNutrition(recipe);
+    for (const key of Object.keys(totals)) {
+      if (perServing[key] !== null && perServing[key] !== undefined) {
+        totals[key] += perServing[key] * servings;
+      }
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(totals).map(([key, value]) => [
+      key,
+      key === "calories" ? Math.round(value) : Math.round(value * 10) / 10,
+    ])
+  );
+};
+
+/**
+ * Units of the values returned by sumNutrition
+ */
+export const NUTRITION_TOTAL_UNITS = {
+  calories: "kcal",
+  ...Object.fromEntries(NUTRIENT_KEYS.map((key) => [key, nutrientUnit(key)])),
+};
+
+/**
+ * Load recipes for nutrition summaries. Recipes the user may no longer read
+ * (made private by their owner) are left out, like deleted ones.
+ * @param {Array<string|object>} recipeIds
+ * @param {string} userId
+ * @returns {Promise<Map<string, object>>} Lean recipes by id
+ */
+export const loadRecipesById = async (recipeIds, userId) => {
+  const recipes = await Recipe.find({
+    _id: { $in: recipeIds },
+    ...readableRecipeCondition(userId),
+  })
+    .select(RECIPE_SUMMARY_FIELDS)
+    .lean();
+
+  return new Map(recipes.map((recipe) => [recipe._id.toString(), recipe]));
+};
+
+/**
+ * Load the recipes referenced by a plan
+ * @param {object} plan - MealPlan document or plain object
+ * @returns {Promise<Map<string, object>>} Lean recipes by id
+ */
+export const loadPlanRecipes = (plan) =>
+  loadRecipesById(
+    plan.entries.map((entry) => entry.recipeId),
+    plan.userId
+  );
+
+/**
+ * Shape a plan for the response: entries grouped by day and meal slot, with
+ * daily and weekly nutrition totals. Entries whose recipe was deleted or is
+ * no longer readable are kept with `recipe: null` and left out of the totals.
+ * @param {object} plan - MealPlan document
+ * @param {Map<string, object>} recipesById - From loadPlanRecipes
+ * @returns {object}
+ */
+export const summarizeMealPlan = (plan, recipesById) => {
+  const data = plan.toObject();
+  const slotOrder = (entry) => MEAL_TYPES.indexOf(entry.mealType);
+
+  const entries = data.entries.map((entry) => {
+    const recipe = recipesById.get(entry.recipeId.toString()) || null;
+    return {
+      ...entry,
+      date: formatDateOnly(entry.date),
+      recipe: recipe && {
+        id: recipe._id.toString(),
+        title: recipe.title,
+        cuisine: recipe.cuisine,
+        calories: recipe.calories,
+        servings: recipe.servings,
+        imageUrl: recipe.imageUrl,
+        tags: recipe.tags,
+      },
+    };
+  });
+
+  const days = Array.from({ length: 7 }, (_, offset) => {
+    const date = formatDateOnly(addDays(data.weekStart, offset));
+    const dayEntries = entries
+      .filter((entry) => entry.date === date)
+      .sort((a, b) => slotOrder(a) - slotOrder(b));
+
+    return {
+      date,
+      meals: dayEntries,
+      nutrition: sumNutrition(
+        dayEntries
+          .filter((entry) => entry.recipe)
+          .map((entry) => ({
+            recipe: recipesById.get(entry.recipe.id),
+            servings: entry.servings,
+          }))
+      ),
+    };
+  });
+
+  const weekly = sumNutrition(
+    entries
+      .filter((entry) => entry.recipe)
+      .map((entry) => ({
+        recipe: recipesById.get(entry.recipe.id),
+        servings: entry.servings,
+      }))
+  );
+  const plannedDays = days.filter((day) => day.meals.length > 0).length;
+
+  return {
+    ...data,
+    weekStart: formatDateOnly(data.weekStart),
+    entries: undefined,
+    days,
+    nutrition: {
+      units: NUTRITION_TOTAL_UNITS,
+      weekly,
+      // Averaged over days with at least one meal
+      dailyAverage: Object.fromEntries(
+        Object.entries(weekly).map(([key, value]) => [
+          key,
+          plannedDays > 0 ? Math.round((value / plannedDays) * 10) / 10 : 0,
+        ])
+      ),
+      plannedDays,
+    },
+  };
+};
+
+export default {
+  resolveWeekStart,
+  resolveEntryDate,
+  assertRecipesExist,
+  shiftEntries,
+  recipeNutrition,
+  sumNutrition,
+  NUTRITION_TOTAL_UNITS,
+  loadRecipesById,
+  loadPlanRecipes,
+  summarizeMealPlan,
+};
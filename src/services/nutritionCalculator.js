@@ -0,0 +1,360 @@
+import { readFileSync } from "fs";
+import { termPattern } from "./allergens.js";
+import { splitAmount } from "../utils/ingredients.js";
+import {
+  NUTRIENT_KEYS,
+  nutrientUnit,
+  parseNutrientAmount,
+} from "../utils/nutrition.js";
+import { VOLUME_ML, WEIGHT_G } from "../utils/units.js";
+import { createHttpError } from "../utils/errors.js";
+
+/**
+ * Nutrition calculation from ingredients
+ * Matches each ingredient to the bundled nutrient table (data/nutrients.json,
+ * values per 100 g), converts its amount to grams and sums per serving.
+ */
+
+const NUTRIENT_TABLE = JSON.parse(
+  readFileSync(new URL("../data/nutrients.json", import.meta.url), "utf8")
+);
+
+// Every alias of every food, longest first so "peanut butter" wins over
+// "butter" and "cooked rice" over "rice"
+const FOOD_ALIASES = NUTRIENT_TABLE.foods
+  .flatMap((food) =>
+    [food.name, ...food.aliases].map((alias) => ({
+      alias,
+      food,
+      pattern: termPattern(alias),
+    }))
+  )
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// Typical weights for package-style units when a food has none of its own
+const DEFAULT_UNIT_GRAMS = {
+  can: 400,
+  jar: 400,
+  package: 300,
+  slice: 30,
+  stick: 113,
+  bunch: 100,
+  handful: 30,
+  head: 500,
+  stalk: 40,
+  sprig: 1,
+  clove: 3,
+};
+
+// A pinch or dash, in teaspoons
+const SMALL_MEASURE_TSP = { pinch: 1 / 16, dash: 1 / 8 };
+
+// Confidence of each way of arriving at a weight
+const METHOD_CONFIDENCE = {
+  weight: 1,
+  labelWeight: 0.95,
+  volume: 0.9,
+  unitWeight: 0.85,
+  assumedDensity: 0.6,
+  assumedUnitWeight: 0.6,
+};
+
+// Relative difference above which a submitted value is flagged
+export const CROSS_CHECK_TOLERANCE = 0.25;
+
+// Differences below these are never flagged (calories, grams, milligrams)
+const CROSS_CHECK_MIN_DIFFERENCE = { calories: 50, g: 5, mg: 100 };
+
+/**
+ * Find the table entry for an ingredient
+ * @param {string} item - Ingredient text
+ * @returns {object|null} Food
+ */
+const findFood = (item) => {
+  if (typeof item !== "string" || !item) return null;
+
+  // Ignore parentheticals and preparation notes ("butter, softened")
+  const text = item.replace(/\([^)]*\)/g, " ").split(",")[0];
+  return FOOD_ALIASES.find(({ pattern }) => pattern.test(text))?.food || null;
+};
+
+/**
+ * Read a package weight from an amount remainder ("(15 oz)")
+ * @param {string} remainder
+ * @returns {number|null} Grams
+ */
+const labelGrams = (remainder) => {
+  const match = remainder?.match(/(\d+(?:\.\d+)?)\s*(oz|g|kg|lb)\b/i);
+  return match ? Number(match[1]) * WEIGHT_G[match[2].toLowerCase()] : null;
+};
+
+/**
+ * Convert a parsed amount of a food to grams
+ * @param {object} food
+ * @param {object} parts - From splitAmount
+ * @returns {{ grams: number, method: string }|null} Null when unknown
+ */
+const toGrams = (food, { quantity, unit, remainder }) => {
+  if (WEIGHT_G[unit]) {
+    return { grams: quantity * WEIGHT_G[unit], method: "weight" };
+  }
+
+  const teaspoons = SMALL_MEASURE_TSP[unit];
+  if (VOLUME_ML[unit] || teaspoons) {
+    const ml = teaspoons
+      ? quantity * teaspoons * VOLUME_ML.tsp
+      : quantity * VOLUME_ML[unit];
+    return food.gramsPerCup
+      ? { grams: (ml / VOLUME_ML.cup) * food.gramsPerCup, method: "volume" }
+      : { grams: ml, method: "assumedDensity" };
+  }
+
+  const packageGrams = labelGrams(remainder);
+  if (packageGrams) {
+    return { grams: quantity * packageGrams, method: "labelWeight" };
+  }
+
+  const unitGrams = unit ? food.unitWeights?.[unit] : food.gramsPerUnit;
+  if (unitGrams) {
+    return { grams: quantity * unitGrams, method: "unitWeight" };
+  }
+  if (unit === "piece" && food.gramsPerUnit) {
+    return { grams: quantity * food.gramsPerUnit, method: "unitWeight" };
+  }
+  if (DEFAULT_UNIT_GRAMS[unit]) {
+    return {
+      grams: quantity * DEFAULT_UNIT_GRAMS[unit],
+      method: "assumedUnitWeight",
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Round a nutrient value for display
+ * @param {number} value
+ * @returns {number}
+ */
+const roundNutrient = (value) =>
+  value >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+
+/**
+ * Estimate one ingredient
+ * @param {object} entry - { amount, item }
+ * @param {string} field
+ * @returns {object} Estimate with food, grams, method and nutrients, or an
+ *   unmatched reason
+ */
+const estimateIngredient = (entry, field) => {
+  const base = { field, item: entry.item, amount: entry.amount };
+  const food = findFood(entry.item);
+  if (!food) return { ...base, reason: "NO_MATCH" };
+
+  const parts = splitAmount(entry.amount);
+  // Unmeasured seasonings ("salt, to taste") are ignored
+  if (parts.quantity === null) {
+    return food.negligible
+      ? { ...base, food: food.name, ignored: true }
+      : { ...base, food: food.name, reason: "NO_QUANTITY" };
+  }
+
+  const quantity =
+    parts.quantityMax !== null
+      ? (parts.quantity + parts.quantityMax) / 2
+      : parts.quantity;
+  const weight = toGrams(food, { ...parts, quantity });
+  if (!weight) return { ...base, food: food.name, reason: "UNKNOWN_WEIGHT" };
+
+  const nutrients = Object.fromEntries(
+    ["calories", ...NUTRIENT_KEYS].map((key) => [
+      key,
+      ((food.per100g[key] || 0) * weight.grams) / 100,
+    ])
+  );
+
+  return {
+    ...base,
+    food: food.name,
+    grams: Math.round(weight.grams),
+    method: weight.method,
+    confidence: METHOD_CONFIDENCE[weight.method],
+    nutrients,
+  };
+};
+
+/**
+ * Calculate per-serving calories and nutrition from a recipe's ingredients.
+ * Confidence is the average confidence of the counted ingredients (0 for
+ * unmatched ones); unmeasured seasonings are not counted.
+ * @param {object} recipe - { servings, ingredients, dressingIngredients }
+ * @returns {object} calories, nutrition display strings, nutritionValues,
+ *   per-ingredient breakdown, unmatched ingredients and confidence
+ */
+export const calculateNutrition = (recipe) => {
+  const servings = recipe.servings || 1;
+  const estimates = ["ingredients", "dressingIngredients"].flatMap((field) =>
+    (recipe[field] || []).map((entry) => estimateIngredient(entry, field))
+  );
+
+  const matched = estimates.filter((estimate) => estimate.nutrients);
+  const counted = estimates.filter((estimate) => !estimate.ignored);
+
+  const totals = Object.fromEntries(
+    ["calories", ...NUTRIENT_KEYS].map((key) => [
+      key,
+      matched.reduce((sum, estimate) => sum + estimate.nutrients[key], 0),
+    ])
+  );
+
+  const nutritionValues = Object.fromEntries(
+    NUTRIENT_KEYS.map((key) => [key, roundNutrient(totals[key] / servings)])
+  );
+  const confidence =
+    counted.length > 0
+      ? Math.round(
+          (matched.reduce((sum, estimate) => sum + estimate.confidence, 0) /
+            counted.length) *
+            100
+        ) / 100
+      : 0;
+
+  return {
+    servings,
+    calories: Math.round(totals.calories / servings),
+    nutrition: Object.fromEntries(
+      NUTRIENT_KEYS.map((key) => [
+        key,
+        `${nutritionValues[key]}${nutrientUnit(key)}`,
+      ])
+    ),
+    nutritionValues,
+    ingredients: matched.map(
+      ({ field, item, amount, food, grams, method, nutrients }) => ({
+        field,
+        item,
+        amount,
+        food,
+        grams,
+        method,
+        calories: Math.round(nutrients.calories),
+      })
+    ),
+    unmatched: estimates
+      .filter((estimate) => estimate.reason)
+      .map(({ field, item, amount, food, reason }) => ({
+        field,
+        item,
+        amount,
+        ...(food && { food }),
+        reason,
+      })),
+    confidence,
+    confidenceLevel:
+      confidence >= 0.8 ? "high" : confidence >= 0.5 ? "medium" : "low",
+  };
+};
+
+/**
+ * Compare submitted calories and nutrition with a calculated estimate
+ * Only submitted fields are compared.
+ * @param {object} submitted - { calories, nutrition } with display strings
+ * @param {object} estimate - From calculateNutrition
+ * @returns {{ tolerance: number, withinTolerance: boolean, fields: object[] }}
+ */
+export const crossCheckNutrition = (submitted, estimate) => {
+  const comparisons = [
+    {
+      field: "calories",
+      submitted: submitted.calories,
+      calculated: estimate.calories,
+      minDifference: CROSS_CHECK_MIN_DIFFERENCE.calories,
+    },
+    ...NUTRIENT_KEYS.map((key) => ({
+      field: `nutrition.${key}`,
+      submitted: parseNutrientAmount(submitted.nutrition?.[key], key),
+      calculated: estimate.nutritionValues[key],
+      minDifference: CROSS_CHECK_MIN_DIFFERENCE[nutrientUnit(key)],
+    })),
+  ].filter(({ submitted: value }) => value !== null && value !== undefined);
+
+  const fields = comparisons.map(
+    ({ field, submitted: value, calculated, minDifference }) => {
+      const difference = value - calculated;
+      const relative = calculated > 0 ? difference / calculated : null;
+      return {
+        field,
+        submitted: value,
+        calculated,
+        differencePercent:
+          relative !== null ? Math.round(relative * 100) : null,
+        withinTolerance:
+          Math.abs(difference) < minDifference ||
+          (relative !== null && Math.abs(relative) <= CROSS_CHECK_TOLERANCE),
+      };
+    }
+  );
+
+  return {
+    tolerance: CROSS_CHECK_TOLERANCE,
+    withinTolerance: fields.every((field) => field.withinTolerance),
+    fields,
+  };
+};
+
+/**
+ * Apply a recipe's nutritionMode.
+ * "auto" fills calories and nutrition that were not submitted with the
+ * estimate; "check" keeps the recipe's values and reports how they compare.
+ * @param {object} recipe - Recipe with its final calories and nutrition
+ * @param {object} submitted - { calories, nutrition } sent in the request
+ * @param {"auto"|"check"} mode
+ * @returns {{ values: object, estimate: object }} Values to set on the
+ *   recipe and the estimate with its cross-check
+ * @throws {Error} NUTRITION_UNAVAILABLE when "auto" has nothing to fill from
+ */
+export const resolveNutrition = (recipe, submitted, mode) => {
+  const estimate = calculateNutrition(recipe);
+
+  if (mode === "check") {
+    return {
+      values: {},
+      estimate: {
+        ...estimate,
+        crossCheck: crossCheckNutrition(recipe, estimate),
+      },
+    };
+  }
+
+  const missing = ["calories", "nutrition"].filter(
+    (field) => submitted[field] === undefined
+  );
+  if (missing.length > 0 && estimate.ingredients.length === 0) {
+    throw createHttpError(
+      422,
+      "NUTRITION_UNAVAILABLE",
+      "No ingredients could be matched to calculate nutrition",
+      estimate.unmatched
+    );
+  }
+
+  const hasSubmitted = missing.length < 2;
+  return {
+    values: Object.fromEntries(
+      missing.map((field) => [field, estimate[field]])
+    ),
+    estimate: {
+      ...estimate,
+      crossCheck: hasSubmitted
+        ? crossCheckNutrition(submitted, estimate)
+        : null,
+    },
+  };
+};
+
+export default {
+  CROSS_CHECK_TOLERANCE,
+  calculateNutrition,
+  crossCheckNutrition,
+  resolveNutrition,
+};
@@ -0,0 +1,227 @@
+import { termPattern } from "./allergens.js";
+import { normalizeIngredientName } from "../utils/ingredients.js";
+import { addDays, daysBetween, parseDateOnly } from "../utils/dates.js";
+
+/**
+ * Pantry matching for "what can I cook" search
+ * Recipes are ranked by the share of their ingredients found in the user's
+ * pantry, with a boost for recipes that use items about to expire.
+ */
+
+// Items expiring within this many days count as "expiring soon"
+export const EXPIRING_SOON_DAYS = 3;
+
+// Score added per expiring pantry item a recipe uses, and the cap
+const EXPIRY_BOOST = 0.1;
+const MAX_EXPIRY_BOOST = 0.3;
+
+// Assumed to be in every kitchen; never reported as missing
+const STAPLE_WORDS = new Set(["water", "ice", "salt", "pepper"]);
+
+// Words that may accompany a staple ("freshly ground black pepper to taste")
+const STAPLE_FILLER = new Set([
+  "and",
+  "to",
+  "taste",
+  "as",
+  "needed",
+  "of",
+  "a",
+  "pinch",
+  "dash",
+  "cup",
+  "cups",
+  "kosher",
+  "sea",
+  "table",
+  "flaky",
+  "black",
+  "white",
+  "ground",
+  "freshly",
+  "cracked",
+  "cold",
+  "warm",
+  "hot",
+  "boiling",
+]);
+
+/**
+ * Whether an ingredient is only kitchen staples
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isStaple = (name) => {
+  const words = name
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((word) => word && !STAPLE_FILLER.has(word));
+  return words.length > 0 && words.every((word) => STAPLE_WORDS.has(word));
+};
+
+/**
+ * Days until a pantry item expires and its freshness status
+ * @param {Date|null} expiresAt
+ * @param {Date} [now]
+ * @returns {{ expiresInDays: number|null, status: "expired"|"expiringSoon"|"fresh"|null }}
+ */
+export const expiryStatus = (expiresAt, now = new Date()) => {
+  if (!expiresAt) return { expiresInDays: null, status: null };
+
+  const expiresInDays = daysBetween(
+    parseDateOnly(now),
+    parseDateOnly(expiresAt)
+  );
+  const status =
+    expiresInDays < 0
+      ? "expired"
+      : expiresInDays <= EXPIRING_SOON_DAYS
+        ? "expiringSoon"
+        : "fresh";
+
+  return { expiresInDays, status };
+};
+
+/**
+ * Latest expiry date that still counts as expiring soon
+ * @param {number} [days]
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const expiringBefore = (days = EXPIRING_SOON_DAYS, now = new Date()) =>
+  addDays(parseDateOnly(now), days + 1);
+
+/**
+ * Prepare usable (unexpired) pantry items for matching
+ * @param {object[]} items - Lean PantryItem documents
+ * @param {Date} now
+ * @returns {object[]}
+ */
+const usableItems = (items, now) =>
+  items
+    .map((item) => ({
+      ...item,
+      ...expiryStatus(item.expiresAt, now),
+      pattern: termPattern(item.normalizedName || item.name),
+    }))
+    .filter((item) => item.status !== "expired");
+
+/**
+ * MongoDB condition for recipes using at least one pantry item
+ * @param {object[]} items - Lean PantryItem documents
+ * @returns {object}
+ */
+export const buildPantryCandidateCondition = (items) => {
+  const patterns = items.map((item) =>
+    termPattern(item.normalizedName || item.name)
+  );
+
+  return {
+    $or: [
+      { "ingredients.name": { $in: patterns } },
+      { "ingredients.item": { $in: patterns } },
+      { "dressingIngredients.item": { $in: patterns } },
+    ],
+  };
+};
+
+/**
+ * Find the pantry item that covers an ingredient name.
+ * A general pantry item covers more specific ingredients ("chicken" covers
+ * "chicken breast"), but not the other way round: "peanut butter" does not
+ * cover "butter".
+ * @param {string} name - Normalized ingredient name
+ * @param {object[]} items - From usableItems
+ * @returns {object|undefined}
+ */
+const findPantryItem = (name, items) =>
+  items.find((item) => item.pattern.test(name));
+
+/**
+ * Compare a recipe's ingredients with a pantry
+ * @param {object} recipe - Lean recipe
+ * @param {object[]} items - From usableItems
+ * @returns {object} pantryMatch summary plus score
+ */
+const matchRecipe = (recipe, items) => {
+  const entries = [
+    ...(recipe.ingredients || []),
+    ...(recipe.dressingIngredients || []),
+  ];
+
+  const used = new Map();
+  const missingIngredients = [];
+  let counted = 0;
+
+  for (const entry of entries) {
+    const name = entry.name || normalizeIngredientName(entry.item);
+    if (!name || isStaple(name)) continue;
+
+    counted += 1;
+    const item = findPantryItem(name, items);
+    if (item) {
+      used.set(item.normalizedName || item.name, item);
+    } else {
+      missingIngredients.push(entry.item);
+    }
+  }
+
+  const usedItems = Array.from(used.values());
+  const expiringSoon = usedItems
+    .filter((item) => item.status === "expiringSoon")
+    .map((item) => item.name);
+
+  const coverage =
+    counted > 0 ? (counted - missingIngredients.length) / counted : 0;
+  const boost = Math.min(expiringSoon.length * EXPIRY_BOOST, MAX_EXPIRY_BOOST);
+
+  return {
+    matchedCount: counted - missingIngredients.length,
+    totalCount: counted,
+    coverage: Math.round(coverage * 100) / 100,
+    missingIngredients,
+    usedPantryItems: usedItems.map((item) => item.name),
+    expiringSoon,
+    score: Math.round((coverage + boost) * 1000) / 1000,
+  };
+};
+
+/**
+ * Rank recipes by pantry coverage, best first
+ * @param {object[]} recipes - Lean recipes
+ * @param {object[]} pantryItems - Lean PantryItem documents
+ * @param {object} [options]
+ * @param {number} [options.maxMissing] - Drop recipes missing more ingredients
+ * @param {Date} [options.now]
+ * @returns {object[]} Recipes with a `pantryMatch` summary
+ */
+export const rankRecipesByPantry = (
+  recipes,
+  pantryItems,
+  { maxMissing, now = new Date() } = {}
+) => {
+  const items = usableItems(pantryItems, now);
+
+  return recipes
+    .map((recipe) => ({ ...recipe, pantryMatch: matchRecipe(recipe, items) }))
+    .filter(
+      ({ pantryMatch }) =>
+        pantryMatch.matchedCount > 0 &&
+        (maxMissing === undefined ||
+          pantryMatch.missingIngredients.length <= maxMissing)
+    )
+    .sort(
+      (a, b) =>
+        b.pantryMatch.score - a.pantryMatch.score ||
+        a.pantryMatch.missingIngredients.length -
+          b.pantryMatch.missingIngredients.length
+    );
+};
+
+export default {
+  EXPIRING_SOON_DAYS,
+  expiryStatus,
+  expiringBefore,
+  buildPantryCandidateCondition,
+  rankRecipesByPantry,
+};
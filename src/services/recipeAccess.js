@@ -0,0 +1,77 @@
+import crypto from "crypto";
+
+/**
+ * Recipe visibility rules
+ * Public recipes are listed in search and readable by anyone; unlisted ones
+ * are readable by anyone with the id but not listed; private ones are only
+ * readable by their owner. Owners always see their own recipes, and share
+ * links (see models/RecipeShare.js) grant read access to one recipe.
+ */
+
+// Bytes of randomness in a share token
+const SHARE_TOKEN_BYTES = 24;
+
+/**
+ * Whether the user owns a recipe
+ * @param {object} recipe
+ * @param {string} [userId]
+ * @returns {boolean}
+ */
+export const isRecipeOwner = (recipe, userId) =>
+  Boolean(userId && recipe.userId && recipe.userId === userId);
+
+/**
+ * Whether the user may read a recipe by id
+ * @param {object} recipe
+ * @param {string} [userId]
+ * @returns {boolean}
+ */
+export const canReadRecipe = (recipe, userId) =>
+  recipe.visibility === "public" ||
+  recipe.visibility === "unlisted" ||
+  isRecipeOwner(recipe, userId);
+
+/**
+ * MongoDB condition for recipes listed in the user's search results
+ * @param {string} [userId]
+ * @returns {object}
+ */
+export const searchableRecipeCondition = (userId) =>
+  userId
+    ? { $or: [{ visibility: "public" }, { userId }] }
+    : { visibility: "public" };
+
+/**
+ * MongoDB condition for recipes the user may read by id
+ * @param {string} [userId]
+ * @returns {object}
+ */
+export const readableRecipeCondition = (userId) => {
+  const shared = { visibility: { $in: ["public", "unlisted"] } };
+  return userId ? { $or: [shared, { userId }] } : shared;
+};
+
+/**
+ * Generate an unguessable share token
+ * @returns {string} URL-safe token
+ */
+export const createShareToken = () =>
+  crypto.randomBytes(SHARE_TOKEN_BYTES).toString("base64url");
+
+/**
+ * Whether a share link has expired
+ * @param {object} share - RecipeShare document
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isShareExpired = (share, now = new Date()) =>
+  Boolean(share.expiresAt && share.expiresAt <= now);
+
+export default {
+  isRecipeOwner,
+  canReadRecipe,
+  searchableRecipeCondition,
+  readableRecipeCondition,
+  createShareToken,
+  isShareExpired,
+};
@@ -0,0 +1,147 @@
+import { Recipe } from "../models/index.js";
+import { snapshotRecipe } from "./recipeRevisions.js";
+import { canReadRecipe, searchableRecipeCondition } from "./recipeAccess.js";
+
+/**
+ * Recipe forks (remixes)
+ * A fork is an independent copy of a recipe's content owned by the user who
+ * forked it. `forkedFrom` links it to its source, and the source's
+ * `forkCount` counts its direct forks.
+ */
+
+// Longest fork chain followed in either direction
+const MAX_LINEAGE_DEPTH = 20;
+
+// Recipe fields shown in a lineage
+const LINEAGE_FIELDS = [
+  "_id",
+  "title",
+  "imageUrl",
+  "cuisine",
+  "userId",
+  "visibility",
+  "forkedFrom",
+  "forkCount",
+  "createdAt",
+];
+
+/**
+ * Recipe data for a fork of a source recipe
+ * @param {object} source - Lean source recipe
+ * @param {string} userId - Firebase UID of the user forking it
+ * @param {object} [overrides] - `title` and `visibility` for the fork
+ * @returns {object}
+ */
+export const buildFork = (source, userId, overrides = {}) => ({
+  ...snapshotRecipe(source),
+  ...overrides,
+  userId,
+  forkedFrom: source._id,
+});
+
+/**
+ * Shape a lineage entry
+ * @param {object} recipe - Lean recipe with LINEAGE_FIELDS
+ * @param {number} depth - Distance from the recipe the lineage is for
+ * @returns {object}
+ */
+const formatLineageRecipe = (recipe, depth) => ({
+  id: recipe._id.toString(),
+  title: recipe.title,
+  imageUrl: recipe.imageUrl ?? null,
+  cuisine: recipe.cuisine ?? null,
+  userId: recipe.userId ?? null,
+  visibility: recipe.visibility,
+  forkedFrom: recipe.forkedFrom ? recipe.forkedFrom.toString() : null,
+  forkCount: recipe.forkCount ?? 0,
+  createdAt: recipe.createdAt,
+  depth,
+});
+
+/**
+ * Project LINEAGE_FIELDS of the documents found by a $graphLookup
+ * @param {string} field
+ * @returns {object}
+ */
+const projectLineage = (field) => ({
+  $map: {
+    input: `$${field}`,
+    as: "entry",
+    in: Object.fromEntries(
+      [...LINEAGE_FIELDS, "depth"].map((key) => [key, `$$entry.${key}`])
+    ),
+  },
+});
+
+/**
+ * Ancestors and descendants of a recipe as seen by a user.
+ * Ancestors the user may not read are kept in the chain as placeholders;
+ * descendants are limited to forks the user could find in search, and forks
+ * of those.
+ * @param {object} recipe - Lean recipe
+ * @param {string} [userId]
+ * @returns {Promise<object>}
+ */
+export const loadLineage = async (recipe, userId) => {
+  const [lineage] = await Recipe.aggregate([
+    { $match: { _id: recipe._id } },
+    {
+      $graphLookup: {
+        from: Recipe.collection.name,
+        startWith: "$forkedFrom",
+        connectFromField: "forkedFrom",
+        connectToField: "_id",
+        as: "ancestors",
+        maxDepth: MAX_LINEAGE_DEPTH - 1,
+        depthField: "depth",
+      },
+    },
+    {
+      $graphLookup: {
+        from: Recipe.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "forkedFrom",
+        as: "descendants",
+        maxDepth: MAX_LINEAGE_DEPTH - 1,
+        depthField: "depth",
+        restrictSearchWithMatch: searchableRecipeCondition(userId),
+      },
+    },
+    {
+      $project: {
+        ancestors: projectLineage("ancestors"),
+        descendants: projectLineage("descendants"),
+      },
+    },
+  ]);
+
+  // $graphLookup depths start at 0; report the parent and direct forks as 1
+  const chain = lineage.ancestors.sort((a, b) => a.depth - b.depth);
+  const ancestors = chain.map((ancestor) =>
+    canReadRecipe(ancestor, userId)
+      ? formatLineageRecipe(ancestor, ancestor.depth + 1)
+      : { id: ancestor._id.toString(), hidden: true, depth: ancestor.depth + 1 }
+  );
+
+  // The chain ends early when the oldest known recipe's source was deleted
+  const oldest = chain.length ? chain[chain.length - 1] : recipe;
+  const originDeleted =
+    Boolean(oldest.forkedFrom) && chain.length < MAX_LINEAGE_DEPTH;
+
+  const descendants = lineage.descendants
+    .sort((a, b) => a.depth - b.depth || a.createdAt - b.createdAt)
+    .map((descendant) => formatLineageRecipe(descendant, descendant.depth + 1));
+
+  return {
+    recipe: formatLineageRecipe(recipe, 0),
+    ancestors,
+    descendants,
+    originDeleted,
+  };
+};
+
+export default {
+  buildFork,
+  loadLineage,
+};
@@ -0,0 +1,329 @@
+import { createRecipeSchema } from "../validators/schemas.js";
+import { getRecipeProvider } from "./ai/index.js";
+import { findConstraintViolations } from "./allergens.js";
+import { createRecipeStreamParser, parseRecipeJson } from "./ai/recipeJson.js";
+import { createHttpError } from "../utils/errors.js";
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Read the generation retry budget from GENERATION_MAX_ATTEMPTS
+ * @returns {number}
+ */
+const getMaxAttempts = () => {
+  const value = parseInt(process.env.GENERATION_MAX_ATTEMPTS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_ATTEMPTS;
+};
+
+/**
+ * Coerce "350", "350 kcal" or 349.6 into an integer
+ * @param {*} value
+ * @returns {*} Integer when coercible, otherwise the original value
+ */
+const toInteger = (value) => {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.round(value);
+  }
+  if (typeof value === "string") {
+    const match = value.replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+    if (match) return Math.round(parseFloat(match[0]));
+  }
+  return value;
+};
+
+/**
+ * Normalize an ingredient entry; models sometimes return plain strings
+ * or numeric amounts
+ * @param {*} entry
+ * @returns {*}
+ */
+const repairIngredient = (entry) => {
+  if (typeof entry === "string") {
+    return { amount: "to taste", item: entry.trim() };
+  }
+  if (!entry || typeof entry !== "object") return entry;
+
+  const amount =
+    typeof entry.amount === "number" ? String(entry.amount) : entry.amount;
+  return {
+    ...entry,
+    amount:
+      typeof amount === "string" && amount.trim() ? amount.trim() : "to taste",
+    item: typeof entry.item === "string" ? entry.item.trim() : entry.item,
+  };
+};
+
+/**
+ * Apply deterministic fixes for common model output mistakes before
+ * validation: step numbering, numeric fields returned as strings, casing of
+ * enum values and numeric nutrition values missing their unit.
+ * @param {object} draft - Raw recipe draft from a provider
+ * @returns {object} Repaired copy of the draft
+ */
+export const repairRecipeDraft = (draft) => {
+  const recipe = { ...draft };
+
+  if (recipe.calories !== undefined) {
+    recipe.calories = toInteger(recipe.calories);
+  }
+  if (recipe.servings !== undefined) {
+    recipe.servings = toInteger(recipe.servings);
+  }
+
+  if (typeof recipe.difficulty === "string") {
+    const difficulty = recipe.difficulty.trim().toLowerCase();
+    recipe.difficulty =
+      difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+  }
+
+  for (const field of ["prepTime", "cookTime"]) {
+    if (typeof recipe[field] === "number") {
+      recipe[field] = `${recipe[field]} min`;
+    }
+  }
+
+  if (typeof recipe.tags === "string") {
+    recipe.tags = recipe.tags
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
+  if (recipe.nutrition && typeof recipe.nutrition === "object") {
+    recipe.nutrition = Object.fromEntries(
+      Object.entries(recipe.nutrition).map(([key, value]) => {
+        if (typeof value !== "number") return [key, value];
+        const unit = ["sodium", "cholesterol"].includes(key) ? "mg" : "g";
+        return [key, `${value}${unit}`];
+      })
+    );
+  }
+
+  if (Array.isArray(recipe.ingredients)) {
+    recipe.ingredients = recipe.ingredients.map(repairIngredient);
+  }
+  if (Array.isArray(recipe.dressingIngredients)) {
+    recipe.dressingIngredients =
+      recipe.dressingIngredients.map(repairIngredient);
+  }
+
+  if (Array.isArray(recipe.steps)) {
+    recipe.steps = recipe.steps.map((step, index) => {
+      if (typeof step === "string") {
+        return {
+          number: index + 1,
+          title: `Step ${index + 1}`,
+          description: step,
+        };
+      }
+      return {
+        ...step,
+        number: index + 1,
+        title: step?.title || `Step ${index + 1}`,
+      };
+    });
+  }
+
+  if (Array.isArray(recipe.shoppingList)) {
+    recipe.shoppingList = recipe.shoppingList.filter(
+      (category) => Array.isArray(category?.items) && category.items.length > 0
+    );
+  }
+
+  // Server-controlled fields are never taken from the model
+  delete recipe.userId;
+  delete recipe.isGenerated;
+  delete recipe.generationParams;
+  delete recipe.imageUrl;
+  // Generated recipes start private; only the owner may publish them
+  delete recipe.visibility;
+  // Generated nutrition is never estimated, so "auto" would let a draft
+  // without nutrition pass validation
+  delete recipe.nutritionMode;
+
+  return recipe;
+};
+
+/**
+ * Format zod issues the same way the validate middleware does
+ * @param {import("zod").ZodError} error
+ * @returns {Array<{ path: string, message: string }>}
+ */
+const formatIssues = (error) =>
+  error.errors.map((err) => ({
+    path: err.path.join("."),
+    message: err.message,
+  }));
+
+/**
+ * Describe a constraint violation for the re-prompt
+ * @param {object} violation - From findConstraintViolations
+ * @returns {string}
+ */
+const describeViolation = ({
+  ingredient,
+  field,
+  matchedTerm,
+  type,
+  constraint,
+}) =>
+  `"${ingredient}" in ${field} contains "${matchedTerm}", which violates the ${
+    type === "allergy" ? "allergy" : "excluded ingredient"
+  } "${constraint}". Remove or replace it everywhere in the recipe.`;
+
+/**
+ * Stop generation once the caller has gone away
+ * @param {AbortSignal} [signal]
+ */
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createHttpError(
+      499,
+      "GENERATION_ABORTED",
+      "Generation was cancelled"
+    );
+  }
+};
+
+/**
+ * Stream one draft from the provider, reporting the title, ingredients and
+ * each step as soon as they are complete in the streamed JSON
+ * @param {object} provider - Provider implementing streamRecipe
+ * @param {object} params - Validated recipeGenerationSchema payload
+ * @param {object} options
+ * @param {string[]} options.feedback - Problems with a previous attempt
+ * @param {AbortSignal} [options.signal] - Cancels the stream
+ * @param {Function} options.onProgress - (event, data) progress callback
+ * @param {number} options.attempt - Current attempt number
+ * @returns {Promise<object>} Unvalidated recipe draft
+ */
+const streamDraft = async (
+  provider,
+  params,
+  { feedback, signal, onProgress, attempt }
+) => {
+  const parser = createRecipeStreamParser({
+    onField: (key, value) => {
+      if (key === "title") onProgress("title", { attempt, title: value });
+      if (key === "ingredients" || key === "dressingIngredients") {
+        onProgress("ingredients", { attempt, field: key, ingredients: value });
+      }
+    },
+    onStep: (step, index) =>
+      onProgress("step", { attempt, step: { ...step, number: index + 1 } }),
+  });
+
+  for await (const chunk of provider.streamRecipe(params, {
+    feedback,
+    signal,
+  })) {
+    if (signal?.aborted) break;
+    parser.write(chunk);
+  }
+
+  throwIfAborted(signal);
+  return parseRecipeJson(parser.text());
+};
+
+/**
+ * Generate a recipe that satisfies createRecipeSchema and the requested
+ * allergies/excluded ingredients.
+ * Each attempt is repaired locally, validated and safety-checked; on failure
+ * the provider is re-prompted with the problems until the retry budget runs out.
+ * @param {object} params - Validated recipeGenerationSchema payload
+ * @param {object} [options]
+ * @param {object} [options.provider] - Defaults to the configured provider
+ * @param {number} [options.maxAttempts] - Defaults to GENERATION_MAX_ATTEMPTS or 3
+ * @param {AbortSignal} [options.signal] - Cancels generation between/during attempts
+ * @param {Function} [options.onProgress] - (event, data) callback; when set and
+ *   the provider supports streaming, emits "title", "ingredients", "step" and
+ *   "retry" events while the recipe is produced
+ * @returns {Promise<{ recipe: object, provider: object, attempts: number }>}
+ * @throws {Error} GENERATION_INVALID_OUTPUT when the last attempt fails validation
+ * @throws {Error} GENERATION_CONSTRAINT_VIOLATION when the last attempt is valid
+ *   but contains an allergen or excluded ingredient
+ * @throws {Error} GENERATION_ABORTED when the signal is aborted
+ */
+export const generateRecipe = async (
+  params,
+  {
+    provider = getRecipeProvider(),
+    maxAttempts = getMaxAttempts(),
+    signal,
+    onProgress,
+  } = {}
+) => {
+  const streaming = Boolean(onProgress && provider.streamRecipe);
+
+  let feedback = [];
+  let lastIssues = [];
+  let lastViolations = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let draft;
+
+    throwIfAborted(signal);
+    if (attempt > 1 && onProgress) {
+      onProgress("retry", { attempt, reasons: feedback });
+    }
+
+    try {
+      draft = streaming
+        ? await streamDraft(provider, params, {
+            feedback,
+            signal,
+            onProgress,
+            attempt,
+          })
+        : await provider.generateRecipe(params, { feedback, signal });
+    } catch (error) {
+      throwIfAborted(signal);
+      if (error.code !== "GENERATION_MALFORMED_OUTPUT") throw error;
+
+      lastIssues = [{ path: "", message: `Malformed JSON: ${error.details}` }];
+      lastViolations = null;
+      feedback = [
+        "The response was not a valid JSON object. Return only JSON.",
+      ];
+      continue;
+    }
+
+    const result = createRecipeSchema.safeParse(repairRecipeDraft(draft));
+
+    if (!result.success) {
+      lastIssues = formatIssues(result.error);
+      lastViolations = null;
+      feedback = lastIssues.map(
+        ({ path, message }) => `${path || "recipe"}: ${message}`
+      );
+      continue;
+    }
+
+    const violations = findConstraintViolations(result.data, params);
+
+    if (violations.length === 0) {
+      return { recipe: result.data, provider, attempts: attempt };
+    }
+
+    lastViolations = violations;
+    feedback = violations.map(describeViolation);
+  }
+
+  if (lastViolations) {
+    throw createHttpError(
+      422,
+      "GENERATION_CONSTRAINT_VIOLATION",
+      `Generated recipe still violated allergy or ingredient constraints after ${maxAttempts} attempt(s)`,
+      lastViolations
+    );
+  }
+
+  throw createHttpError(
+    502,
+    "GENERATION_INVALID_OUTPUT",
+    `Generated recipe failed validation after ${maxAttempts} attempt(s)`,
+    lastIssues
+  );
+};
+
+export default { generateRecipe, repairRecipeDraft };
@@ -0,0 +1,238 @@
+import {
+  detectAllergens,
+  normalizeConstraint,
+  resolveAllergyKeys,
+  termPattern,
+} from "./allergens.js";
+import { escapeRegExp } from "../utils/regex.js";
+
+/**
+ * Derived allergen and diet labels for recipes
+ * Labels are computed from ingredient names so that search can exclude
+ * allergens and require diet compatibility without trusting free-form tags.
+ */
+
+const MEAT_TERMS = [
+  "meat",
+  "beef",
+  "steak",
+  "veal",
+  "pork",
+  "bacon",
+  "ham",
+  "prosciutto",
+  "pancetta",
+  "salami",
+  "pepperoni",
+  "chorizo",
+  "sausage",
+  "lamb",
+  "mutton",
+  "goat",
+  "venison",
+  "chicken",
+  "turkey",
+  "duck",
+  "goose",
+  "quail",
+  "lard",
+  "gelatin",
+  "gelatine",
+  "bone broth",
+  "beef stock",
+  "chicken stock",
+];
+
+const ANIMAL_PRODUCT_TERMS = ["honey", "beeswax", "carmine"];
+
+/**
+ * Plant-based phrases that contain a meat term but are meat-free
+ */
+const MEAT_EXCEPTIONS = [
+  "vegan sausage",
+  "veggie sausage",
+  "plant-based",
+  "meatless",
+  "vegetable stock",
+  "coconut meat",
+  "jackfruit",
+  "mushroom",
+  "goat cheese",
+  "goat's cheese",
+  "goat milk",
+  "beef tomato",
+];
+
+const MEAT_PATTERNS = MEAT_TERMS.map(termPattern);
+const ANIMAL_PRODUCT_PATTERNS = ANIMAL_PRODUCT_TERMS.map(termPattern);
+const MEAT_EXCEPTION_PATTERNS = MEAT_EXCEPTIONS.map(termPattern);
+
+/**
+ * Diet labels and the conditions an ingredient set must satisfy.
+ * Each rule receives the detected allergens and meat/animal product flags.
+ */
+const DIET_RULES = {
+  vegan: ({ allergens, hasMeat, hasAnimalProduct }) =>
+    !hasMeat &&
+    !hasAnimalProduct &&
+    !["fish", "shellfish", "dairy", "egg"].some((key) => allergens.has(key)),
+  vegetarian: ({ allergens, hasMeat }) =>
+    !hasMeat && !allergens.has("fish") && !allergens.has("shellfish"),
+  pescatarian: ({ hasMeat }) => !hasMeat,
+  "gluten-free": ({ allergens }) => !allergens.has("gluten"),
+  "dairy-free": ({ allergens }) => !allergens.has("dairy"),
+  "egg-free": ({ allergens }) => !allergens.has("egg"),
+  "nut-free": ({ allergens }) =>
+    !allergens.has("peanut") && !allergens.has("treeNut"),
+  "soy-free": ({ allergens }) => !allergens.has("soy"),
+  "shellfish-free": ({ allergens }) => !allergens.has("shellfish"),
+};
+
+export const DIET_LABELS = Object.keys(DIET_RULES);
+
+/**
+ * User-facing dietary preference names mapped to diet labels
+ */
+const DIET_ALIASES = {
+  "plant-based": "vegan",
+  "plant based": "vegan",
+  veggie: "vegetarian",
+  pescetarian: "pescatarian",
+  celiac: "gluten-free",
+  coeliac: "gluten-free",
+  "no gluten": "gluten-free",
+  "lactose-free": "dairy-free",
+  "no dairy": "dairy-free",
+  "no eggs": "egg-free",
+  "no nuts": "nut-free",
+  "peanut-free": "nut-free",
+};
+
+/**
+ * Check whether an ingredient name mentions meat
+ * @param {string} text
+ * @returns {boolean}
+ */
+const mentionsMeat = (text) => {
+  let remaining = text.toLowerCase();
+  for (const exception of MEAT_EXCEPTION_PATTERNS) {
+    remaining = remaining.replace(new RegExp(exception.source, "giu"), " ");
+  }
+  return MEAT_PATTERNS.some((pattern) => pattern.test(remaining));
+};
+
+/**
+ * Collect every ingredient name on a recipe
+ * @param {object} recipe
+ * @returns {string[]}
+ */
+const collectIngredientNames = (recipe) =>
+  [
+    ...(recipe.ingredients || []).map((entry) => entry.item),
+    ...(recipe.dressingIngredients || []).map((entry) => entry.item),
+    ...(recipe.shoppingList || []).flatMap((category) => category.items || []),
+  ].filter((name) => typeof name === "string" && name);
+
+/**
+ * Derive allergen and diet labels from a recipe's ingredients
+ * @param {object} recipe - Recipe document or plain object
+ * @returns {{ allergens: string[], dietLabels: string[] }}
+ */
+export const deriveRecipeLabels = (recipe) => {
+  const names = collectIngredientNames(recipe);
+
+  const allergens = new Set(names.flatMap(detectAllergens));
+  const hasMeat = names.some(mentionsMeat);
+  const hasAnimalProduct = names.some((name) =>
+    ANIMAL_PRODUCT_PATTERNS.some((pattern) => pattern.test(name))
+  );
+
+  const context = { allergens, hasMeat, hasAnimalProduct };
+
+  return {
+    allergens: Array.from(allergens).sort(),
+    dietLabels: DIET_LABELS.filter((label) => DIET_RULES[label](context)),
+  };
+};
+
+/**
+ * Normalize a dietary preference ("Gluten Free", "plant-based") to a diet
+ * label
+ * @param {string} value
+ * @returns {string|null} Diet label, or null when not derivable
+ */
+export const resolveDietLabel = (value) => {
+  const normalized = value
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, " ");
+  if (DIET_ALIASES[normalized]) return DIET_ALIASES[normalized];
+
+  const hyphenated = normalized.replace(/\s+/g, "-");
+  if (DIET_RULES[hyphenated]) return hyphenated;
+  return DIET_ALIASES[hyphenated] || null;
+};
+
+/**
+ * Build MongoDB conditions for allergy and dietary preference filters.
+ * Known allergies exclude recipes by derived allergen label, unknown ones by
+ * ingredient name. Known diets require the derived diet label; anything else
+ * (e.g. "Keto") must appear in the recipe's tags.
+ * @param {object} filters
+ * @param {string[]} [filters.allergies]
+ * @param {string[]} [filters.dietaryPreferences]
+ * @returns {object[]} Conditions to combine with $and
+ */
+export const buildDietarySearchConditions = ({
+  allergies = [],
+  dietaryPreferences = [],
+} = {}) => {
+  const conditions = [];
+
+  const allergenKeys = new Set();
+  for (const allergy of allergies) {
+    const keys = resolveAllergyKeys(allergy);
+    if (keys.length > 0) {
+      keys.forEach((key) => allergenKeys.add(key));
+      continue;
+    }
+
+    // Same form buildConstraintMatchers uses ("Kiwi allergy" -> "kiwi")
+    const term = normalizeConstraint(allergy);
+    if (!term) continue;
+
+    const pattern = termPattern(term);
+    conditions.push(
+      { "ingredients.item": { $not: pattern } },
+      { "dressingIngredients.item": { $not: pattern } }
+    );
+  }
+  if (allergenKeys.size > 0) {
+    conditions.push({ allergens: { $nin: Array.from(allergenKeys) } });
+  }
+
+  const dietLabels = new Set();
+  for (const preference of dietaryPreferences) {
+    const label = resolveDietLabel(preference);
+    if (label) {
+      dietLabels.add(label);
+      continue;
+    }
+
+    conditions.push({
+      tags: new RegExp(`^${escapeRegExp(preference.trim())}$`, "i"),
+    });
+  }
+  if (dietLabels.size > 0) {
+    conditions.push({ dietLabels: { $all: Array.from(dietLabels) } });
+  }
+
+  return conditions;
+};
+
+export default {
+  DIET_LABELS,
+  deriveRecipeLabels,
+  resolveDietLabel,
+  buildDietarySearchConditions,
+};
@@ -0,0 +1,349 @@
+import { RecipeRevision } from "../models/index.js";
+import { createHttpError } from "../utils/errors.js";
+
+/**
+ * Recipe revision history
+ * Each update stores a snapshot of the recipe's content fields; snapshots can
+ * be compared field by field (lists item by item) and restored.
+ */
+
+// Content fields kept in a snapshot; derived fields, ownership and
+// visibility are not versioned
+export const REVISION_FIELDS = [
+  "title",
+  "subtitle",
+  "description",
+  "prepTime",
+  "cookTime",
+  "servings",
+  "calories",
+  "difficulty",
+  "tags",
+  "cuisine",
+  "imageUrl",
+  "nutrition",
+  "ingredients",
+  "dressingIngredients",
+  "steps",
+  "shoppingList",
+  "youtubeId",
+  "videoUrl",
+];
+
+// Submitted fields of list items (parsed ingredient fields are derived)
+const ITEM_FIELDS = {
+  ingredients: ["amount", "item", "id"],
+  dressingIngredients: ["amount", "item", "id"],
+  steps: ["number", "title", "description", "tip", "duration", "imageUrl"],
+  shoppingList: ["category", "items"],
+};
+
+const NUTRITION_FIELDS = [
+  "protein",
+  "carbs",
+  "fat",
+  "fiber",
+  "sodium",
+  "sugar",
+  "saturatedFat",
+  "cholesterol",
+];
+
+const LIST_FIELDS = ["tags", ...Object.keys(ITEM_FIELDS)];
+
+/**
+ * Copy the set keys of an object, in the given order
+ * @param {object} source
+ * @param {string[]} keys
+ * @returns {object}
+ */
+const pick = (source, keys) =>
+  Object.fromEntries(
+    keys
+      .filter((key) => source[key] !== undefined && source[key] !== null)
+      .map((key) => [key, source[key]])
+  );
+
+/**
+ * Content of a recipe as stored in a revision
+ * @param {object} recipe - Plain recipe object
+ * @returns {object}
+ */
+export const snapshotRecipe = (recipe) =>
+  JSON.parse(
+    JSON.stringify(
+      Object.fromEntries(
+        REVISION_FIELDS.filter(
+          (field) => recipe[field] !== undefined && recipe[field] !== null
+        ).map((field) => {
+          const value = recipe[field];
+          if (ITEM_FIELDS[field]) {
+            return [field, value.map((item) => pick(item, ITEM_FIELDS[field]))];
+          }
+          if (field === "nutrition") {
+            return [field, pick(value, NUTRITION_FIELDS)];
+          }
+          return [field, value];
+        })
+      )
+    )
+  );
+
+/**
+ * Whether two snapshot values are the same
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields that differ between two snapshots
+ * @param {object} from
+ * @param {object} to
+ * @returns {string[]}
+ */
+export const changedFields = (from, to) =>
+  REVISION_FIELDS.filter((field) => !sameValue(from[field], to[field]));
+
+/**
+ * Comparison key of a list item. Steps are compared without their number so
+ * that inserting a step does not report every later step as changed.
+ * @param {string} field
+ * @param {*} item
+ * @returns {string}
+ */
+const itemKey = (field, item) => {
+  if (field !== "steps") return JSON.stringify(item);
+  const { number, ...rest } = item;
+  return JSON.stringify(rest);
+};
+
+/**
+ * Item-level diff of two lists (longest common subsequence). A removal and
+ * an addition at the same place are reported as a change.
+ * @param {string} field
+ * @param {Array} from
+ * @param {Array} to
+ * @returns {{ added: object[], removed: object[], changed: object[] }}
+ */
+const diffList = (field, from, to) => {
+  const a = from.map((item) => itemKey(field, item));
+  const b = to.map((item) => itemKey(field, item));
+
+  // lengths[i][j]: common subsequence length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let pendingRemoved = [];
+  let pendingAdded = [];
+
+  // Pair up the removals and additions between two unchanged items
+  const flush = () => {
+    const paired = Math.min(pendingRemoved.length, pendingAdded.length);
+    for (let k = 0; k < paired; k++) {
+      changed.push({
+        fromIndex: pendingRemoved[k],
+        toIndex: pendingAdded[k],
+        from: from[pendingRemoved[k]],
+        to: to[pendingAdded[k]],
+      });
+    }
+    for (const index of pendingRemoved.slice(paired)) {
+      removed.push({ index, value: from[index] });
+    }
+    for (const index of pendingAdded.slice(paired)) {
+      added.push({ index, value: to[index] });
+    }
+    pendingRemoved = [];
+    pendingAdded = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      i++;
+      j++;
+    } else if (
+      j >= b.length ||
+      (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      pendingRemoved.push(i++);
+    } else {
+      pendingAdded.push(j++);
+    }
+  }
+  flush();
+
+  return { added, removed, changed };
+};
+
+/**
+ * Field-level diff between two snapshots
+ * @param {object} from - Older snapshot
+ * @param {object} to - Newer snapshot
+ * @returns {object[]} Changes: `{ field, type: "value", from, to }` for
+ *   values (nutrition per nutrient) and `{ field, type: "list", added,
+ *   removed, changed }` for tags, ingredients, steps and the shopping list
+ */
+export const diffSnapshots = (from, to) =>
+  changedFields(from, to).flatMap((field) => {
+    if (LIST_FIELDS.includes(field)) {
+      return [
+        {
+          field,
+          type: "list",
+          ...diffList(field, from[field] || [], to[field] || []),
+        },
+      ];
+    }
+
+    if (field === "nutrition") {
+      return NUTRITION_FIELDS.filter(
+        (key) => !sameValue(from.nutrition?.[key], to.nutrition?.[key])
+      ).map((key) => ({
+        field: `nutrition.${key}`,
+        type: "value",
+        from: from.nutrition?.[key] ?? null,
+        to: to.nutrition?.[key] ?? null,
+      }));
+    }
+
+    return [
+      {
+        field,
+        type: "value",
+        from: from[field] ?? null,
+        to: to[field] ?? null,
+      },
+    ];
+  });
+
+// Attempts at numbering a revision when concurrent edits take the same number
+const REVISION_WRITE_ATTEMPTS = 5;
+
+/**
+ * Store a revision for a saved change. The first recorded change also
+ * stores the content before it as revision 1.
+ * Numbers follow the latest stored revision; when a concurrent change takes
+ * the same number, the unique (recipeId, revision) index rejects the insert
+ * and the next free number is tried.
+ * @param {object} before - Plain recipe object from before the change
+ * @param {object} recipe - Saved Recipe document
+ * @param {object} options
+ * @param {string} options.userId - Author of the change
+ * @param {"update"|"revert"} [options.action]
+ * @param {number} [options.revertedFrom]
+ * @returns {Promise<object|null>} The new revision, or null when no content
+ *   field changed
+ */
+export const recordRevision = async (
+  before,
+  recipe,
+  { userId, action = "update", revertedFrom = null }
+) => {
+  const previous = snapshotRecipe(before);
+  const current = snapshotRecipe(recipe.toObject());
+  const changed = changedFields(previous, current);
+  if (changed.length === 0) return null;
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await RecipeRevision.findOne({ recipeId: recipe._id })
+      .sort({ revision: -1 })
+      .select("revision")
+      .lean();
+
+    const revisions = [];
+    if (!latest) {
+      revisions.push({
+        recipeId: recipe._id,
+        revision: 1,
+        userId: before.userId || null,
+        action: "initial",
+        snapshot: previous,
+        createdAt: before.updatedAt || before.createdAt || new Date(),
+      });
+    }
+    revisions.push({
+      recipeId: recipe._id,
+      revision: (latest?.revision ?? 1) + 1,
+      userId,
+      action,
+      revertedFrom,
+      changedFields: changed,
+      snapshot: current,
+    });
+
+    try {
+      // Ordered, so a taken revision 1 stops the whole batch
+      const created = await RecipeRevision.insertMany(revisions);
+      return created[created.length - 1];
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_WRITE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Load one revision of a recipe
+ * @param {string} recipeId
+ * @param {string|number} value - Revision number
+ * @returns {Promise<object>} RecipeRevision document
+ * @throws {Error} INVALID_REVISION or REVISION_NOT_FOUND
+ */
+export const findRevision = async (recipeId, value) => {
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 1) {
+    throw createHttpError(
+      400,
+      "INVALID_REVISION",
+      "Revision must be a positive integer"
+    );
+  }
+
+  const found = await RecipeRevision.findOne({ recipeId, revision });
+  if (!found) {
+    throw createHttpError(
+      404,
+      "REVISION_NOT_FOUND",
+      `Revision ${revision} not found`
+    );
+  }
+  return found;
+};
+
+/**
+ * Shape a revision for lists, without its snapshot
+ * @param {object} revision - RecipeRevision document
+ * @returns {object}
+ */
+export const summarizeRevision = (revision) => {
+  const { snapshot, ...data } = revision.toObject();
+  return data;
+};
+
+export default {
+  REVISION_FIELDS,
+  snapshotRecipe,
+  changedFields,
+  diffSnapshots,
+  recordRevision,
+  findRevision,
+  summarizeRevision,
+};
@@ -0,0 +1,189 @@
+import { termPattern } from "./allergens.js";
+import { splitAmount, formatAmount } from "../utils/ingredients.js";
+import {
+  NUTRIENT_KEYS,
+  parseNutrientAmount,
+  nutrientUnit,
+} from "../utils/nutrition.js";
+
+/**
+ * Serving-size scaling for recipes
+ * Amounts are multiplied and re-rendered as kitchen fractions; seasonings
+ * and leaveners are scaled but flagged, since cooks rarely scale them
+ * linearly.
+ */
+
+const SEASONING_TERMS = [
+  "salt",
+  "pepper",
+  "chili flakes",
+  "red pepper flakes",
+  "cayenne",
+  "hot sauce",
+  "spice",
+  "seasoning",
+];
+
+const LEAVENING_TERMS = [
+  "baking powder",
+  "baking soda",
+  "bicarbonate of soda",
+  "yeast",
+];
+
+const SEASONING_PATTERNS = SEASONING_TERMS.map(termPattern);
+const LEAVENING_PATTERNS = LEAVENING_TERMS.map(termPattern);
+
+// Vegetables matched by "pepper" that are not seasonings
+const PEPPER_VEGETABLES =
+  /\b(bell|sweet|jalape[nñ]o|chil(?:e|i)|poblano|serrano)\s+peppers?\b/i;
+
+const NOTES = {
+  unscaled: "Not scaled; adjust to taste",
+  seasoning:
+    "Seasoning doesn't scale linearly; start with less and adjust to taste",
+  leavening: "Leavening doesn't scale linearly; adjust with care",
+};
+
+/**
+ * Round a scaled quantity to avoid float noise
+ * @param {number} value
+ * @returns {number}
+ */
+const roundScaled = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Pick a scaling note for an ingredient
+ * @param {string} item - Ingredient name
+ * @param {number|null} quantity - Parsed quantity
+ * @param {string|null} unit
+ * @returns {string|null}
+ */
+const scalingNote = (item, quantity, unit) => {
+  if (quantity === null) return NOTES.unscaled;
+  if (LEAVENING_PATTERNS.some((pattern) => pattern.test(item))) {
+    return NOTES.leavening;
+  }
+  if (
+    unit === "pinch" ||
+    unit === "dash" ||
+    (SEASONING_PATTERNS.some((pattern) => pattern.test(item)) &&
+      !PEPPER_VEGETABLES.test(item))
+  ) {
+    return NOTES.seasoning;
+  }
+  return null;
+};
+
+/**
+ * Scale a single ingredient entry
+ * @param {object} entry - Ingredient or dressing ingredient
+ * @param {number} factor
+ * @returns {object} Scaled copy, with scalingNote when not linear
+ */
+const scaleIngredient = (entry, factor) => {
+  const parts = splitAmount(entry.amount);
+  const note = scalingNote(entry.item || "", parts.quantity, parts.unit);
+
+  if (parts.quantity === null) {
+    return { ...entry, scalingNote: note };
+  }
+
+  const quantity = roundScaled(parts.quantity * factor);
+  const quantityMax =
+    parts.quantityMax !== null ? roundScaled(parts.quantityMax * factor) : null;
+
+  const scaled = {
+    ...entry,
+    amount: formatAmount({ ...parts, quantity, quantityMax }),
+    quantity,
+    quantityMax,
+  };
+  if (note) scaled.scalingNote = note;
+  return scaled;
+};
+
+/**
+ * Scale a shopping list item when it starts with a quantity
+ * ("2 chicken breasts" -> "4 chicken breasts"); other items are unchanged
+ * @param {string} item
+ * @param {number} factor
+ * @returns {string}
+ */
+const scaleShoppingItem = (item, factor) => {
+  if (typeof item !== "string" || !/^\s*[\d¼½¾⅓⅔⅛]/.test(item)) return item;
+
+  const parts = splitAmount(item);
+  if (parts.quantity === null || !parts.remainder) return item;
+
+  return formatAmount({
+    ...parts,
+    quantity: roundScaled(parts.quantity * factor),
+    quantityMax:
+      parts.quantityMax !== null
+        ? roundScaled(parts.quantityMax * factor)
+        : null,
+  });
+};
+
+/**
+ * Total nutrition for the whole (scaled) batch.
+ * Recipe calories and nutrition are per serving, so they stay as stored.
+ * @param {object} recipe
+ * @param {number} servings
+ * @returns {object} calories plus display strings, e.g. { protein: "72g" }
+ */
+const totalNutrition = (recipe, servings) => {
+  const totals = {};
+  if (Number.isFinite(recipe.calories)) {
+    totals.calories = Math.round(recipe.calories * servings);
+  }
+
+  for (const key of NUTRIENT_KEYS) {
+    const perServing =
+      recipe.nutritionValues?.[key] ??
+      parseNutrientAmount(recipe.nutrition?.[key], key);
+    if (perServing === null || perServing === undefined) continue;
+
+    const total = Math.round(perServing * servings * 10) / 10;
+    totals[key] = `${total}${nutrientUnit(key)}`;
+  }
+
+  return totals;
+};
+
+/**
+ * Return a copy of a recipe scaled to a number of servings
+ * @param {object} recipe - Lean recipe document
+ * @param {number} servings - Target servings
+ * @returns {object} Scaled recipe with `scaling` and `totalNutrition`
+ */
+export const scaleRecipe = (recipe, servings) => {
+  const originalServings = recipe.servings;
+  const factor = servings / originalServings;
+
+  return {
+    ...recipe,
+    servings,
+    ingredients: (recipe.ingredients || []).map((entry) =>
+      scaleIngredient(entry, factor)
+    ),
+    dressingIngredients: (recipe.dressingIngredients || []).map((entry) =>
+      scaleIngredient(entry, factor)
+    ),
+    shoppingList: (recipe.shoppingList || []).map((category) => ({
+      ...category,
+      items: (category.items || []).map((item) =>
+        scaleShoppingItem(item, factor)
+      ),
+    })),
+    totalNutrition: totalNutrition(recipe, servings),
+    scaling: {
+      originalServings,
+      servings,
+      factor: Math.round(factor * 1000) / 1000,
+    },
+  };
+};
+
+export default { scaleRecipe };
@@ -0,0 +1,104 @@
+import { Recipe, RecipeReview } from "../models/index.js";
+
+/**
+ * Recipe reviews
+ * Recipe.ratingTotal and Recipe.reviewCount are adjusted atomically whenever
+ * a review is added, re-rated or removed, and averageRating is recomputed
+ * from them in the same update, so search can sort and filter on it.
+ */
+
+// Sort options for review lists (newest first within ties)
+export const REVIEW_SORT_OPTIONS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+/**
+ * Adjust a recipe's review aggregates
+ * @param {string} recipeId
+ * @param {object} change
+ * @param {number} change.total - Change in the sum of ratings
+ * @param {number} change.count - Change in the number of reviews
+ * @returns {Promise<object>} Update result
+ */
+export const applyRatingChange = (recipeId, { total, count }) =>
+  Recipe.updateOne(
+    { _id: recipeId },
+    [
+      {
+        $set: {
+          ratingTotal: { $add: [{ $ifNull: ["$ratingTotal", 0] }, total] },
+          reviewCount: { $add: [{ $ifNull: ["$reviewCount", 0] }, count] },
+        },
+      },
+      {
+        $set: {
+          averageRating: {
+            $cond: [
+              { $gt: ["$reviewCount", 0] },
+              { $round: [{ $divide: ["$ratingTotal", "$reviewCount"] }, 2] },
+              null,
+            ],
+          },
+        },
+      },
+    ],
+    // Reviews are not edits of the recipe
+    { timestamps: false }
+  );
+
+/**
+ * Shape a review for a reader, hiding who voted it helpful
+ * @param {object} review - RecipeReview document
+ * @param {string} [userId] - Reader's Firebase UID
+ * @returns {object}
+ */
+export const formatReview = (review, userId) => {
+  const { helpfulVoters, ...data } = review.toObject();
+  return {
+    ...data,
+    votedHelpful: Boolean(userId && helpfulVoters.includes(userId)),
+  };
+};
+
+/**
+ * Rating summary of a recipe
+ * @param {object} recipe - Lean recipe
+ * @returns {Promise<object>} averageRating, reviewCount, madeItCount and the
+ *   number of reviews per star rating
+ */
+export const summarizeReviews = async (recipe) => {
+  const groups = await RecipeReview.aggregate([
+    { $match: { recipeId: recipe._id } },
+    {
+      $group: {
+        _id: "$rating",
+        count: { $sum: 1 },
+        madeIt: { $sum: { $cond: ["$madeIt", 1, 0] } },
+      },
+    },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let madeItCount = 0;
+  for (const group of groups) {
+    distribution[group._id] = group.count;
+    madeItCount += group.madeIt;
+  }
+
+  return {
+    averageRating: recipe.averageRating ?? null,
+    reviewCount: recipe.reviewCount ?? 0,
+    madeItCount,
+    distribution,
+  };
+};
+
+export default {
+  REVIEW_SORT_OPTIONS,
+  applyRatingChange,
+  formatReview,
+  summarizeReviews,
+};
@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import { Recipe, SavedRecipe } from "../models/index.js";
+import { parseDurationMinutes, formatDuration } from "../utils/duration.js";
+import { escapeRegExp } from "../utils/regex.js";
+import { createHttpError } from "../utils/errors.js";
+import { readableRecipeCondition } from "./recipeAccess.js";
+
+/**
+ * Saved recipe helpers shared by the saved list and collections
+ */
+
+// Recipe fields needed for a SavedRecipeSummary
+const SUMMARY_RECIPE_FIELDS = [
+  "_id",
+  "title",
+  "cuisine",
+  "calories",
+  "imageUrl",
+  "tags",
+  "prepTime",
+  "cookTime",
+  "totalTimeMinutes",
+];
+
+// Sort keys, with the direction used when sortOrder is omitted
+const SORTS = {
+  savedAt: { value: "$savedAt", order: "desc" },
+  rating: { value: "$rating", order: "desc" },
+  title: { value: { $toLower: "$recipe.title" }, order: "asc" },
+  totalTime: { value: "$recipe.totalTimeMinutes", order: "asc" },
+};
+
+/**
+ * Shape a saved recipe like the frontend SavedRecipeSummary
+ * @param {object} saved - Lean SavedRecipe with recipeId populated
+ * @returns {object}
+ */
+export const toSavedRecipeSummary = (saved) => {
+  const recipe = saved.recipeId;
+
+  // Calculate total time (parse on the fly for recipes not yet backfilled)
+  const totalMin =
+    recipe.totalTimeMinutes ??
+    (parseDurationMinutes(recipe.prepTime) || 0) +
+      (parseDurationMinutes(recipe.cookTime) || 0);
+  const time = totalMin > 0 ? formatDuration(totalMin) : "Unknown";
+
+  return {
+    id: recipe._id.toString(),
+    userId: saved.userId,
+    title: recipe.title,
+    cuisine: recipe.cuisine,
+    time,
+    calories: recipe.calories,
+    imageUrl: recipe.imageUrl,
+    tags: recipe.tags,
+    savedAt: saved.savedAt,
+    notes: saved.notes,
+    rating: saved.rating,
+  };
+};
+
+/**
+ * Encode the position after a saved recipe as an opaque cursor
+ * @param {object} sort - { sortBy, sortOrder }
+ * @param {object} saved - Aggregated saved recipe with sortValue
+ * @returns {string}
+ */
+const encodeCursor = ({ sortBy, sortOrder }, saved) =>
+  Buffer.from(
+    JSON.stringify({
+      sortBy,
+      sortOrder,
+      value: saved.sortValue,
+      id: saved._id.toString(),
+    })
+  ).toString("base64url");
+
+/**
+ * Decode a cursor created by encodeCursor for the same sort
+ * @param {string} cursor
+ * @param {object} sort - { sortBy, sortOrder }
+ * @returns {{ value: *, id: mongoose.Types.ObjectId }}
+ * @throws {Error} INVALID_CURSOR when the cursor is malformed or was created
+ *   for a different sort
+ */
+const decodeCursor = (cursor, { sortBy, sortOrder }) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    decoded = null;
+  }
+
+  if (
+    !decoded ||
+    decoded.sortBy !== sortBy ||
+    decoded.sortOrder !== sortOrder ||
+    !mongoose.Types.ObjectId.isValid(decoded.id)
+  ) {
+    throw createHttpError(
+      400,
+      "INVALID_CURSOR",
+      "Cursor is invalid or does not match the requested sort"
+    );
+  }
+
+  return {
+    value: sortBy === "savedAt" ? new Date(decoded.value) : decoded.value,
+    id: new mongoose.Types.ObjectId(decoded.id),
+  };
+};
+
+/**
+ * MongoDB conditions for the list filters
+ * @param {object} query - Validated savedRecipeListQuerySchema query
+ * @returns {{ saved: object, recipe: object }} Conditions on the saved recipe
+ *   and on the joined recipe
+ */
+const buildFilters = (query) => {
+  const saved = {};
+  if (query.minRating || query.maxRating) {
+    saved.rating = {};
+    if (query.minRating) saved.rating.$gte = query.minRating;
+    if (query.maxRating) saved.rating.$lte = query.maxRating;
+  }
+
+  const recipe = {};
+  if (query.cuisines?.length > 0) {
+    recipe["recipe.cuisine"] = { $in: query.cuisines };
+  }
+  // Recipe must have ALL specified tags
+  if (query.tags?.length > 0) {
+    recipe["recipe.tags"] = { $all: query.tags };
+  }
+  if (query.minCalories || query.maxCalories) {
+    recipe["recipe.calories"] = {};
+    if (query.minCalories) recipe["recipe.calories"].$gte = query.minCalories;
+    if (query.maxCalories) recipe["recipe.calories"].$lte = query.maxCalories;
+  }
+  if (query.query) {
+    const pattern = new RegExp(escapeRegExp(query.query), "i");
+    recipe.$or = [{ notes: pattern }, { "recipe.title": pattern }];
+  }
+
+  return { saved, recipe };
+};
+
+/**
+ * List a user's saved recipes with filters, sorting and cursor pagination.
+ * Saved recipes whose recipe was deleted, or that the user may no longer
+ * read (made private by its owner), are left out. Unrated recipes and
+ * recipes without a total time sort last in either direction.
+ * @param {string} userId
+ * @param {object} query - Validated savedRecipeListQuerySchema query
+ * @returns {Promise<{ recipes: object[], totalCount: number, hasMore: boolean, nextCursor: string|null }>}
+ * @throws {Error} INVALID_CURSOR
+ */
+export const listSavedRecipes = async (userId, query) => {
+  const { sortBy, limit } = query;
+  const sortOrder = query.sortOrder || SORTS[sortBy].order;
+  const direction = sortOrder === "asc" ? 1 : -1;
+  const compare = direction === 1 ? "$gt" : "$lt";
+
+  // Missing values sort after every real one
+  const missingValue = direction === 1 ? Number.MAX_SAFE_INTEGER : -1;
+
+  const filters = buildFilters(query);
+  const page = [];
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor, { sortBy, sortOrder });
+    page.push({
+      $match: {
+        $or: [
+          { sortValue: { [compare]: value } },
+          { sortValue: value, _id: { [compare]: id } },
+        ],
+      },
+    });
+  }
+  page.push(
+    { $sort: { sortValue: direction, _id: direction } },
+    // One extra to tell whether there is another page
+    { $limit: limit + 1 }
+  );
+
+  const [result] = await SavedRecipe.aggregate([
+    { $match: { userId, ...filters.saved } },
+    {
+      $lookup: {
+        from: Recipe.collection.name,
+        // let/pipeline rather than localField with a pipeline, which needs
+        // MongoDB 5.0+
+        let: { recipeId: "$recipeId" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$recipeId"] } } },
+          { $match: readableRecipeCondition(userId) },
+        ],
+        as: "recipe",
+      },
+    },
+    // Drops saved recipes whose recipe was deleted or is no longer readable
+    { $unwind: "$recipe" },
+    { $match: filters.recipe },
+    {
+      $project: {
+        userId: 1,
+        savedAt: 1,
+        notes: 1,
+        rating: 1,
+        ...Object.fromEntries(
+          SUMMARY_RECIPE_FIELDS.map((field) => [`recipe.${field}`, 1])
+        ),
+      },
+    },
+    {
+      $addFields: {
+        sortValue: { $ifNull: [SORTS[sortBy].value, missingValue] },
+      },
+    },
+    {
+      $facet: {
+        recipes: page,
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const hasMore = result.recipes.length > limit;
+  const rows = result.recipes.slice(0, limit);
+
+  return {
+    recipes: rows.map((saved) =>
+      toSavedRecipeSummary({ ...saved, recipeId: saved.recipe })
+    ),
+    totalCount: result.total[0]?.count ?? 0,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({ sortBy, sortOrder }, rows[rows.length - 1])
+      : null,
+  };
+};
+
+export default { toSavedRecipeSummary, listSavedRecipes };
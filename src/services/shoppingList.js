@@ -0,0 +1,372 @@
+import { termPattern } from "./allergens.js";
+import {
+  parseIngredient,
+  splitAmount,
+  formatAmount,
+  normalizeIngredientName,
+} from "../utils/ingredients.js";
+import { VOLUME_ML, WEIGHT_G } from "../utils/units.js";
+
+/**
+ * Aggregated shopping lists
+ * Ingredients from several recipes are scaled to the requested servings,
+ * merged by normalized name and summed when their units are compatible
+ * (same unit, or both volumes / both weights).
+ */
+
+// Store sections in walking order; lists are grouped and sorted by these
+export const STORE_CATEGORIES = [
+  "Produce",
+  "Meat & Seafood",
+  "Dairy & Eggs",
+  "Bakery",
+  "Grains",
+  "Pantry",
+  "Spices",
+  "Frozen",
+  "Other",
+];
+
+/**
+ * Fallback keywords for ingredients a recipe's own shopping list does not
+ * categorize
+ */
+const CATEGORY_KEYWORDS = {
+  Produce: [
+    "apple",
+    "avocado",
+    "banana",
+    "basil",
+    "berries",
+    "broccoli",
+    "cabbage",
+    "carrot",
+    "celery",
+    "cilantro",
+    "cucumber",
+    "garlic",
+    "ginger",
+    "kale",
+    "lemon",
+    "lettuce",
+    "lime",
+    "mint",
+    "mushroom",
+    "onion",
+    "parsley",
+    "pepper",
+    "potato",
+    "scallion",
+    "spinach",
+    "tomato",
+    "zucchini",
+  ],
+  "Meat & Seafood": [
+    "beef",
+    "chicken",
+    "cod",
+    "fish",
+    "lamb",
+    "pork",
+    "salmon",
+    "shrimp",
+    "tofu",
+    "tuna",
+    "turkey",
+  ],
+  "Dairy & Eggs": [
+    "butter",
+    "cheese",
+    "cream",
+    "egg",
+    "feta",
+    "milk",
+    "parmesan",
+    "yogurt",
+  ],
+  Bakery: ["bread", "bun", "pita", "tortilla", "baguette"],
+  Grains: ["rice", "quinoa", "pasta", "noodle", "oats", "couscous", "barley"],
+  Spices: [
+    "cinnamon",
+    "cumin",
+    "paprika",
+    "oregano",
+    "thyme",
+    "chili powder",
+    "turmeric",
+    "salt",
+    "black pepper",
+  ],
+  Frozen: ["frozen"],
+  Pantry: [
+    "oil",
+    "vinegar",
+    "flour",
+    "sugar",
+    "honey",
+    "sauce",
+    "stock",
+    "broth",
+    "beans",
+    "chickpeas",
+    "lentils",
+    "tahini",
+  ],
+};
+
+// Checked most specific first so "black pepper" is a spice, not produce
+const CATEGORY_MATCHERS = ["Spices", ...STORE_CATEGORIES]
+  .filter((category, index, all) => all.indexOf(category) === index)
+  .flatMap((category) =>
+    (CATEGORY_KEYWORDS[category] || []).map((keyword) => ({
+      category,
+      pattern: termPattern(keyword),
+    }))
+  );
+
+/**
+ * Normalize a free-form category name to a store category
+ * ("Dairy" -> "Dairy & Eggs", "Meat" -> "Meat & Seafood")
+ * @param {string} [category]
+ * @returns {string|null}
+ */
+const normalizeCategory = (category) => {
+  if (!category) return null;
+  const lower = category.trim().toLowerCase();
+
+  return (
+    STORE_CATEGORIES.find(
+      (store) =>
+        store.toLowerCase() === lower ||
+        store.toLowerCase().split(" & ").includes(lower)
+    ) || null
+  );
+};
+
+/**
+ * Guess a store category from an ingredient name
+ * @param {string} name
+ * @returns {string}
+ */
+export const categorizeIngredient = (name) =>
+  CATEGORY_MATCHERS.find(({ pattern }) => pattern.test(name))?.category ||
+  "Other";
+
+/**
+ * Map normalized ingredient names to the categories of a recipe's own
+ * shopping list
+ * @param {object} recipe
+ * @returns {Map<string, string>}
+ */
+const recipeCategories = (recipe) => {
+  const categories = new Map();
+
+  for (const { category, items = [] } of recipe.shoppingList || []) {
+    const storeCategory = normalizeCategory(category);
+    if (!storeCategory) continue;
+
+    for (const item of items) {
+      // "2 tortillas" names "tortilla"
+      const name = normalizeIngredientName(splitAmount(item).remainder);
+      if (name) categories.set(name, storeCategory);
+    }
+  }
+
+  return categories;
+};
+
+/**
+ * Measurement dimension of a unit, used to decide what can be summed
+ * @param {string|null} unit
+ * @returns {string} "volume", "weight", or the unit itself
+ */
+const dimensionOf = (unit) => {
+  if (unit in VOLUME_ML) return "volume";
+  if (unit in WEIGHT_G) return "weight";
+  return unit || "count";
+};
+
+/**
+ * Convert a quantity into the base unit of its dimension (ml or g)
+ * @param {number} quantity
+ * @param {string|null} unit
+ * @returns {number}
+ */
+const toBase = (quantity, unit) => {
+  if (unit in VOLUME_ML) return quantity * VOLUME_ML[unit];
+  if (unit in WEIGHT_G) return quantity * WEIGHT_G[unit];
+  return quantity;
+};
+
+/**
+ * Re-express a summed quantity in a readable unit of the same system
+ * (12 tsp -> 1/4 cup, 1500 g -> 1.5 kg)
+ * @param {number} quantity
+ * @param {string|null} unit
+ * @returns {{ factor: number, unit: string|null }} Multiplier to apply and
+ *   the new unit
+ */
+const tidyUnit = (quantity, unit) => {
+  let target = unit;
+
+  if (["tsp", "tbsp", "cup"].includes(unit)) {
+    const ml = toBase(quantity, unit);
+    target =
+      ml >= VOLUME_ML.cup / 4 ? "cup" : ml >= VOLUME_ML.tbsp ? "tbsp" : "tsp";
+  } else if (unit === "g" && quantity >= 1000) {
+    target = "kg";
+  } else if (unit === "ml" && quantity >= 1000) {
+    target = "l";
+  } else if (unit === "oz" && quantity >= 16) {
+    target = "lb";
+  }
+
+  return { factor: toBase(1, unit) / toBase(1, target), unit: target };
+};
+
+/**
+ * Record that an item is needed by a recipe
+ * @param {object} item
+ * @param {{ recipeId: *, title: string }} source
+ */
+const addSource = (item, source) => {
+  const known = item.recipes.some(
+    (recipeRef) => String(recipeRef.recipeId) === String(source.recipeId)
+  );
+  if (!known) item.recipes.push(source);
+};
+
+/**
+ * Build aggregated shopping list items from recipes
+ * @param {Array<{ recipe: object, servings?: number }>} selections
+ * @returns {object[]} Items with name, quantity, unit, amount, category and
+ *   the recipes they came from
+ */
+export const aggregateIngredients = (selections) => {
+  const merged = new Map();
+
+  for (const { recipe, servings } of selections) {
+    const factor = servings ? servings / recipe.servings : 1;
+    const categories = recipeCategories(recipe);
+    const source = { recipeId: recipe._id, title: recipe.title };
+
+    for (const entry of [
+      ...(recipe.ingredients || []),
+      ...(recipe.dressingIngredients || []),
+    ]) {
+      const { quantity, quantityMax, unit, name } = parseIngredient(entry);
+      if (!name) continue;
+
+      const key = `${name}|${quantity === null ? "unmeasured" : dimensionOf(unit)}`;
+      const existing = merged.get(key);
+      const item = existing || {
+        name,
+        unit,
+        quantity: null,
+        quantityMax: null,
+        category:
+          categories.get(name) ||
+          normalizeCategory(entry.category) ||
+          categorizeIngredient(name),
+        recipes: [],
+      };
+
+      if (quantity !== null) {
+        // Sum in the first unit seen for this ingredient
+        const perUnit = toBase(1, item.unit);
+        const add = (toBase(quantity, unit) / perUnit) * factor;
+        const addMax =
+          (toBase(quantityMax ?? quantity, unit) / perUnit) * factor;
+        const hasRange = quantityMax !== null || item.quantityMax !== null;
+
+        item.quantityMax = hasRange
+          ? (item.quantityMax ?? item.quantity ?? 0) + addMax
+          : null;
+        item.quantity = (item.quantity ?? 0) + add;
+      }
+
+      addSource(item, source);
+      merged.set(key, item);
+    }
+  }
+
+  // "Salt to taste" adds nothing next to a measured amount of salt
+  for (const [key, item] of merged) {
+    if (item.quantity !== null) continue;
+    const measured = Array.from(merged.values()).find(
+      (other) => other.name === item.name && other.quantity !== null
+    );
+    if (!measured) continue;
+
+    item.recipes.forEach((source) => addSource(measured, source));
+    merged.delete(key);
+  }
+
+  return Array.from(merged.values())
+    .map((item) => {
+      if (item.quantity === null) return { ...item, amount: "" };
+
+      const { factor, unit } = tidyUnit(item.quantity, item.unit);
+      const quantity = Math.round(item.quantity * factor * 1000) / 1000;
+      const quantityMax =
+        item.quantityMax !== null
+          ? Math.round(item.quantityMax * factor * 1000) / 1000
+          : null;
+
+      return {
+        ...item,
+        quantity,
+        quantityMax,
+        unit,
+        amount: formatAmount({ quantity, quantityMax, unit }),
+      };
+    })
+    .sort(
+      (a, b) =>
+        STORE_CATEGORIES.indexOf(a.category) -
+          STORE_CATEGORIES.indexOf(b.category) || a.name.localeCompare(b.name)
+    );
+};
+
+/**
+ * Resolve the category of a manually added item: a store category when the
+ * given name matches one, the user's own category otherwise, or a guess from
+ * the item name
+ * @param {string} name
+ * @param {string} [category]
+ * @returns {string}
+ */
+export const resolveItemCategory = (name, category) =>
+  normalizeCategory(category) ||
+  category?.trim() ||
+  categorizeIngredient(name.toLowerCase());
+
+/**
+ * Group shopping list items by category: store categories in walking order,
+ * then any custom categories in the order they first appear
+ * @param {object[]} items
+ * @returns {Array<{ category: string, items: object[] }>}
+ */
+export const groupByCategory = (items) => {
+  const custom = items
+    .map((item) => item.category || "Other")
+    .filter(
+      (category, index, all) =>
+        !STORE_CATEGORIES.includes(category) && all.indexOf(category) === index
+    );
+
+  return [...STORE_CATEGORIES, ...custom]
+    .map((category) => ({
+      category,
+      items: items.filter((item) => (item.category || "Other") === category),
+    }))
+    .filter((group) => group.items.length > 0);
+};
+
+export default {
+  STORE_CATEGORIES,
+  categorizeIngredient,
+  aggregateIngredients,
+  resolveItemCategory,
+  groupByCategory,
+};
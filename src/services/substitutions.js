@@ -0,0 +1,722 @@
+import {
+  termPattern,
+  buildConstraintMatchers,
+  matchIngredient,
+} from "./allergens.js";
+import { deriveRecipeLabels, resolveDietLabel } from "./recipeLabels.js";
+import { snapshotRecipe } from "./recipeRevisions.js";
+import { splitAmount, formatAmount } from "../utils/ingredients.js";
+
+/**
+ * Ingredient substitutions
+ * Suggests swaps from a curated table, keeping only those compatible with
+ * the user's allergies and diets, and builds diet-specific recipe drafts.
+ */
+
+/**
+ * Curated substitutions. `terms` identify the ingredient and `exceptions`
+ * are phrases that contain a term but are something else. Each swap lists
+ * the `ingredients` it is made of, which are checked against allergies and
+ * diets; `ratio` scales the original amount (default 1).
+ */
+export const SUBSTITUTIONS = [
+  {
+    key: "buttermilk",
+    terms: ["buttermilk"],
+    exceptions: [],
+    swaps: [
+      {
+        item: "milk + lemon juice",
+        ingredients: ["milk", "lemon juice"],
+        note: "Stir 1 tbsp lemon juice into each cup of milk and rest 5 minutes",
+      },
+      {
+        item: "plain yogurt thinned with milk",
+        ingredients: ["yogurt", "milk"],
+        note: "Use 3/4 cup yogurt and 1/4 cup milk per cup",
+      },
+      {
+        item: "oat milk + lemon juice",
+        ingredients: ["oat milk", "lemon juice"],
+        note: "Stir 1 tbsp lemon juice into each cup of oat milk and rest 5 minutes",
+      },
+    ],
+  },
+  {
+    key: "sourCream",
+    terms: ["sour cream"],
+    exceptions: [],
+    swaps: [
+      { item: "plain Greek yogurt", ingredients: ["greek yogurt"] },
+      {
+        item: "coconut yogurt",
+        ingredients: ["coconut yogurt"],
+        note: "Choose an unsweetened one",
+      },
+      {
+        item: "cashew cream",
+        ingredients: ["cashew", "lemon juice"],
+        note: "Blend soaked cashews with water and a squeeze of lemon",
+      },
+    ],
+  },
+  {
+    key: "creamCheese",
+    terms: ["cream cheese"],
+    exceptions: [],
+    swaps: [
+      {
+        item: "vegan cream cheese",
+        ingredients: ["vegan cream cheese"],
+      },
+      {
+        item: "strained Greek yogurt",
+        ingredients: ["greek yogurt"],
+        note: "Strain overnight for a thicker texture",
+      },
+    ],
+  },
+  {
+    key: "cream",
+    terms: ["heavy cream", "double cream", "whipping cream", "cream"],
+    exceptions: [
+      "cream of tartar",
+      "coconut cream",
+      "ice cream",
+      "cream cheese",
+      "sour cream",
+      "creamed corn",
+    ],
+    swaps: [
+      { item: "full-fat coconut milk", ingredients: ["coconut milk"] },
+      {
+        item: "cashew cream",
+        ingredients: ["cashew"],
+        note: "Blend 1 part soaked cashews with 1 part water",
+      },
+      {
+        item: "milk + melted butter",
+        ingredients: ["milk", "butter"],
+        note: "Use 3/4 cup milk and 1/4 cup butter per cup; won't whip",
+      },
+    ],
+  },
+  {
+    key: "yogurt",
+    terms: ["yogurt", "yoghurt"],
+    exceptions: ["coconut yogurt", "soy yogurt", "frozen yogurt"],
+    swaps: [
+      { item: "coconut yogurt", ingredients: ["coconut yogurt"] },
+      { item: "soy yogurt", ingredients: ["soy yogurt"] },
+      { item: "sour cream", ingredients: ["sour cream"] },
+    ],
+  },
+  {
+    key: "milk",
+    terms: ["milk", "whole milk", "skim milk"],
+    exceptions: [
+      "buttermilk",
+      "coconut milk",
+      "almond milk",
+      "oat milk",
+      "soy milk",
+      "rice milk",
+      "cashew milk",
+      "condensed milk",
+      "evaporated milk",
+    ],
+    swaps: [
+      { item: "oat milk", ingredients: ["oat milk"] },
+      { item: "soy milk", ingredients: ["soy milk"] },
+      { item: "almond milk", ingredients: ["almond milk"] },
+    ],
+  },
+  {
+    key: "butter",
+    terms: ["butter", "unsalted butter", "salted butter"],
+    exceptions: [
+      "peanut butter",
+      "almond butter",
+      "cashew butter",
+      "nut butter",
+      "sunflower butter",
+      "cocoa butter",
+      "apple butter",
+      "vegan butter",
+      "buttermilk",
+      "butternut",
+      "butter bean",
+      "butter lettuce",
+    ],
+    swaps: [
+      { item: "vegan butter", ingredients: ["vegan butter"] },
+      {
+        item: "olive oil",
+        ingredients: ["olive oil"],
+        ratio: 0.75,
+        note: "Best for sautéing and savory baking",
+      },
+      {
+        item: "coconut oil",
+        ingredients: ["coconut oil"],
+        note: "Solid coconut oil works in pastry; it adds a mild coconut taste",
+      },
+    ],
+  },
+  {
+    key: "parmesan",
+    terms: ["parmesan", "parmigiano reggiano", "pecorino"],
+    exceptions: [],
+    swaps: [
+      {
+        item: "nutritional yeast",
+        ingredients: ["nutritional yeast"],
+        ratio: 0.5,
+        note: "Adds a savory, cheesy flavor",
+      },
+      { item: "vegan parmesan", ingredients: ["vegan parmesan"] },
+    ],
+  },
+  {
+    key: "cheese",
+    terms: ["cheese"],
+    exceptions: [
+      "cream cheese",
+      "vegan cheese",
+      "parmesan",
+      "pecorino",
+      "cheesecloth",
+    ],
+    swaps: [
+      { item: "vegan cheese", ingredients: ["vegan cheese"] },
+      {
+        item: "nutritional yeast",
+        ingredients: ["nutritional yeast"],
+        ratio: 0.25,
+        note: "For flavor only; it won't melt",
+      },
+    ],
+  },
+  {
+    key: "egg",
+    terms: ["egg", "large egg", "whole egg"],
+    exceptions: [
+      "egg noodle",
+      "egg white",
+      "egg yolk",
+      "flax egg",
+      "chia egg",
+      "eggplant",
+    ],
+    swaps: [
+      {
+        item: "flax eggs",
+        ingredients: ["ground flaxseed", "water"],
+        note: "Mix 1 tbsp ground flaxseed with 3 tbsp water per egg and rest 5 minutes; best for binding",
+      },
+      {
+        item: "chia eggs",
+        ingredients: ["chia seed", "water"],
+        note: "Mix 1 tbsp chia seeds with 3 tbsp water per egg and rest 10 minutes",
+      },
+      {
+        item: "unsweetened applesauce",
+        ingredients: ["applesauce"],
+        note: "Use 1/4 cup per egg; suits sweet bakes",
+      },
+    ],
+  },
+  {
+    key: "mayonnaise",
+    terms: ["mayonnaise", "mayo"],
+    exceptions: ["vegan mayo"],
+    swaps: [
+      { item: "vegan mayo", ingredients: ["vegan mayo"] },
+      { item: "plain Greek yogurt", ingredients: ["greek yogurt"] },
+    ],
+  },
+  {
+    key: "honey",
+    terms: ["honey"],
+    exceptions: ["honeydew"],
+    swaps: [
+      { item: "maple syrup", ingredients: ["maple syrup"] },
+      { item: "agave syrup", ingredients: ["agave syrup"] },
+    ],
+  },
+  {
+    key: "gelatin",
+    terms: ["gelatin", "gelatine"],
+    exceptions: [],
+    swaps: [
+      {
+        item: "agar agar powder",
+        ingredients: ["agar agar"],
+        ratio: 0.5,
+        note: "Agar must be boiled to set",
+      },
+    ],
+  },
+  {
+    key: "flour",
+    terms: ["flour", "all-purpose flour", "plain flour", "wheat flour"],
+    exceptions: [
+      "rice flour",
+      "almond flour",
+      "coconut flour",
+      "chickpea flour",
+      "oat flour",
+      "buckwheat flour",
+      "gluten-free flour",
+      "corn flour",
+      "cornflour",
+    ],
+    swaps: [
+      {
+        item: "gluten-free flour blend",
+        ingredients: ["gluten-free flour"],
+        note: "Use a 1:1 blend with xanthan gum for baking",
+      },
+      {
+        item: "almond flour",
+        ingredients: ["almond flour"],
+        note: "Denser and moister; best in cakes and cookies",
+      },
+    ],
+  },
+  {
+    key: "breadcrumbs",
+    terms: ["breadcrumb", "bread crumb", "panko"],
+    exceptions: ["gluten-free breadcrumb"],
+    swaps: [
+      {
+        item: "gluten-free breadcrumbs",
+        ingredients: ["gluten-free breadcrumb"],
+      },
+      { item: "almond meal", ingredients: ["almond"] },
+      { item: "rolled oats, pulsed", ingredients: ["rolled oats"] },
+    ],
+  },
+  {
+    key: "pasta",
+    terms: ["pasta", "spaghetti", "penne", "fusilli", "linguine", "fettuccine"],
+    exceptions: ["gluten-free pasta", "rice pasta"],
+    swaps: [
+      { item: "gluten-free pasta", ingredients: ["gluten-free pasta"] },
+      {
+        item: "zucchini noodles",
+        ingredients: ["zucchini"],
+        note: "Cook for 1-2 minutes only",
+      },
+    ],
+  },
+  {
+    key: "noodles",
+    terms: ["noodle", "egg noodle", "udon", "ramen noodle"],
+    exceptions: ["rice noodle", "glass noodle"],
+    swaps: [{ item: "rice noodles", ingredients: ["rice noodle"] }],
+  },
+  {
+    key: "couscous",
+    terms: ["couscous", "bulgur"],
+    exceptions: [],
+    swaps: [
+      { item: "quinoa", ingredients: ["quinoa"] },
+      { item: "cauliflower rice", ingredients: ["cauliflower"] },
+    ],
+  },
+  {
+    key: "soySauce",
+    terms: ["soy sauce"],
+    exceptions: [],
+    swaps: [
+      {
+        item: "tamari",
+        ingredients: ["tamari"],
+        note: "Check the label is gluten-free",
+      },
+      { item: "coconut aminos", ingredients: ["coconut aminos"] },
+    ],
+  },
+  {
+    key: "fishSauce",
+    terms: ["fish sauce"],
+    exceptions: [],
+    swaps: [
+      {
+        item: "soy sauce + lime juice",
+        ingredients: ["soy sauce", "lime juice"],
+      },
+      {
+        item: "coconut aminos + pinch of seaweed",
+        ingredients: ["coconut aminos", "nori"],
+      },
+    ],
+  },
+  {
+    key: "stock",
+    terms: [
+      "chicken stock",
+      "chicken broth",
+      "beef stock",
+      "beef broth",
+      "bone broth",
+      "fish stock",
+    ],
+    exceptions: [],
+    swaps: [{ item: "vegetable stock", ingredients: ["vegetable stock"] }],
+  },
+  {
+    key: "groundMeat",
+    terms: ["ground beef", "ground pork", "ground turkey", "minced beef"],
+    exceptions: [],
+    swaps: [
+      {
+        item: "cooked brown lentils",
+        ingredients: ["lentil"],
+        note: "Use about 1 1/2 cups cooked lentils per pound",
+      },
+      { item: "plant-based mince", ingredients: ["plant-based mince"] },
+    ],
+  },
+  {
+    key: "chicken",
+    terms: ["chicken", "chicken breast", "chicken thigh"],
+    exceptions: ["chicken stock", "chicken broth"],
+    swaps: [
+      {
+        item: "extra-firm tofu",
+        ingredients: ["tofu"],
+        note: "Press before cooking",
+      },
+      { item: "chickpeas", ingredients: ["chickpea"] },
+    ],
+  },
+  {
+    key: "bacon",
+    terms: ["bacon", "pancetta"],
+    exceptions: [],
+    swaps: [
+      { item: "smoked tempeh", ingredients: ["tempeh"] },
+      {
+        item: "shiitake mushrooms, crisped with smoked paprika",
+        ingredients: ["shiitake mushroom", "smoked paprika"],
+      },
+    ],
+  },
+  {
+    key: "peanutButter",
+    terms: ["peanut butter"],
+    exceptions: [],
+    swaps: [
+      { item: "sunflower seed butter", ingredients: ["sunflower seed butter"] },
+      { item: "almond butter", ingredients: ["almond butter"] },
+      { item: "tahini", ingredients: ["tahini"] },
+    ],
+  },
+  {
+    key: "lemonJuice",
+    terms: ["lemon juice"],
+    exceptions: [],
+    swaps: [
+      { item: "lime juice", ingredients: ["lime juice"] },
+      {
+        item: "white wine vinegar",
+        ingredients: ["white wine vinegar"],
+        ratio: 0.5,
+      },
+    ],
+  },
+];
+
+/**
+ * Compiled term and exception patterns, most specific terms first so
+ * "buttermilk" wins over "milk"
+ */
+const COMPILED_SUBSTITUTIONS = SUBSTITUTIONS.map((entry) => ({
+  ...entry,
+  patterns: entry.terms.map(termPattern),
+  exceptionPatterns: entry.exceptions.map(termPattern),
+  longestTerm: Math.max(...entry.terms.map((term) => term.length)),
+})).sort((a, b) => b.longestTerm - a.longestTerm);
+
+/**
+ * Remove exception phrases from text before matching
+ * @param {string} text
+ * @param {RegExp[]} patterns
+ * @returns {string}
+ */
+const stripExceptions = (text, patterns) =>
+  patterns.reduce(
+    (remaining, pattern) =>
+      remaining.replace(new RegExp(pattern.source, "giu"), " "),
+    text.toLowerCase()
+  );
+
+/**
+ * Find the substitution entry for an ingredient name
+ * @param {string} item
+ * @returns {object|null} Compiled entry
+ */
+const findSubstitution = (item) => {
+  if (typeof item !== "string" || !item) return null;
+
+  return (
+    COMPILED_SUBSTITUTIONS.find((entry) => {
+      const remaining = stripExceptions(item, entry.exceptionPatterns);
+      return entry.patterns.some((pattern) => pattern.test(remaining));
+    }) || null
+  );
+};
+
+/**
+ * Diet labels of a set of ingredient names
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+const dietLabelsOf = (names) =>
+  deriveRecipeLabels({ ingredients: names.map((item) => ({ item })) })
+    .dietLabels;
+
+/**
+ * Compile a user's allergies and dietary preferences for checking swaps.
+ * Dietary preferences that are not derivable labels (e.g. "Keto") are
+ * ignored.
+ * @param {object} constraints
+ * @param {string[]} [constraints.allergies]
+ * @param {string[]} [constraints.dietaryPreferences]
+ * @returns {{ matchers: object[], dietLabels: string[] }}
+ */
+const compileConstraints = ({ allergies = [], dietaryPreferences = [] }) => ({
+  matchers: buildConstraintMatchers({ allergies }),
+  dietLabels: [
+    ...new Set(dietaryPreferences.map(resolveDietLabel).filter(Boolean)),
+  ],
+});
+
+/**
+ * Allergies and diets an ingredient conflicts with
+ * @param {string} item
+ * @param {object} compiled - From compileConstraints
+ * @returns {string[]} Offending allergies and diet labels
+ */
+const findConflicts = (item, { matchers, dietLabels }) => {
+  const allergies = matchIngredient(item, matchers).map(
+    ({ matcher }) => matcher.constraint
+  );
+  const labels = dietLabelsOf([item]);
+  const diets = dietLabels.filter((label) => !labels.includes(label));
+
+  return [...new Set([...allergies, ...diets])];
+};
+
+/**
+ * Whether a swap is safe for the user's constraints
+ * @param {object} swap
+ * @param {object} compiled - From compileConstraints
+ * @returns {boolean}
+ */
+const isAllowed = (swap, { matchers, dietLabels }) => {
+  const hasAllergen = swap.ingredients.some(
+    (name) => matchIngredient(name, matchers).length > 0
+  );
+  if (hasAllergen) return false;
+
+  const labels = dietLabelsOf(swap.ingredients);
+  return dietLabels.every((label) => labels.includes(label));
+};
+
+/**
+ * Amount for a swap, scaled by its ratio when the amount has a quantity
+ * @param {string} amount
+ * @param {number} [ratio]
+ * @returns {string}
+ */
+const swapAmount = (amount, ratio = 1) => {
+  const parts = splitAmount(amount);
+  if (ratio === 1 || parts.quantity === null) return amount;
+
+  const scale = (value) => Math.round(value * ratio * 1000) / 1000;
+  return formatAmount({
+    ...parts,
+    quantity: scale(parts.quantity),
+    quantityMax: parts.quantityMax !== null ? scale(parts.quantityMax) : null,
+  });
+};
+
+/**
+ * Shape a swap for the response
+ * @param {object} swap
+ * @param {string} amount - Original amount
+ * @returns {object}
+ */
+const formatSwap = (swap, amount) => ({
+  item: swap.item,
+  amount: swapAmount(amount, swap.ratio),
+  ...(swap.note && { note: swap.note }),
+});
+
+/**
+ * Collect a recipe's ingredients with the field they belong to
+ * @param {object} recipe
+ * @returns {Array<{ field: string, index: number, entry: object }>}
+ */
+const recipeEntries = (recipe) =>
+  ["ingredients", "dressingIngredients"].flatMap((field) =>
+    (recipe[field] || []).map((entry, index) => ({ field, index, entry }))
+  );
+
+/**
+ * Suggest substitutions for each ingredient of a recipe.
+ * Ingredients are listed when the table has swaps for them or when they
+ * conflict with the user's allergies or diets.
+ * @param {object} recipe - Lean recipe
+ * @param {object} constraints - { allergies, dietaryPreferences }
+ * @returns {object[]} Per-ingredient suggestions
+ */
+export const suggestSubstitutions = (recipe, constraints = {}) => {
+  const compiled = compileConstraints(constraints);
+
+  return recipeEntries(recipe)
+    .map(({ field, entry }) => {
+      const substitution = findSubstitution(entry.item);
+      const conflicts = findConflicts(entry.item, compiled);
+      const swaps = substitution
+        ? substitution.swaps
+            .filter((swap) => isAllowed(swap, compiled))
+            .map((swap) => formatSwap(swap, entry.amount))
+        : [];
+
+      return {
+        field,
+        item: entry.item,
+        amount: entry.amount,
+        conflicts,
+        swaps,
+      };
+    })
+    .filter(({ conflicts, swaps }) => conflicts.length > 0 || swaps.length > 0);
+};
+
+/**
+ * Replace an ingredient's mentions in free text ("Whisk the buttermilk")
+ * @param {string} text
+ * @param {object} substitution - Compiled entry
+ * @param {string} replacement
+ * @returns {string}
+ */
+const replaceMentions = (text, substitution, replacement) => {
+  if (typeof text !== "string" || !text) return text;
+
+  // Protect exception phrases, then swap the longest terms first
+  const protectedPhrases = [];
+  let result = substitution.exceptionPatterns.reduce(
+    (current, pattern) =>
+      current.replace(new RegExp(pattern.source, "giu"), (match) => {
+        protectedPhrases.push(match);
+        return `\u0000${protectedPhrases.length - 1}\u0000`;
+      }),
+    text
+  );
+
+  // One pass over all terms, longest first, so replacements are not rematched
+  const terms = new RegExp(
+    [...substitution.terms]
+      .sort((a, b) => b.length - a.length)
+      .map((term) => termPattern(term).source)
+      .join("|"),
+    "giu"
+  );
+  result = result.replace(terms, replacement);
+
+  return result.replace(
+    /\u0000(\d+)\u0000/g,
+    (_, index) => protectedPhrases[Number(index)]
+  );
+};
+
+/**
+ * Build an unsaved draft of a recipe adapted to a diet ("make it vegan").
+ * Each ingredient that breaks the diet is replaced by the first swap that
+ * fits the diet and the user's constraints, and its mentions in steps and
+ * the shopping list are updated. Ingredients without a suitable swap are
+ * reported as unresolved. The draft holds only content fields, and is tagged
+ * with the diet only when its derived labels confirm it.
+ * @param {object} recipe - Lean recipe
+ * @param {string} diet - Diet label (e.g. "vegan", "gluten-free")
+ * @param {object} constraints - { allergies, dietaryPreferences }
+ * @returns {{ draft: object, changes: object[], unresolved: object[] }}
+ */
+export const transformRecipe = (recipe, diet, constraints = {}) => {
+  const compiled = compileConstraints({
+    ...constraints,
+    dietaryPreferences: [...(constraints.dietaryPreferences || []), diet],
+  });
+  const target = { matchers: [], dietLabels: [diet] };
+
+  // Ownership, visibility, stats and derived fields stay with the source
+  const draft = snapshotRecipe(recipe);
+
+  const changes = [];
+  const unresolved = [];
+  const applied = [];
+
+  for (const { field, index, entry } of recipeEntries(recipe)) {
+    if (findConflicts(entry.item, target).length === 0) continue;
+
+    const substitution = findSubstitution(entry.item);
+    const swap = substitution?.swaps.find((option) =>
+      isAllowed(option, compiled)
+    );
+    if (!swap) {
+      unresolved.push({ field, item: entry.item, amount: entry.amount });
+      continue;
+    }
+
+    draft[field][index] = {
+      ...draft[field][index],
+      item: swap.item,
+      amount: swapAmount(entry.amount, swap.ratio),
+    };
+    applied.push({ substitution, swap });
+    changes.push({
+      field,
+      original: { item: entry.item, amount: entry.amount },
+      replacement: formatSwap(swap, entry.amount),
+    });
+  }
+
+  const rewrite = (text) =>
+    applied.reduce(
+      (current, { substitution, swap }) =>
+        replaceMentions(current, substitution, swap.item),
+      text
+    );
+
+  draft.steps = (draft.steps || []).map((step) => ({
+    ...step,
+    description: rewrite(step.description),
+    ...(step.tip && { tip: rewrite(step.tip) }),
+  }));
+  draft.shoppingList = (draft.shoppingList || []).map((category) => ({
+    ...category,
+    items: (category.items || []).map(rewrite),
+  }));
+
+  const labels = deriveRecipeLabels(draft);
+  if (unresolved.length === 0 && labels.dietLabels.includes(diet)) {
+    draft.tags = [...new Set([...(draft.tags || []), diet])];
+  }
+
+  return {
+    draft: { ...draft, ...labels },
+    changes,
+    unresolved,
+  };
+};
+
+export default {
+  SUBSTITUTIONS,
+  suggestSubstitutions,
+  transformRecipe,
+};
@@ -0,0 +1,269 @@
+import { termPattern } from "./allergens.js";
+import { splitAmount, formatAmount } from "../utils/ingredients.js";
+import {
+  NUTRIENT_KEYS,
+  parseNutrientAmount,
+  nutrientUnit,
+} from "../utils/nutrition.js";
+import {
+  VOLUME_ML,
+  WEIGHT_G,
+  convertTemperaturesInText,
+} from "../utils/units.js";
+
+/**
+ * Metric/imperial conversion for recipe responses
+ * Recipes are stored as authored; conversion only changes what is returned.
+ * Dry baking staples are weighed in metric and measured in cups in imperial,
+ * using the densities below; everything else converts volume to volume and
+ * weight to weight.
+ */
+
+/**
+ * Grams per US cup. Checked in order, so specific names come first.
+ * `weighed` ingredients are converted from cups to grams for metric users.
+ */
+const DENSITIES = [
+  { terms: ["almond flour", "almond meal"], gramsPerCup: 96, weighed: true },
+  { terms: ["coconut flour"], gramsPerCup: 112, weighed: true },
+  { terms: ["bread flour"], gramsPerCup: 127, weighed: true },
+  { terms: ["whole wheat flour"], gramsPerCup: 120, weighed: true },
+  { terms: ["flour"], gramsPerCup: 125, weighed: true },
+  {
+    terms: ["powdered sugar", "icing sugar", "confectioners sugar"],
+    gramsPerCup: 120,
+    weighed: true,
+  },
+  { terms: ["brown sugar"], gramsPerCup: 213, weighed: true },
+  { terms: ["sugar"], gramsPerCup: 200, weighed: true },
+  { terms: ["cocoa powder", "cocoa"], gramsPerCup: 85, weighed: true },
+  { terms: ["cornstarch", "cornflour"], gramsPerCup: 128, weighed: true },
+  { terms: ["rolled oats", "oats"], gramsPerCup: 90, weighed: true },
+  { terms: ["rice"], gramsPerCup: 185, weighed: true },
+  { terms: ["quinoa"], gramsPerCup: 170, weighed: true },
+  { terms: ["breadcrumbs", "panko"], gramsPerCup: 60, weighed: true },
+  { terms: ["butter"], gramsPerCup: 227, weighed: true },
+  { terms: ["chocolate chips"], gramsPerCup: 170, weighed: true },
+  { terms: ["honey", "maple syrup"], gramsPerCup: 340, weighed: false },
+  {
+    terms: ["milk", "water", "stock", "broth"],
+    gramsPerCup: 240,
+    weighed: false,
+  },
+  { terms: ["oil"], gramsPerCup: 218, weighed: false },
+].map((density) => ({
+  ...density,
+  patterns: density.terms.map(termPattern),
+}));
+
+// Spoon measures and counts read the same in both systems
+const UNIVERSAL_UNITS = new Set(["tsp", "tbsp", "pinch", "dash"]);
+
+/**
+ * Find the density entry for an ingredient name
+ * @param {string} item
+ * @returns {object|null}
+ */
+const findDensity = (item) =>
+  DENSITIES.find((density) =>
+    density.patterns.some((pattern) => pattern.test(item))
+  ) || null;
+
+/**
+ * Pick a metric unit for a quantity in grams or millilitres
+ * @param {number} value
+ * @param {"g"|"ml"} base
+ * @returns {{ value: number, unit: string }}
+ */
+const metricUnit = (value, base) =>
+  value >= 1000
+    ? { value: value / 1000, unit: base === "g" ? "kg" : "l" }
+    : { value, unit: base };
+
+/**
+ * Pick an imperial volume unit for a quantity in millilitres
+ * @param {number} ml
+ * @returns {{ value: number, unit: string }}
+ */
+const imperialVolume = (ml) => {
+  const unit =
+    ml >= VOLUME_ML.cup / 4 ? "cup" : ml >= VOLUME_ML.tbsp ? "tbsp" : "tsp";
+  return { value: ml / VOLUME_ML[unit], unit };
+};
+
+/**
+ * Pick an imperial weight unit for a quantity in grams
+ * @param {number} grams
+ * @returns {{ value: number, unit: string }}
+ */
+const imperialWeight = (grams) => {
+  const ounces = grams / WEIGHT_G.oz;
+  return ounces >= 16
+    ? { value: grams / WEIGHT_G.lb, unit: "lb" }
+    : { value: ounces, unit: "oz" };
+};
+
+/**
+ * Build a converter from one unit to the target system for an ingredient
+ * @param {string} unit - Canonical unit of the authored amount
+ * @param {string} item - Ingredient name, for density lookup
+ * @param {"metric"|"imperial"} system
+ * @returns {((value: number) => { value: number, unit: string })|null}
+ *   Null when the amount is already in the target system
+ */
+const buildConverter = (unit, item, system) => {
+  if (!unit || UNIVERSAL_UNITS.has(unit)) return null;
+
+  const isVolume = unit in VOLUME_ML;
+  const isWeight = unit in WEIGHT_G;
+  if (!isVolume && !isWeight) return null;
+
+  const density = findDensity(item);
+
+  if (system === "metric") {
+    if (unit === "ml" || unit === "l" || unit === "g" || unit === "kg") {
+      return null;
+    }
+    if (isWeight) {
+      return (value) => metricUnit(value * WEIGHT_G[unit], "g");
+    }
+    if (density?.weighed) {
+      const gramsPerMl = density.gramsPerCup / VOLUME_ML.cup;
+      return (value) => metricUnit(value * VOLUME_ML[unit] * gramsPerMl, "g");
+    }
+    return (value) => metricUnit(value * VOLUME_ML[unit], "ml");
+  }
+
+  if (["cup", "fl oz", "oz", "lb"].includes(unit)) return null;
+  if (isVolume) {
+    return (value) => imperialVolume(value * VOLUME_ML[unit]);
+  }
+  if (density) {
+    const mlPerGram = VOLUME_ML.cup / density.gramsPerCup;
+    return (value) => imperialVolume(value * WEIGHT_G[unit] * mlPerGram);
+  }
+  return (value) => imperialWeight(value * WEIGHT_G[unit]);
+};
+
+/**
+ * Convert an amount string for an ingredient
+ * @param {string} amount - e.g. "2 cups", "250 g"
+ * @param {string} item - Ingredient name
+ * @param {"metric"|"imperial"} system
+ * @returns {object|null} { amount, quantity, quantityMax, unit }, or null
+ *   when nothing changes
+ */
+const convertAmount = (amount, item, system) => {
+  const parts = splitAmount(amount);
+  if (parts.quantity === null) return null;
+
+  const convert = buildConverter(parts.unit, item, system);
+  if (!convert) return null;
+
+  const converted = convert(parts.quantity);
+  // Ranges keep a single unit, chosen from the lower bound
+  const quantityMax =
+    parts.quantityMax !== null
+      ? (converted.value * parts.quantityMax) / parts.quantity
+      : null;
+
+  const result = {
+    quantity: Math.round(converted.value * 1000) / 1000,
+    quantityMax:
+      quantityMax !== null ? Math.round(quantityMax * 1000) / 1000 : null,
+    unit: converted.unit,
+  };
+
+  return {
+    ...result,
+    amount: formatAmount({ ...result, remainder: parts.remainder }),
+  };
+};
+
+/**
+ * Convert an ingredient entry, keeping the authored amount
+ * @param {object} entry
+ * @param {"metric"|"imperial"} system
+ * @returns {object}
+ */
+const convertIngredient = (entry, system) => {
+  const converted = convertAmount(entry.amount, entry.item || "", system);
+  if (!converted) return entry;
+  return { ...entry, ...converted, originalAmount: entry.amount };
+};
+
+/**
+ * Convert a shopping list item that starts with an amount
+ * ("2 cups flour" -> "250 g flour")
+ * @param {string} item
+ * @param {"metric"|"imperial"} system
+ * @returns {string}
+ */
+const convertShoppingItem = (item, system) => {
+  if (typeof item !== "string" || !/^\s*[\d¼½¾⅓⅔⅛]/.test(item)) return item;
+
+  const { remainder } = splitAmount(item);
+  if (!remainder) return item;
+
+  const converted = convertAmount(item, remainder, system);
+  return converted ? converted.amount : item;
+};
+
+/**
+ * Render nutrition in its standard units (grams, milligrams for sodium and
+ * cholesterol). Metric responses also give energy in kilojoules.
+ * @param {object} recipe
+ * @param {"metric"|"imperial"} system
+ * @returns {object} { nutrition, kilojoules? }
+ */
+const convertNutrition = (recipe, system) => {
+  const nutrition = { ...recipe.nutrition };
+
+  for (const key of NUTRIENT_KEYS) {
+    const value = parseNutrientAmount(nutrition[key], key);
+    if (value !== null) nutrition[key] = `${value}${nutrientUnit(key)}`;
+  }
+
+  const energy =
+    system === "metric" && Number.isFinite(recipe.calories)
+      ? { kilojoules: Math.round(recipe.calories * 4.184) }
+      : {};
+
+  return { nutrition, ...energy };
+};
+
+/**
+ * Return a copy of a recipe with amounts, step temperatures and nutrition
+ * in one measurement system
+ * @param {object} recipe - Lean recipe document
+ * @param {"metric"|"imperial"|null} system - Null returns the recipe as is
+ * @returns {object}
+ */
+export const convertRecipeUnits = (recipe, system) => {
+  if (!system || !recipe) return recipe;
+
+  return {
+    ...recipe,
+    ingredients: (recipe.ingredients || []).map((entry) =>
+      convertIngredient(entry, system)
+    ),
+    dressingIngredients: (recipe.dressingIngredients || []).map((entry) =>
+      convertIngredient(entry, system)
+    ),
+    steps: (recipe.steps || []).map((step) => ({
+      ...step,
+      description: convertTemperaturesInText(step.description, system),
+      tip: convertTemperaturesInText(step.tip, system),
+    })),
+    shoppingList: (recipe.shoppingList || []).map((category) => ({
+      ...category,
+      items: (category.items || []).map((item) =>
+        convertShoppingItem(item, system)
+      ),
+    })),
+    ...(recipe.nutrition ? convertNutrition(recipe, system) : {}),
+    measurementSystem: system,
+  };
+};
+
+export default { convertRecipeUnits };
@@ -0,0 +1,119 @@
+import { UserSettings } from "../models/index.js";
+
+/**
+ * Fill fields the caller omitted from the user's saved settings.
+ * A field counts as omitted when it is undefined; an explicit empty array
+ * or string is respected as "none".
+ * @param {object} values - Validated request values
+ * @param {Array<[string, *]>} fallbacks - [field, saved value] pairs
+ * @returns {{ values: object, appliedDefaults: string[] }}
+ */
+const fillOmitted = (values, fallbacks) => {
+  const result = { ...values };
+  const appliedDefaults = [];
+
+  for (const [field, savedValue] of fallbacks) {
+    const hasSavedValue = Array.isArray(savedValue)
+      ? savedValue.length > 0
+      : Boolean(savedValue);
+
+    if (result[field] === undefined && hasSavedValue) {
+      result[field] = savedValue;
+      appliedDefaults.push(field);
+    }
+  }
+
+  return { values: result, appliedDefaults };
+};
+
+/**
+ * Load saved settings for a signed-in user who has not opted out
+ * @param {string} [userId] - Firebase UID, if authenticated
+ * @param {boolean} useSavedDefaults - Opt-out flag from the request
+ * @returns {Promise<object|null>}
+ */
+const loadSettings = async (userId, useSavedDefaults) => {
+  if (!userId || !useSavedDefaults) return null;
+  return UserSettings.findOne({ userId }).lean();
+};
+
+/**
+ * Resolve effective recipe generation parameters.
+ * Omitted dietary preferences, allergies, nutritional focus and cuisine are
+ * taken from the user's saved defaults unless `useSavedDefaults` is false.
+ * @param {string} userId - Firebase UID
+ * @param {object} body - Validated recipeGenerationSchema payload
+ * @returns {Promise<{ params: object, appliedDefaults: string[] }>}
+ */
+export const resolveGenerationParams = async (userId, body) => {
+  const { useSavedDefaults = true, ...params } = body;
+  const settings = await loadSettings(userId, useSavedDefaults);
+
+  const { values, appliedDefaults } = settings
+    ? fillOmitted(params, [
+        ["dietaryPreferences", settings.defaultDietaryPreferences],
+        ["allergies", settings.defaultAllergies],
+        ["nutritionalFocus", settings.defaultNutritionalFocus],
+        ["cuisineType", settings.defaultCuisine?.[0]],
+      ])
+    : { values: params, appliedDefaults: [] };
+
+  return {
+    params: {
+      ...values,
+      dietaryPreferences: values.dietaryPreferences ?? [],
+      allergies: values.allergies ?? [],
+    },
+    appliedDefaults,
+  };
+};
+
+/**
+ * Resolve effective recipe search filters.
+ * Omitted dietary preferences, allergies and cuisines are taken from the
+ * signed-in user's saved defaults unless `useSavedDefaults` is false.
+ * @param {string} [userId] - Firebase UID, if authenticated
+ * @param {object} query - Validated recipeSearchSchema query
+ * @returns {Promise<{ filters: object, appliedDefaults: string[] }>}
+ */
+export const resolveSearchFilters = async (userId, query) => {
+  const { useSavedDefaults = true, ...filters } = query;
+  const settings = await loadSettings(userId, useSavedDefaults);
+
+  if (!settings) {
+    return { filters, appliedDefaults: [] };
+  }
+
+  const { values, appliedDefaults } = fillOmitted(filters, [
+    ["dietaryPreferences", settings.defaultDietaryPreferences],
+    ["allergies", settings.defaultAllergies],
+    ["cuisines", settings.defaultCuisine],
+  ]);
+
+  return { filters: values, appliedDefaults };
+};
+
+/**
+ * Resolve the measurement system for recipe responses.
+ * An explicit `units` override wins; otherwise the signed-in user's saved
+ * measurementSystem is used. Anonymous users without an override get
+ * recipes as authored.
+ * @param {string} [userId] - Firebase UID, if authenticated
+ * @param {"metric"|"imperial"} [units] - Query override
+ * @returns {Promise<"metric"|"imperial"|null>}
+ */
+export const resolveMeasurementSystem = async (userId, units) => {
+  if (units) return units;
+  if (!userId) return null;
+
+  const settings = await UserSettings.findOne({ userId })
+    .select("measurementSystem")
+    .lean();
+  return settings?.measurementSystem ?? null;
+};
+
+export default {
+  resolveGenerationParams,
+  resolveSearchFilters,
+  resolveMeasurementSystem,
+};
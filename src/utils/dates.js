@@ -0,0 +1,72 @@
+/**
+ * Calendar date helpers for day-based plans
+ * Dates are handled as UTC midnight so that a "day" does not shift with the
+ * server's time zone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string (or Date) into a UTC midnight Date
+ * @param {string|Date} value
+ * @returns {Date|null} Null when the value is not a valid calendar date
+ */
+export const parseDateOnly = (value) => {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return new Date(
+      Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate())
+    );
+  }
+
+  const match =
+    typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Format a Date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatDateOnly = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Add whole days to a date
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Whole days from one date to another
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+export const daysBetween = (from, to) =>
+  Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+/**
+ * Monday of the week containing a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const startOfWeek = (date) => {
+  const day = parseDateOnly(date);
+  const offset = (day.getUTCDay() + 6) % 7;
+  return addDays(day, -offset);
+};
+
+export default {
+  parseDateOnly,
+  formatDateOnly,
+  addDays,
+  daysBetween,
+  startOfWeek,
+};
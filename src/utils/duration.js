@@ -0,0 +1,136 @@
+/**
+ * Duration parsing for free-form recipe times
+ * ("15 min", "1 hr 20 mins", "1.5 hours", "1 1/2 hours", "10-15 minutes", "PT1H20M")
+ */
+
+const UNIT_MINUTES = {
+  d: 1440,
+  day: 1440,
+  days: 1440,
+  h: 60,
+  hr: 60,
+  hrs: 60,
+  hour: 60,
+  hours: 60,
+  m: 1,
+  min: 1,
+  mins: 1,
+  minute: 1,
+  minutes: 1,
+  s: 1 / 60,
+  sec: 1 / 60,
+  secs: 1 / 60,
+  second: 1 / 60,
+  seconds: 1 / 60,
+};
+
+const UNICODE_FRACTIONS = {
+  "¼": 0.25,
+  "½": 0.5,
+  "¾": 0.75,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+};
+
+const ISO_DURATION = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i;
+
+// A number (decimal, "1 1/2", "1/2"), optionally a range, followed by a unit
+const AMOUNT_WITH_UNIT =
+  /(\d+(?:\.\d+)?(?:\s+\d+\/\d+)?|\d+\/\d+)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)(?![a-z])/gi;
+
+// Bare minutes after an hour amount ("1h30", "2 hours 30")
+const TRAILING_MINUTES = /^\s*(?:and\s+)?(\d+)\s*$/;
+
+/**
+ * Convert "1 1/2", "1/2" or "1.5" to a number
+ * @param {string} value
+ * @returns {number}
+ */
+const toNumber = (value) =>
+  value
+    .trim()
+    .split(/\s+/)
+    .reduce((sum, part) => {
+      if (part.includes("/")) {
+        const [numerator, denominator] = part.split("/").map(Number);
+        return sum + numerator / denominator;
+      }
+      return sum + Number(part);
+    }, 0);
+
+/**
+ * Parse a free-form duration into whole minutes.
+ * Ranges ("10-15 min") resolve to their upper bound; a bare number, alone
+ * or after hours ("1h30"), is treated as minutes.
+ * @param {string|number} value
+ * @returns {number|null} Minutes, or null when the value cannot be parsed
+ */
+export const parseDurationMinutes = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+  if (typeof value !== "string") return null;
+
+  let text = value.trim().toLowerCase();
+  if (!text) return null;
+
+  const iso = text.toUpperCase().match(ISO_DURATION);
+  if (iso) {
+    // "P" and "PT" name no component
+    if (!iso.slice(1).some(Boolean)) return null;
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = iso;
+    return Math.round(
+      days * 1440 + hours * 60 + Number(minutes) + seconds / 60
+    );
+  }
+
+  for (const [symbol, fraction] of Object.entries(UNICODE_FRACTIONS)) {
+    text = text.replace(
+      new RegExp(`(\\d*)\\s*${symbol}`, "g"),
+      (match, whole) => `${Number(whole || 0) + fraction}`
+    );
+  }
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text));
+  }
+
+  let total = 0;
+  let last = null;
+
+  for (const match of text.matchAll(AMOUNT_WITH_UNIT)) {
+    const [, amount, upper, unit] = match;
+    const quantity = upper ? Number(upper) : toNumber(amount);
+    total += quantity * UNIT_MINUTES[unit];
+    last = match;
+  }
+
+  if (!last) return null;
+
+  if (UNIT_MINUTES[last[3]] === 60) {
+    const trailing = text
+      .slice(last.index + last[0].length)
+      .match(TRAILING_MINUTES);
+    if (trailing) total += Number(trailing[1]);
+  }
+
+  return Math.round(total);
+};
+
+/**
+ * Format minutes for display ("80" -> "1 hr 20 min")
+ * @param {number|null} minutes
+ * @returns {string|null}
+ */
+export const formatDuration = (minutes) => {
+  if (!Number.isFinite(minutes) || minutes < 0) return null;
+
+  const hours = Math.floor(minutes / 60);
+  const remainder = Math.round(minutes % 60);
+
+  if (hours === 0) return `${remainder} min`;
+  if (remainder === 0) return `${hours} hr`;
+  return `${hours} hr ${remainder} min`;
+};
+
+export default { parseDurationMinutes, formatDuration };
@@ -0,0 +1,42 @@
+/**
+ * Create an Error carrying an HTTP status and API error code.
+ * Routes translate these into the standard error response shape, and the
+ * global error handler in app.js understands `status` and `code` as well.
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code (e.g. "NOT_FOUND")
+ * @param {string} message - Human-readable error message
+ * @param {*} [details] - Additional error information
+ * @returns {Error}
+ */
+export const createHttpError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details !== undefined) error.details = details;
+  return error;
+};
+
+/**
+ * Send an error created with createHttpError as a JSON error response.
+ * Returns false (and sends nothing) for errors without an HTTP status, so
+ * callers can fall through to their own generic 500 handling.
+ * @param {import("express").Response} res
+ * @param {Error} error
+ * @returns {boolean} Whether a response was sent
+ */
+export const sendHttpError = (res, error) => {
+  if (!error || !error.status || !error.code) return false;
+
+  res.status(error.status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    },
+    timestamp: new Date(),
+  });
+  return true;
+};
+
+export default { createHttpError, sendHttpError };
@@ -0,0 +1,394 @@
+/**
+ * Ingredient parsing
+ * Turns { amount: "1 1/2 cups", item: "Fresh parsley, chopped" } into a
+ * numeric quantity, a canonical unit and a normalized ingredient name.
+ */
+
+/**
+ * Canonical units with the spellings that map to them
+ */
+const UNIT_SPELLINGS = {
+  tsp: ["tsp", "tsps", "teaspoon", "teaspoons", "t"],
+  tbsp: ["tbsp", "tbsps", "tbs", "tbl", "tablespoon", "tablespoons", "T"],
+  cup: ["cup", "cups", "c"],
+  "fl oz": ["fl oz", "fl. oz", "fl. oz.", "fluid ounce", "fluid ounces"],
+  ml: ["ml", "mls", "milliliter", "milliliters", "millilitre", "millilitres"],
+  l: ["l", "liter", "liters", "litre", "litres"],
+  g: ["g", "gr", "gram", "grams", "gramme", "grammes"],
+  kg: ["kg", "kgs", "kilogram", "kilograms"],
+  oz: ["oz", "ounce", "ounces"],
+  lb: ["lb", "lbs", "pound", "pounds"],
+  pinch: ["pinch", "pinches"],
+  dash: ["dash", "dashes"],
+  clove: ["clove", "cloves"],
+  can: ["can", "cans", "tin", "tins"],
+  jar: ["jar", "jars"],
+  package: ["package", "packages", "pkg", "packet", "packets"],
+  slice: ["slice", "slices"],
+  piece: ["piece", "pieces"],
+  bunch: ["bunch", "bunches"],
+  sprig: ["sprig", "sprigs"],
+  handful: ["handful", "handfuls"],
+  stick: ["stick", "sticks"],
+  head: ["head", "heads"],
+  stalk: ["stalk", "stalks"],
+};
+
+export const UNITS = Object.keys(UNIT_SPELLINGS);
+
+// Case-sensitive spellings ("T" is tablespoon, "t" is teaspoon)
+const CASE_SENSITIVE = new Set(["T", "t"]);
+
+const UNIT_LOOKUP = new Map();
+for (const [unit, spellings] of Object.entries(UNIT_SPELLINGS)) {
+  for (const spelling of spellings) {
+    UNIT_LOOKUP.set(
+      CASE_SENSITIVE.has(spelling) ? spelling : spelling.toLowerCase(),
+      unit
+    );
+  }
+}
+
+// Longest spellings first so "fl oz" wins over "fl" and "tbsp" over "t"
+const UNIT_PATTERN = Array.from(UNIT_LOOKUP.keys())
+  .sort((a, b) => b.length - a.length)
+  .map((spelling) => spelling.replace(/[.]/g, "\\."))
+  .join("|");
+
+const UNICODE_FRACTIONS = {
+  "¼": 1 / 4,
+  "½": 1 / 2,
+  "¾": 3 / 4,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅛": 1 / 8,
+  "⅜": 3 / 8,
+  "⅝": 5 / 8,
+  "⅞": 7 / 8,
+  "⅕": 1 / 5,
+  "⅙": 1 / 6,
+};
+
+// Mixed numbers and fractions first so "1/2" is not read as "1"
+const NUMBER = String.raw`\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?`;
+const QUANTITY_PATTERN = new RegExp(
+  String.raw`^(${NUMBER})(?:\s*(?:-|–|to|or)\s*(${NUMBER}))?`,
+  "i"
+);
+
+/**
+ * Words describing preparation or size that are not part of the
+ * ingredient's identity
+ */
+const DESCRIPTORS = new Set([
+  "fresh",
+  "freshly",
+  "chopped",
+  "finely",
+  "roughly",
+  "coarsely",
+  "thinly",
+  "diced",
+  "minced",
+  "sliced",
+  "grated",
+  "shredded",
+  "crushed",
+  "ground",
+  "peeled",
+  "large",
+  "medium",
+  "small",
+  "ripe",
+  "boneless",
+  "skinless",
+  "raw",
+  "cooked",
+  "softened",
+  "melted",
+  "packed",
+  "heaping",
+  "level",
+  "optional",
+]);
+
+// Words that end in "s" but are not plurals
+const SINGULAR_S_WORDS = new Set([
+  "hummus",
+  "asparagus",
+  "couscous",
+  "molasses",
+  "swiss",
+  "citrus",
+  "grits",
+  "oats",
+  "greens",
+  "brussels",
+]);
+
+/**
+ * Replace unicode fractions with decimals ("1½" -> "1.5", "½" -> "0.5")
+ * @param {string} text
+ * @returns {string}
+ */
+const replaceUnicodeFractions = (text) => {
+  let result = text;
+  for (const [symbol, value] of Object.entries(UNICODE_FRACTIONS)) {
+    result = result.replace(
+      new RegExp(`(\\d+)?\\s*${symbol}`, "g"),
+      (match, whole) => ` ${Number(whole || 0) + value}`
+    );
+  }
+  return result.trim();
+};
+
+/**
+ * Convert "1 1/2", "3/4" or "1.5" to a number
+ * @param {string} value
+ * @returns {number}
+ */
+const toNumber = (value) =>
+  value
+    .trim()
+    .split(/\s+/)
+    .reduce((sum, part) => {
+      if (part.includes("/")) {
+        const [numerator, denominator] = part.split("/").map(Number);
+        return denominator ? sum + numerator / denominator : sum;
+      }
+      return sum + Number(part);
+    }, 0);
+
+/**
+ * Round parsed quantities to remove floating point noise
+ * @param {number} value
+ * @returns {number}
+ */
+const roundQuantity = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Resolve a unit spelling to its canonical unit
+ * @param {string} spelling
+ * @returns {string|null}
+ */
+export const normalizeUnit = (spelling) => {
+  if (!spelling) return null;
+  const trimmed = spelling.trim().replace(/\.$/, "");
+  return (
+    UNIT_LOOKUP.get(trimmed) || UNIT_LOOKUP.get(trimmed.toLowerCase()) || null
+  );
+};
+
+/**
+ * Split an amount string into its parsed parts plus the text that follows
+ * the quantity and unit ("1 can (15 oz)" -> remainder "(15 oz)").
+ * Handles fractions ("1/2"), mixed numbers ("1 1/2"), unicode fractions
+ * ("½"), decimals, ranges ("2-3", "1 to 2") and "a"/"an" ("a pinch").
+ * @param {string} amount - e.g. "1 1/2 cups", "2-3", "to taste"
+ * @returns {{ quantity: number|null, quantityMax: number|null, unit: string|null, remainder: string }}
+ */
+export const splitAmount = (amount) => {
+  if (typeof amount !== "string") {
+    return { quantity: null, quantityMax: null, unit: null, remainder: "" };
+  }
+
+  let text = replaceUnicodeFractions(amount.trim()).replace(
+    /^(a|an)\s+/i,
+    "1 "
+  );
+
+  const match = text.match(QUANTITY_PATTERN);
+  if (!match) {
+    // Unit without a number ("pinch", "dash") counts as one
+    const [first, ...rest] = text.split(/\s+/);
+    const unit = normalizeUnit(first);
+    return unit
+      ? { quantity: 1, quantityMax: null, unit, remainder: rest.join(" ") }
+      : { quantity: null, quantityMax: null, unit: null, remainder: text };
+  }
+
+  const quantity = roundQuantity(toNumber(match[1]));
+  const quantityMax = match[2] ? roundQuantity(toNumber(match[2])) : null;
+  text = text.slice(match[0].length).trim();
+
+  // An abbreviation may end in a period ("1 c. sugar", "2 tbsp.")
+  const unitMatch = text.match(
+    new RegExp(`^(${UNIT_PATTERN})\\.?(?![a-z])`, "i")
+  );
+  const unit = unitMatch ? normalizeUnit(unitMatch[1]) : null;
+  if (unitMatch) text = text.slice(unitMatch[0].length).trim();
+
+  return { quantity, quantityMax, unit, remainder: text };
+};
+
+/**
+ * Parse an amount string into quantity, optional range maximum and unit
+ * @param {string} amount - e.g. "1 1/2 cups", "2-3", "to taste"
+ * @returns {{ quantity: number|null, quantityMax: number|null, unit: string|null }}
+ */
+export const parseAmount = (amount) => {
+  const { quantity, quantityMax, unit } = splitAmount(amount);
+  return { quantity, quantityMax, unit };
+};
+
+const KITCHEN_FRACTIONS = [
+  [0, ""],
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [3 / 8, "3/8"],
+  [1 / 2, "1/2"],
+  [5 / 8, "5/8"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+  [7 / 8, "7/8"],
+  [1, ""],
+];
+
+const METRIC_UNITS = new Set(["g", "kg", "ml", "l"]);
+
+// Units written out in full, and therefore pluralized ("2 cups", "3 cloves")
+const WORD_UNITS = new Set([
+  "cup",
+  "pinch",
+  "dash",
+  "clove",
+  "can",
+  "jar",
+  "package",
+  "slice",
+  "piece",
+  "bunch",
+  "sprig",
+  "handful",
+  "stick",
+  "head",
+  "stalk",
+]);
+
+/**
+ * Format a quantity the way a cook would write it: kitchen fractions
+ * ("1/3", "1 1/2") for cups, spoons and counts, plain numbers for metric
+ * units ("250", "1.25")
+ * @param {number} value
+ * @param {string|null} [unit]
+ * @returns {string}
+ */
+export const formatQuantity = (value, unit = null) => {
+  if (!Number.isFinite(value)) return "";
+
+  if (METRIC_UNITS.has(unit)) {
+    if (unit === "g" || unit === "ml") {
+      return String(
+        value >= 20 ? Math.round(value / 5) * 5 : Math.round(value) || 1
+      );
+    }
+    return String(Math.round(value * 100) / 100);
+  }
+
+  let whole = Math.floor(value);
+  const [fraction, label] = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - (value - whole)) <
+    Math.abs(best[0] - (value - whole))
+      ? candidate
+      : best
+  );
+
+  if (fraction === 1) whole += 1;
+  if (whole === 0 && !label) return value > 0 ? "1/8" : "0";
+  if (!label) return String(whole);
+  return whole > 0 ? `${whole} ${label}` : label;
+};
+
+/**
+ * Render a unit for display, pluralizing whole-word units
+ * @param {string|null} unit
+ * @param {number} quantity
+ * @returns {string}
+ */
+const formatUnit = (unit, quantity) => {
+  if (!unit) return "";
+  if (!WORD_UNITS.has(unit) || quantity <= 1) return unit;
+  return /(ch|sh)$/.test(unit) ? `${unit}es` : `${unit}s`;
+};
+
+/**
+ * Build an amount string from parsed parts
+ * @param {object} parts - From splitAmount, with possibly changed quantities
+ * @returns {string} e.g. "1 1/2 cups", "2-3", "2 cans (15 oz)"
+ */
+export const formatAmount = ({ quantity, quantityMax, unit, remainder }) => {
+  if (quantity === null || quantity === undefined) return remainder || "";
+
+  const range =
+    quantityMax !== null && quantityMax !== undefined
+      ? `-${formatQuantity(quantityMax, unit)}`
+      : "";
+
+  return [
+    `${formatQuantity(quantity, unit)}${range}`,
+    formatUnit(unit, quantityMax ?? quantity),
+    remainder,
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+/**
+ * Singularize a single word ("tomatoes" -> "tomato", "berries" -> "berry")
+ * @param {string} word
+ * @returns {string}
+ */
+const singularize = (word) => {
+  if (word.length <= 3 || SINGULAR_S_WORDS.has(word)) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.endsWith("oes")) return word.slice(0, -2);
+  if (/(ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Normalize an ingredient name for matching and aggregation:
+ * lower-case, no parentheticals, no preparation notes after a comma, no
+ * size/preparation descriptors, and the last word singularized.
+ * @param {string} item - e.g. "Fresh Roma tomatoes, diced"
+ * @returns {string} e.g. "roma tomato"
+ */
+export const normalizeIngredientName = (item) => {
+  if (typeof item !== "string") return "";
+
+  const words = item
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .split(",")[0]
+    .replace(/[^a-z0-9'&\s-]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !DESCRIPTORS.has(word));
+
+  if (words.length === 0) return item.trim().toLowerCase();
+
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  return words.join(" ");
+};
+
+/**
+ * Parse an ingredient entry into structured fields
+ * @param {{ amount: string, item: string }} entry
+ * @returns {{ quantity: number|null, quantityMax: number|null, unit: string|null, name: string }}
+ */
+export const parseIngredient = (entry) => ({
+  ...parseAmount(entry?.amount),
+  name: normalizeIngredientName(entry?.item),
+});
+
+export default {
+  UNITS,
+  normalizeUnit,
+  splitAmount,
+  parseAmount,
+  formatQuantity,
+  formatAmount,
+  normalizeIngredientName,
+  parseIngredient,
+};
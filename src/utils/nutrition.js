@@ -0,0 +1,91 @@
+/**
+ * Numeric parsing for nutrition display strings ("18g", "450 mg", "1.2g")
+ */
+
+// Nutrients stored in milligrams; everything else is stored in grams
+const MILLIGRAM_NUTRIENTS = ["sodium", "cholesterol"];
+
+export const NUTRIENT_KEYS = [
+  "protein",
+  "carbs",
+  "fat",
+  "fiber",
+  "sodium",
+  "sugar",
+  "saturatedFat",
+  "cholesterol",
+];
+
+const UNIT_GRAMS = {
+  kg: 1000,
+  g: 1,
+  gram: 1,
+  grams: 1,
+  mg: 0.001,
+  mcg: 0.000001,
+  µg: 0.000001,
+  ug: 0.000001,
+  oz: 28.3495,
+};
+
+/**
+ * Parse a nutrient amount into the nutrient's storage unit
+ * (milligrams for sodium and cholesterol, grams otherwise).
+ * A value without a unit is assumed to already be in the storage unit.
+ * @param {string|number} value - Display value, e.g. "18g" or "450mg"
+ * @param {string} nutrient - Nutrient key, e.g. "protein"
+ * @returns {number|null}
+ */
+export const parseNutrientAmount = (value, nutrient) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+
+  const match = value
+    .trim()
+    .toLowerCase()
+    .replace(/,/g, "")
+    .match(/^<?\s*(\d+(?:\.\d+)?)\s*(kg|grams?|g|mg|mcg|µg|ug|oz)?\b/);
+  if (!match) return null;
+
+  const [, amount, unit] = match;
+  const targetUnit = MILLIGRAM_NUTRIENTS.includes(nutrient) ? "mg" : "g";
+  if (!unit) return Number(amount);
+
+  const grams = Number(amount) * UNIT_GRAMS[unit];
+  const converted = targetUnit === "mg" ? grams * 1000 : grams;
+  return Math.round(converted * 100) / 100;
+};
+
+/**
+ * Get the storage unit of a nutrient
+ * @param {string} nutrient
+ * @returns {"g"|"mg"}
+ */
+export const nutrientUnit = (nutrient) =>
+  MILLIGRAM_NUTRIENTS.includes(nutrient) ? "mg" : "g";
+
+/**
+ * Parse every nutrition display string of a recipe into numbers
+ * @param {object} [nutrition] - Recipe nutrition with display strings
+ * @param {number} [calories] - Calories per serving
+ * @returns {object} Numeric values plus proteinPerCalorie
+ */
+export const parseNutritionValues = (nutrition = {}, calories) => {
+  const values = Object.fromEntries(
+    NUTRIENT_KEYS.map((key) => [key, parseNutrientAmount(nutrition[key], key)])
+  );
+
+  values.proteinPerCalorie =
+    values.protein !== null && calories > 0
+      ? Math.round((values.protein / calories) * 10000) / 10000
+      : null;
+
+  return values;
+};
+
+export default {
+  NUTRIENT_KEYS,
+  parseNutrientAmount,
+  nutrientUnit,
+  parseNutritionValues,
+};
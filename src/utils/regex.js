@@ -0,0 +1,9 @@
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegExp = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export default { escapeRegExp };
@@ -0,0 +1,99 @@
+/**
+ * Unit conversion tables and helpers for metric/imperial display
+ */
+
+export const MEASUREMENT_SYSTEMS = ["metric", "imperial"];
+
+// Millilitres per volume unit (US customary)
+export const VOLUME_ML = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  "fl oz": 29.5735,
+  cup: 236.588,
+  ml: 1,
+  l: 1000,
+};
+
+// Grams per weight unit
+export const WEIGHT_G = {
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592,
+};
+
+/**
+ * Convert a temperature between scales
+ * Oven temperatures (100°C / 200°F and above) snap to the steps printed on
+ * oven dials: 10°C or 25°F.
+ * @param {number} value
+ * @param {"C"|"F"} from
+ * @returns {number} Temperature in the other scale
+ */
+export const convertTemperature = (value, from) => {
+  if (from === "C") {
+    const fahrenheit = (value * 9) / 5 + 32;
+    return fahrenheit >= 200
+      ? Math.round(fahrenheit / 25) * 25
+      : Math.round(fahrenheit);
+  }
+
+  const celsius = ((value - 32) * 5) / 9;
+  return celsius >= 100 ? Math.round(celsius / 10) * 10 : Math.round(celsius);
+};
+
+// "350°F", "180 °C", "180 degrees Celsius", "350F" (bare letters must be
+// upper case so "2c flour" is not read as a temperature)
+const TEMPERATURE_TEXT = String.raw`-?\d+(?:\.\d+)?(?:\s*(?:°|º|degrees?\s+)\s*(?:[CcFf]|[Cc]elsius|[Ff]ahrenheit)|[CF])\b`;
+
+const TEMPERATURE = new RegExp(TEMPERATURE_TEXT, "g");
+
+// "350°F (175°C)" or "180°C/350°F": both scales already given
+const TEMPERATURE_PAIR = new RegExp(
+  String.raw`(${TEMPERATURE_TEXT})\s*(?:\(\s*(${TEMPERATURE_TEXT})\s*\)|\/\s*(${TEMPERATURE_TEXT}))`,
+  "g"
+);
+
+/**
+ * Read the value and scale of a matched temperature
+ * @param {string} text - e.g. "350°F", "180 degrees Celsius"
+ * @returns {{ value: number, scale: "C"|"F" }}
+ */
+const readTemperature = (text) => ({
+  value: Number(text.match(/-?\d+(?:\.\d+)?/)[0]),
+  scale: /c(?:elsius)?$/i.test(text) ? "C" : "F",
+});
+
+/**
+ * Rewrite temperatures in free text to one scale
+ * ("Bake at 400°F" -> "Bake at 200°C"). Pairs that already give both
+ * scales are reduced to the requested one.
+ * @param {string} text
+ * @param {"metric"|"imperial"} system
+ * @returns {string}
+ */
+export const convertTemperaturesInText = (text, system) => {
+  if (typeof text !== "string") return text;
+  const target = system === "imperial" ? "F" : "C";
+
+  return text
+    .replace(TEMPERATURE_PAIR, (match, first, inParentheses, afterSlash) => {
+      const preferred = [first, inParentheses ?? afterSlash]
+        .map(readTemperature)
+        .find((temperature) => temperature.scale === target);
+      return preferred ? `${preferred.value}°${target}` : match;
+    })
+    .replace(TEMPERATURE, (match) => {
+      const { value, scale } = readTemperature(match);
+      if (scale === target) return match;
+      return `${convertTemperature(value, scale)}°${target}`;
+    });
+};
+
+export default {
+  MEASUREMENT_SYSTEMS,
+  VOLUME_ML,
+  WEIGHT_G,
+  convertTemperature,
+  convertTemperaturesInText,
+};
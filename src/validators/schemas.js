@@ -40,7 +40,14 @@ const shoppingCategorySchema = z.object({
   items: z.array(z.string()).min(1, 'Category must have at least one item'),
 });
 
-export const createRecipeSchema = z.object({
+// Who can read a recipe: only its owner, anyone with the link, or everyone
+export const RECIPE_VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// How submitted calories/nutrition relate to the calculated estimate:
+// "auto" fills omitted values, "check" reports discrepancies
+export const NUTRITION_MODES = ['manual', 'auto', 'check'];
+
+const recipeFieldsSchema = z.object({
   title: z
     .string()
     .min(3, 'Title must be at least 3 characters')
@@ -62,14 +69,15 @@ export const createRecipeSchema = z.object({
     .number()
     .int('Calories must be an integer')
     .min(0, 'Calories cannot be negative')
-    .max(5000, 'Calories seems too high'),
+    .max(5000, 'Calories seems too high')
+    .optional(),
   difficulty: z.enum(['Easy', 'Medium', 'Hard'], {
     errorMap: () => ({ message: 'Difficulty must be Easy, Medium, or Hard' }),
   }),
   tags: z.array(z.string()).default([]),
   cuisine: z.string().optional(),
   imageUrl: z.string().url('Invalid image URL').optional().or(z.literal('')),
-  nutrition: nutritionSchema,
+  nutrition: nutritionSchema.optional(),
   ingredients: z
     .array(ingredientSchema)
     .min(1, 'Recipe must have at least one ingredient'),
@@ -82,17 +90,74 @@ export const createRecipeSchema = z.object({
   videoUrl: z.string().url('Invalid video URL').optional().or(z.literal('')),
   isGenerated: z.boolean().default(false),
   generationParams: z.any().optional(),
+  visibility: z.enum(RECIPE_VISIBILITIES).optional(),
+  nutritionMode: z.enum(NUTRITION_MODES).optional(),
+});
+
+// Calories and nutrition are required unless they are calculated
+export const createRecipeSchema = recipeFieldsSchema.superRefine(
+  (recipe, ctx) => {
+    if (recipe.nutritionMode === 'auto') return;
+
+    for (const field of ['calories', 'nutrition']) {
+      if (recipe[field] === undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [field],
+          message: 'Required unless nutritionMode is "auto"',
+        });
+      }
+    }
+  }
+);
+
+export const updateRecipeSchema = recipeFieldsSchema.partial();
+
+export const createShareLinkSchema = z.object({
+  // Links without an expiry last until revoked
+  expiresInDays: z.number().int().min(1).max(365).optional(),
+});
+
+// A fork copies the source's content; these override it
+export const forkRecipeSchema = z.object({
+  title: recipeFieldsSchema.shape.title.optional(),
+  visibility: z.enum(RECIPE_VISIBILITIES).optional(),
+});
+
+export const revisionDiffQuerySchema = z.object({
+  from: z.coerce.number().int().positive(),
+  to: z.coerce.number().int().positive(),
 });
 
-export const updateRecipeSchema = createRecipeSchema.partial();
+export const nutritionPreviewSchema = z.object({
+  servings: recipeFieldsSchema.shape.servings.default(1),
+  ingredients: recipeFieldsSchema.shape.ingredients,
+  dressingIngredients: z.array(ingredientSchema).optional(),
+  // Optional values to cross-check against the estimate
+  calories: z.number().min(0).optional(),
+  nutrition: nutritionSchema.partial().optional(),
+});
 
 // ============================================================================
 // RECIPE GENERATION VALIDATORS
 // ============================================================================
 
+/**
+ * Opt-out flag for applying the user's saved defaults.
+ * Accepts a boolean in JSON bodies and "true"/"false" in query strings.
+ */
+const useSavedDefaultsSchema = z
+  .union([z.boolean(), z.enum(['true', 'false'])])
+  .default(true)
+  .transform((value) => value === true || value === 'true');
+
+export const MEAL_TYPES = ['Breakfast', 'Lunch', 'Dinner', 'Snack', 'Dessert'];
+
+// dietaryPreferences/allergies have no default so that an omitted field can be
+// filled from the user's saved settings (see services/userDefaults.js)
 export const recipeGenerationSchema = z.object({
-  dietaryPreferences: z.array(z.string()).default([]),
-  allergies: z.array(z.string()).default([]),
+  dietaryPreferences: z.array(z.string()).optional(),
+  allergies: z.array(z.string()).optional(),
   nutritionalFocus: z.string().optional(),
   cuisineType: z.string().optional(),
   maxPrepTime: z.number().int().positive().optional(),
@@ -102,9 +167,8 @@ export const recipeGenerationSchema = z.object({
   difficulty: z.enum(['Easy', 'Medium', 'Hard']).optional(),
   availableIngredients: z.array(z.string()).optional(),
   excludeIngredients: z.array(z.string()).optional(),
-  mealType: z
-    .enum(['Breakfast', 'Lunch', 'Dinner', 'Snack', 'Dessert'])
-    .optional(),
+  mealType: z.enum(MEAL_TYPES).optional(),
+  useSavedDefaults: useSavedDefaultsSchema,
 });
 
 // ============================================================================
@@ -132,21 +196,109 @@ export const updateSavedRecipeSchema = z.object({
     .optional(),
 });
 
+export const createCollectionSchema = z.object({
+  name: z.string().trim().min(1, 'Collection name is required').max(100),
+  description: z
+    .string()
+    .max(500, 'Description must not exceed 500 characters')
+    .optional(),
+  recipeIds: z.array(z.string().min(1)).max(500).default([]),
+});
+
+export const updateCollectionSchema = createCollectionSchema
+  .omit({ recipeIds: true })
+  .partial();
+
+export const addCollectionRecipeSchema = z.object({
+  recipeId: z.string().min(1, 'Recipe ID is required'),
+  // Index to insert at; appended when omitted
+  position: z.number().int().nonnegative().optional(),
+});
+
+export const reorderCollectionsSchema = z.object({
+  collectionIds: z.array(z.string().min(1)),
+});
+
+export const reorderCollectionRecipesSchema = z.object({
+  recipeIds: z.array(z.string().min(1)),
+});
+
+// ============================================================================
+// REVIEW VALIDATORS
+// ============================================================================
+
+export const REVIEW_SORTS = ['helpful', 'recent', 'highest', 'lowest'];
+
+export const createReviewSchema = z.object({
+  rating: z
+    .number()
+    .int()
+    .min(1, 'Rating must be at least 1')
+    .max(5, 'Rating must not exceed 5'),
+  text: z
+    .string()
+    .trim()
+    .max(2000, 'Review must not exceed 2000 characters')
+    .optional(),
+  // Whether the reviewer cooked the recipe
+  madeIt: z.boolean().default(false),
+});
+
+export const updateReviewSchema = createReviewSchema.partial();
+
+export const reviewListQuerySchema = z.object({
+  sortBy: z.enum(REVIEW_SORTS).default('helpful'),
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(50).default(10),
+});
+
 // ============================================================================
 // SEARCH & FILTER VALIDATORS
 // ============================================================================
 
+/**
+ * Query string list: accepts repeated params (?tags=a&tags=b) as well as a
+ * single or comma-separated value (?tags=a,b)
+ */
+const queryArray = (itemSchema) =>
+  z.preprocess(
+    (value) =>
+      typeof value === 'string'
+        ? value
+            .split(',')
+            .map((item) => item.trim())
+            .filter(Boolean)
+        : value,
+    z.array(itemSchema)
+  );
+
+const unitsSchema = z.enum(['metric', 'imperial']).optional();
+
 export const recipeSearchSchema = z.object({
   query: z.string().optional(),
-  dietaryPreferences: z.array(z.string()).optional(),
-  allergies: z.array(z.string()).optional(),
-  cuisines: z.array(z.string()).optional(),
-  tags: z.array(z.string()).optional(),
+  dietaryPreferences: queryArray(z.string()).optional(),
+  allergies: queryArray(z.string()).optional(),
+  cuisines: queryArray(z.string()).optional(),
+  tags: queryArray(z.string()).optional(),
   maxPrepTime: z.coerce.number().int().positive().optional(),
   maxCookTime: z.coerce.number().int().positive().optional(),
+  maxTotalTime: z.coerce.number().int().positive().optional(),
   maxCalories: z.coerce.number().int().positive().optional(),
   minCalories: z.coerce.number().int().positive().optional(),
-  difficulty: z.array(z.enum(['Easy', 'Medium', 'Hard'])).optional(),
+  // Macro filters: grams, except sodium in milligrams
+  minProtein: z.coerce.number().nonnegative().optional(),
+  maxProtein: z.coerce.number().nonnegative().optional(),
+  minCarbs: z.coerce.number().nonnegative().optional(),
+  maxCarbs: z.coerce.number().nonnegative().optional(),
+  minFat: z.coerce.number().nonnegative().optional(),
+  maxFat: z.coerce.number().nonnegative().optional(),
+  minFiber: z.coerce.number().nonnegative().optional(),
+  maxFiber: z.coerce.number().nonnegative().optional(),
+  maxSugar: z.coerce.number().nonnegative().optional(),
+  maxSodium: z.coerce.number().nonnegative().optional(),
+  // Average review rating
+  minRating: z.coerce.number().min(1).max(5).optional(),
+  difficulty: queryArray(z.enum(['Easy', 'Medium', 'Hard'])).optional(),
   sortBy: z
     .enum([
       'createdAt',
@@ -155,18 +307,210 @@ export const recipeSearchSchema = z.object({
       'calories',
       'prepTime',
       'cookTime',
+      'totalTime',
       'difficulty',
+      'protein',
+      'carbs',
+      'fat',
+      'fiber',
+      'sodium',
+      'proteinPerCalorie',
+      'rating',
     ])
     .default('createdAt'),
   sortOrder: z.enum(['asc', 'desc']).default('desc'),
   page: z.coerce.number().int().positive().default(1),
   pageSize: z.coerce.number().int().positive().max(100).default(20),
+  useSavedDefaults: useSavedDefaultsSchema,
+  units: unitsSchema,
+  // "pantry" ranks results by ingredients in the signed-in user's pantry
+  mode: z.enum(['pantry']).optional(),
+  maxMissing: z.coerce.number().int().nonnegative().optional(),
+});
+
+export const recipeRetrievalSchema = z.object({
+  servings: z.coerce.number().int().min(1).max(100).optional(),
+  units: unitsSchema,
+});
+
+// Query for endpoints that only choose the measurement system of the response
+export const unitsQuerySchema = z.object({
+  units: unitsSchema,
+});
+
+export const SAVED_RECIPE_SORTS = ['savedAt', 'rating', 'title', 'totalTime'];
+
+export const savedRecipeListQuerySchema = z.object({
+  // Matched against the recipe title and the user's notes
+  query: z.string().trim().min(1).optional(),
+  cuisines: queryArray(z.string()).optional(),
+  tags: queryArray(z.string()).optional(),
+  minRating: z.coerce.number().int().min(1).max(5).optional(),
+  maxRating: z.coerce.number().int().min(1).max(5).optional(),
+  minCalories: z.coerce.number().int().positive().optional(),
+  maxCalories: z.coerce.number().int().positive().optional(),
+  sortBy: z.enum(SAVED_RECIPE_SORTS).default('savedAt'),
+  // Defaults to newest/highest first for savedAt and rating, A-Z and
+  // shortest first for title and totalTime
+  sortOrder: z.enum(['asc', 'desc']).optional(),
+  // nextCursor from the previous page
+  cursor: z.string().optional(),
+  limit: z.coerce.number().int().positive().max(100).default(20),
+});
+
+// Diets a recipe can be adapted to with substitutions
+export const TRANSFORM_DIETS = [
+  'vegan',
+  'vegetarian',
+  'gluten-free',
+  'dairy-free',
+  'egg-free',
+];
+
+export const substitutionQuerySchema = z.object({
+  allergies: queryArray(z.string()).optional(),
+  dietaryPreferences: queryArray(z.string()).optional(),
+  transform: z.enum(TRANSFORM_DIETS).optional(),
+  useSavedDefaults: useSavedDefaultsSchema,
+});
+
+// ============================================================================
+// SHOPPING LIST VALIDATORS
+// ============================================================================
+
+export const createShoppingListSchema = z.object({
+  recipes: z
+    .array(
+      z.object({
+        recipeId: z.string().min(1, 'Recipe ID is required'),
+        servings: z.number().int().min(1).max(100).optional(),
+      })
+    )
+    .min(1, 'At least one recipe is required')
+    .max(50, 'A shopping list can include at most 50 recipes'),
+  keepManualItems: z.boolean().default(true),
+});
+
+export const addShoppingListItemSchema = z.object({
+  name: z.string().trim().min(1, 'Item name is required').max(200),
+  amount: z.string().max(100).optional(),
+  category: z.string().max(50).optional(),
+});
+
+export const updateShoppingListItemSchema = addShoppingListItemSchema
+  .partial()
+  .extend({
+    checked: z.boolean().optional(),
+  });
+
+// ============================================================================
+// MEAL PLAN VALIDATORS
+// ============================================================================
+
+const dateOnlySchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
+export const mealPlanEntrySchema = z.object({
+  date: dateOnlySchema,
+  mealType: z.enum(MEAL_TYPES),
+  recipeId: z.string().min(1, 'Recipe ID is required'),
+  servings: z.number().min(0.25).max(20).optional(),
+  notes: z.string().max(500, 'Notes must not exceed 500 characters').optional(),
+});
+
+export const updateMealPlanEntrySchema = mealPlanEntrySchema.partial();
+
+export const createMealPlanSchema = z.object({
+  weekStart: dateOnlySchema,
+  name: z.string().trim().max(100).optional(),
+  entries: z.array(mealPlanEntrySchema).max(100).default([]),
+});
+
+export const updateMealPlanSchema = z.object({
+  name: z.string().trim().max(100),
+});
+
+export const copyMealPlanSchema = z.object({
+  weekStart: dateOnlySchema,
+  name: z.string().trim().max(100).optional(),
+});
+
+export const autoFillMealPlanSchema = z.object({
+  weekStart: dateOnlySchema,
+  name: z.string().trim().max(100).optional(),
+  mealTypes: z
+    .array(z.enum(MEAL_TYPES))
+    .min(1)
+    .default(['Breakfast', 'Lunch', 'Dinner']),
+  // Daily calorie target, split across the planned meal slots
+  targetCalories: z.number().int().min(800).max(6000).optional(),
+  dietaryPreferences: z.array(z.string()).optional(),
+  allergies: z.array(z.string()).optional(),
+  cuisines: z.array(z.string()).optional(),
+  maxTotalTime: z.number().int().positive().optional(),
+  maxTotalTimeByMeal: z
+    .record(z.enum(MEAL_TYPES), z.number().int().positive())
+    .optional(),
+  allowGeneration: z.boolean().default(true),
+  maxGenerated: z.number().int().min(0).max(21).default(7),
+  useSavedDefaults: useSavedDefaultsSchema,
+});
+
+export const mealPlanListQuerySchema = z.object({
+  from: dateOnlySchema.optional(),
+  to: dateOnlySchema.optional(),
+});
+
+// ============================================================================
+// PANTRY VALIDATORS
+// ============================================================================
+
+export const addPantryItemSchema = z.object({
+  name: z.string().trim().min(1, 'Item name is required').max(200),
+  amount: z.string().max(100).optional(),
+  expiresAt: dateOnlySchema.nullable().optional(),
+});
+
+export const updatePantryItemSchema = addPantryItemSchema.partial();
+
+export const pantryListQuerySchema = z.object({
+  // Only items expiring within this many days (expired items included)
+  expiringWithin: z.coerce.number().int().nonnegative().optional(),
+});
+
+// ============================================================================
+// INTAKE LOG VALIDATORS
+// ============================================================================
+
+export const logIntakeSchema = z.object({
+  // Defaults to today (UTC)
+  date: dateOnlySchema.optional(),
+  recipeId: z.string().min(1, 'Recipe ID is required'),
+  servings: z.number().min(0.25).max(20).default(1),
+  mealType: z.enum(MEAL_TYPES).optional(),
+  notes: z.string().max(500, 'Notes must not exceed 500 characters').optional(),
+});
+
+export const updateIntakeSchema = logIntakeSchema.partial();
+
+export const intakeListQuerySchema = z.object({
+  from: dateOnlySchema.optional(),
+  to: dateOnlySchema.optional(),
+});
+
+export const intakeSummaryQuerySchema = z.object({
+  // Daily: the day; weekly: any day in the week. Defaults to today (UTC)
+  date: dateOnlySchema.optional(),
 });
 
 // ============================================================================
 // USER SETTINGS VALIDATORS
 // ============================================================================
 
+// A daily target; null clears it
+const dailyTargetSchema = (max) => z.number().min(0).max(max).nullable();
+
 export const updateUserSettingsSchema = z.object({
   defaultDietaryPreferences: z.array(z.string()).optional(),
   defaultAllergies: z.array(z.string()).optional(),
@@ -184,6 +528,18 @@ export const updateUserSettingsSchema = z.object({
     .optional(),
   language: z.string().optional(),
   measurementSystem: z.enum(['metric', 'imperial']).optional(),
+  dailyTargets: z
+    .object({
+      calories: dailyTargetSchema(10000),
+      protein: dailyTargetSchema(1000),
+      carbs: dailyTargetSchema(2000),
+      fat: dailyTargetSchema(1000),
+      fiber: dailyTargetSchema(500),
+      // Milligrams
+      sodium: dailyTargetSchema(20000),
+    })
+    .partial()
+    .optional(),
 });
 
 // ============================================================================
@@ -251,10 +607,43 @@ export const validateQuery = (schema) => {
 export default {
   createRecipeSchema,
   updateRecipeSchema,
+  createShareLinkSchema,
+  forkRecipeSchema,
+  revisionDiffQuerySchema,
+  nutritionPreviewSchema,
   recipeGenerationSchema,
   saveRecipeSchema,
   updateSavedRecipeSchema,
+  savedRecipeListQuerySchema,
+  createCollectionSchema,
+  updateCollectionSchema,
+  addCollectionRecipeSchema,
+  reorderCollectionsSchema,
+  reorderCollectionRecipesSchema,
+  createReviewSchema,
+  updateReviewSchema,
+  reviewListQuerySchema,
   recipeSearchSchema,
+  recipeRetrievalSchema,
+  unitsQuerySchema,
+  substitutionQuerySchema,
+  createShoppingListSchema,
+  addShoppingListItemSchema,
+  updateShoppingListItemSchema,
+  mealPlanEntrySchema,
+  updateMealPlanEntrySchema,
+  createMealPlanSchema,
+  updateMealPlanSchema,
+  copyMealPlanSchema,
+  autoFillMealPlanSchema,
+  mealPlanListQuerySchema,
+  addPantryItemSchema,
+  updatePantryItemSchema,
+  pantryListQuerySchema,
+  logIntakeSchema,
+  updateIntakeSchema,
+  intakeListQuerySchema,
+  intakeSummaryQuerySchema,
   updateUserSettingsSchema,
   validate,
   validateQuery,
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createStubProvider } from "../../../src/services/ai/stubProvider.js";
+import {
+  buildConstraintMatchers,
+  findConstraintViolations,
+  matchIngredient,
+} from "../../../src/services/allergens.js";
+import { deriveRecipeLabels } from "../../../src/services/recipeLabels.js";
+
+const MEAL_TYPES = ["Breakfast", "Lunch", "Dinner", "Snack", "Dessert"];
+const ALLERGIES = ["nuts", "dairy", "egg", "gluten", "soy", "sesame", "fish"];
+
+const provider = createStubProvider();
+
+/**
+ * Text of a draft that a reader would follow
+ * @param {object} draft
+ * @returns {string[]}
+ */
+const instructionTexts = (draft) => [
+  draft.title,
+  draft.description,
+  ...draft.steps.flatMap((step) => [step.description, step.tip || ""]),
+];
+
+describe("stub provider", () => {
+  it("is deterministic", async () => {
+    const params = { mealType: "Lunch", servings: 2 };
+    assert.deepEqual(
+      await provider.generateRecipe(params),
+      await provider.generateRecipe(params)
+    );
+  });
+
+  it("keeps the default templates when nothing is constrained", async () => {
+    const draft = await provider.generateRecipe({});
+    assert.equal(draft.title, "Garlic Chicken with Roasted Vegetables");
+  });
+
+  it("picks a template that meets the requested diet", async () => {
+    const draft = await provider.generateRecipe({
+      mealType: "Dinner",
+      dietaryPreferences: ["Vegetarian"],
+    });
+
+    assert.ok(deriveRecipeLabels(draft).dietLabels.includes("vegetarian"));
+    assert.ok(draft.tags.includes("Vegetarian"));
+    assert.ok(!/chicken/i.test(instructionTexts(draft).join(" ")));
+  });
+
+  it("does not tag diets the ingredients do not meet", async () => {
+    const draft = await provider.generateRecipe({
+      mealType: "Dinner",
+      dietaryPreferences: ["Keto"],
+    });
+    assert.ok(!draft.tags.includes("Keto"));
+  });
+
+  for (const mealType of MEAL_TYPES) {
+    for (const allergy of ALLERGIES) {
+      it(`leaves ${allergy} out of a ${mealType} draft and its steps`, async () => {
+        const constraints = { allergies: [allergy] };
+        const draft = await provider.generateRecipe({
+          mealType,
+          ...constraints,
+        });
+
+        assert.deepEqual(findConstraintViolations(draft, constraints), []);
+        const matchers = buildConstraintMatchers(constraints);
+        for (const text of instructionTexts(draft)) {
+          assert.deepEqual(
+            matchIngredient(text, matchers).map(({ term }) => term),
+            [],
+            text
+          );
+        }
+      });
+    }
+  }
+
+  it("rewrites steps around removed ingredients", async () => {
+    const draft = await provider.generateRecipe({
+      mealType: "Dinner",
+      allergies: ["soy"],
+      excludeIngredients: ["chickpeas"],
+    });
+
+    assert.equal(draft.title, "Garlic Chicken with Roasted Vegetables");
+    assert.ok(!draft.ingredients.some(({ item }) => /soy/i.test(item)));
+    const season = draft.steps.find((step) => step.title === "Season");
+    assert.equal(
+      season.description,
+      "Toss the chicken, broccoli, sliced peppers, olive oil, minced garlic and salt and pepper."
+    );
+    assert.deepEqual(
+      draft.steps.map((step) => step.number),
+      [1, 2, 3]
+    );
+  });
+
+  it("streams the same draft it generates", async () => {
+    const params = { mealType: "Snack" };
+    let text = "";
+    for await (const chunk of provider.streamRecipe(params)) text += chunk;
+    assert.deepEqual(JSON.parse(text), await provider.generateRecipe(params));
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectAllergens,
+  findConstraintViolations,
+} from "../../src/services/allergens.js";
+
+/**
+ * Ingredient names flagged for a set of allergies
+ * @param {string[]} items
+ * @param {string[]} allergies
+ * @returns {string[]}
+ */
+const flagged = (items, allergies) =>
+  findConstraintViolations(
+    { ingredients: items.map((item) => ({ amount: "1", item })) },
+    { allergies }
+  ).map(({ ingredient }) => ingredient);
+
+describe("findConstraintViolations", () => {
+  it("flags unspecified nuts and pesto for a nut allergy", () => {
+    const items = ["Chopped nuts", "Nuts", "Toasted nuts, chopped", "Pesto"];
+    assert.deepEqual(flagged(items, ["nut allergy"]), items);
+  });
+
+  it("does not mistake coconut, nutmeg or butternut for nuts", () => {
+    const items = ["Coconut milk", "Ground nutmeg", "Butternut squash"];
+    assert.deepEqual(flagged(items, ["nut allergy"]), []);
+  });
+
+  it("excuses water chestnuts but not chestnuts", () => {
+    assert.deepEqual(
+      flagged(["Water chestnuts", "Roasted chestnuts"], ["tree nut"]),
+      ["Roasted chestnuts"]
+    );
+  });
+
+  it("only excuses a term covered by an exception", () => {
+    assert.deepEqual(
+      flagged(
+        ["Buckwheat flour", "Rice flour", "Buckwheat and wheat flour"],
+        ["gluten"]
+      ),
+      ["Buckwheat and wheat flour"]
+    );
+  });
+
+  it("treats free-from labels as safe", () => {
+    assert.deepEqual(
+      flagged(
+        ["Gluten-free soy sauce", "Gluten free bread", "Soy sauce"],
+        ["gluten"]
+      ),
+      ["Soy sauce"]
+    );
+    assert.deepEqual(flagged(["Dairy-free cheese"], ["dairy"]), []);
+    assert.deepEqual(flagged(["Sugar-free syrup", "Sugar"], ["sugar"]), [
+      "Sugar",
+    ]);
+  });
+
+  it("keeps existing exceptions", () => {
+    assert.deepEqual(
+      flagged(["Peanut butter", "Oat milk", "Cream of tartar"], ["dairy"]),
+      []
+    );
+    assert.deepEqual(flagged(["Oyster mushrooms"], ["shellfish"]), []);
+  });
+});
+
+describe("detectAllergens", () => {
+  it("recognizes common cheeses as dairy", () => {
+    for (const cheese of ["Gruyere", "Gruyère", "Brie", "Gouda", "Pecorino"]) {
+      assert.deepEqual(detectAllergens(cheese), ["dairy"], cheese);
+    }
+  });
+
+  it("flags pesto as nut and dairy unless vegan", () => {
+    assert.deepEqual(detectAllergens("Basil pesto"), ["treeNut", "dairy"]);
+    assert.deepEqual(detectAllergens("Vegan pesto"), ["treeNut"]);
+  });
+
+  it("does not flag buckwheat flour as gluten", () => {
+    assert.deepEqual(detectAllergens("Buckwheat flour"), []);
+  });
+
+  it("matches terms that end in an accented letter", () => {
+    assert.deepEqual(detectAllergens("Comté"), ["dairy"]);
+    assert.deepEqual(detectAllergens("Aged Comté, grated"), ["dairy"]);
+  });
+
+  it("does not flag butter beans as dairy", () => {
+    assert.deepEqual(detectAllergens("Butter beans, drained"), []);
+    assert.deepEqual(detectAllergens("Butter bean and butter mash"), ["dairy"]);
+  });
+});
+
+describe("termPattern boundaries", () => {
+  it("matches accented custom allergies as whole words", () => {
+    assert.deepEqual(flagged(["Jalapeño slices", "Jalapeños"], ["Jalapeño"]), [
+      "Jalapeño slices",
+      "Jalapeños",
+    ]);
+    assert.deepEqual(flagged(["Jalapeñoish relish"], ["Jalapeño"]), []);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { summarizeDay } from "../../src/services/intake.js";
+
+const recipeId = new mongoose.Types.ObjectId();
+
+// Recipe as it is now, after edits since the meal was logged
+const recipe = {
+  _id: recipeId,
+  title: "Lentil Soup",
+  calories: 500,
+  nutrition: { protein: "30g", carbs: "60g" },
+};
+
+/**
+ * IntakeEntry document stand-in
+ * @param {object} data
+ * @returns {object}
+ */
+const entry = (data) => ({
+  toObject: () => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: "user-uid",
+    date: new Date("2026-10-19T00:00:00Z"),
+    recipeId,
+    servings: 1,
+    ...data,
+  }),
+});
+
+const snapshot = {
+  calories: 300,
+  protein: 20,
+  carbs: 40,
+  fat: null,
+  fiber: null,
+  sodium: null,
+  sugar: null,
+  saturatedFat: null,
+  cholesterol: null,
+};
+
+describe("summarizeDay", () => {
+  const date = new Date("2026-10-19T00:00:00Z");
+
+  it("totals entries from the nutrition logged with them", () => {
+    const day = summarizeDay(
+      date,
+      [entry({ servings: 2, nutritionPerServing: snapshot })],
+      new Map([[recipeId.toString(), recipe]])
+    );
+
+    assert.equal(day.entries[0].nutrition.calories, 600);
+    assert.equal(day.nutrition.totals.calories, 600);
+    assert.equal(day.nutrition.totals.protein, 40);
+  });
+
+  it("keeps counting snapshots after the recipe is gone", () => {
+    const day = summarizeDay(
+      date,
+      [entry({ nutritionPerServing: snapshot })],
+      new Map()
+    );
+
+    assert.equal(day.entries[0].recipe, null);
+    assert.equal(day.nutrition.totals.calories, 300);
+  });
+
+  it("falls back to the recipe for entries without a snapshot", () => {
+    const recipes = new Map([[recipeId.toString(), recipe]]);
+
+    assert.equal(
+      summarizeDay(date, [entry({})], recipes).nutrition.totals.calories,
+      500
+    );
+    assert.equal(
+      summarizeDay(date, [entry({})], new Map()).nutrition.totals.calories,
+      0
+    );
+  });
+
+  it("compares totals with the daily targets", () => {
+    const day = summarizeDay(
+      date,
+      [entry({ nutritionPerServing: snapshot })],
+      new Map(),
+      { calories: 2000, protein: 20 }
+    );
+
+    assert.equal(day.nutrition.targets.calories.status, "under");
+    assert.equal(day.nutrition.targets.protein.status, "met");
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculateNutrition,
+  crossCheckNutrition,
+  resolveNutrition,
+} from "../../src/services/nutritionCalculator.js";
+import { createRecipeSchema } from "../../src/validators/schemas.js";
+
+const recipe = (ingredients, extra = {}) => ({
+  servings: 2,
+  ingredients: ingredients.map(([amount, item]) => ({ amount, item })),
+  ...extra,
+});
+
+const MATCHED = [
+  ["200 g", "Chicken breast"],
+  ["2", "Eggs"],
+  ["to taste", "Salt"],
+];
+
+describe("calculateNutrition", () => {
+  it("sums matched ingredients per serving", () => {
+    const estimate = calculateNutrition(recipe(MATCHED));
+
+    // 200 g chicken (240 kcal) + 2 eggs at 50 g (143 kcal), over 2 servings
+    assert.equal(estimate.calories, 192);
+    assert.equal(estimate.nutritionValues.protein, 29);
+    assert.equal(estimate.nutrition.protein, "29g");
+    assert.deepEqual(
+      estimate.ingredients.map(({ food, grams, method }) => [
+        food,
+        grams,
+        method,
+      ]),
+      [
+        ["chicken breast", 200, "weight"],
+        ["egg", 100, "unitWeight"],
+      ]
+    );
+    // Unmeasured salt is ignored rather than unmatched
+    assert.deepEqual(estimate.unmatched, []);
+    assert.equal(estimate.confidence, 0.93);
+    assert.equal(estimate.confidenceLevel, "high");
+  });
+
+  it("reports partially matched ingredients with a reason", () => {
+    const estimate = calculateNutrition(
+      recipe([
+        ["200 g", "Chicken breast"],
+        ["some", "Eggs"],
+        ["1 cup", "Unicorn dust"],
+      ])
+    );
+
+    assert.equal(estimate.ingredients.length, 1);
+    assert.deepEqual(estimate.unmatched, [
+      {
+        field: "ingredients",
+        item: "Eggs",
+        amount: "some",
+        food: "egg",
+        reason: "NO_QUANTITY",
+      },
+      {
+        field: "ingredients",
+        item: "Unicorn dust",
+        amount: "1 cup",
+        reason: "NO_MATCH",
+      },
+    ]);
+    assert.equal(estimate.confidence, 0.33);
+    assert.equal(estimate.confidenceLevel, "low");
+  });
+
+  it("returns zeros when nothing matches", () => {
+    const estimate = calculateNutrition(recipe([["1 cup", "Unicorn dust"]]));
+
+    assert.equal(estimate.calories, 0);
+    assert.deepEqual(estimate.ingredients, []);
+    assert.equal(estimate.confidence, 0);
+  });
+});
+
+describe("crossCheckNutrition", () => {
+  it("flags only submitted values outside the tolerance", () => {
+    const estimate = calculateNutrition(recipe(MATCHED));
+    const check = crossCheckNutrition(
+      { calories: 400, nutrition: { protein: "30g" } },
+      estimate
+    );
+
+    assert.equal(check.withinTolerance, false);
+    assert.deepEqual(
+      check.fields.map(({ field, withinTolerance }) => [
+        field,
+        withinTolerance,
+      ]),
+      [
+        ["calories", false],
+        ["nutrition.protein", true],
+      ]
+    );
+  });
+
+  it("ignores small absolute differences", () => {
+    const check = crossCheckNutrition(
+      { nutrition: { fiber: "3g" } },
+      calculateNutrition(recipe(MATCHED))
+    );
+    assert.equal(check.withinTolerance, true);
+  });
+});
+
+describe("resolveNutrition", () => {
+  it("fills missing fields in auto mode", () => {
+    const { values, estimate } = resolveNutrition(recipe(MATCHED), {}, "auto");
+
+    assert.equal(values.calories, 192);
+    assert.equal(values.nutrition.protein, "29g");
+    assert.equal(estimate.crossCheck, null);
+  });
+
+  it("keeps submitted fields and cross-checks them in auto mode", () => {
+    const { values, estimate } = resolveNutrition(
+      recipe(MATCHED),
+      { calories: 190 },
+      "auto"
+    );
+
+    assert.deepEqual(Object.keys(values), ["nutrition"]);
+    assert.equal(estimate.crossCheck.withinTolerance, true);
+  });
+
+  it("throws NUTRITION_UNAVAILABLE when auto has nothing to match", () => {
+    assert.throws(
+      () => resolveNutrition(recipe([["1 cup", "Unicorn dust"]]), {}, "auto"),
+      { status: 422, code: "NUTRITION_UNAVAILABLE" }
+    );
+  });
+
+  it("only reports in check mode", () => {
+    const { values, estimate } = resolveNutrition(
+      recipe(MATCHED, { calories: 500 }),
+      { calories: 500 },
+      "check"
+    );
+
+    assert.deepEqual(values, {});
+    assert.equal(estimate.crossCheck.withinTolerance, false);
+  });
+});
+
+describe("createRecipeSchema nutritionMode", () => {
+  const base = {
+    title: "Chicken and Eggs",
+    description: "A simple high-protein plate.",
+    prepTime: "5 min",
+    cookTime: "15 min",
+    servings: 2,
+    difficulty: "Easy",
+    ingredients: [{ amount: "200 g", item: "Chicken breast" }],
+    steps: [{ number: 1, title: "Cook", description: "Cook everything." }],
+  };
+  const nutrition = { protein: "29g", carbs: "1g", fat: "8g", fiber: "0g" };
+
+  it("requires calories and nutrition by default", () => {
+    const result = createRecipeSchema.safeParse(base);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(
+      result.error.errors.map((error) => error.path.join(".")).sort(),
+      ["calories", "nutrition"]
+    );
+  });
+
+  it("makes them optional in auto mode only", () => {
+    assert.equal(
+      createRecipeSchema.safeParse({ ...base, nutritionMode: "auto" }).success,
+      true
+    );
+    assert.equal(
+      createRecipeSchema.safeParse({ ...base, nutritionMode: "check" }).success,
+      false
+    );
+    assert.equal(
+      createRecipeSchema.safeParse({ ...base, calories: 192, nutrition })
+        .success,
+      true
+    );
+  });
+});
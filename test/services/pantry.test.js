@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  rankRecipesByPantry,
+  expiryStatus,
+} from "../../src/services/pantry.js";
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+const pantryItem = (name, expiresAt = null) => ({
+  name,
+  normalizedName: name.toLowerCase(),
+  expiresAt,
+});
+
+const recipe = (...items) => ({
+  title: "Test",
+  ingredients: items.map((item) => ({ amount: "1", item })),
+});
+
+const match = (items, pantry) =>
+  rankRecipesByPantry([recipe(...items)], pantry, { now: NOW })[0]?.pantryMatch;
+
+describe("rankRecipesByPantry", () => {
+  it("lets a general pantry item cover specific ingredients", () => {
+    const result = match(
+      ["Chicken thighs", "Onion"],
+      [pantryItem("Chicken"), pantryItem("Onion")]
+    );
+    assert.equal(result.matchedCount, 2);
+    assert.deepEqual(result.missingIngredients, []);
+  });
+
+  it("does not let a specific pantry item cover a general ingredient", () => {
+    const result = match(
+      ["Butter", "Garlic", "Peanut butter"],
+      [pantryItem("Peanut butter"), pantryItem("Garlic powder")]
+    );
+    assert.equal(result.matchedCount, 1);
+    assert.deepEqual(result.missingIngredients, ["Butter", "Garlic"]);
+    assert.deepEqual(result.usedPantryItems, ["Peanut butter"]);
+  });
+
+  it("drops recipes that use no pantry item", () => {
+    assert.equal(match(["Butter"], [pantryItem("Peanut butter")]), undefined);
+  });
+
+  it("ignores staples and expired items", () => {
+    const result = match(
+      ["Spinach", "Salt and pepper to taste", "Milk"],
+      [pantryItem("Spinach"), pantryItem("Milk", new Date("2026-10-10"))]
+    );
+    assert.equal(result.totalCount, 2);
+    assert.deepEqual(result.missingIngredients, ["Milk"]);
+  });
+});
+
+describe("expiryStatus", () => {
+  it("classifies expiry dates relative to today", () => {
+    assert.equal(expiryStatus(new Date("2026-10-18"), NOW).status, "expired");
+    assert.equal(
+      expiryStatus(new Date("2026-10-21"), NOW).status,
+      "expiringSoon"
+    );
+    assert.equal(expiryStatus(new Date("2026-10-30"), NOW).status, "fresh");
+    assert.equal(expiryStatus(null, NOW).status, null);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  generateRecipe,
+  repairRecipeDraft,
+} from "../../src/services/recipeGenerator.js";
+import { createRecipeSchema } from "../../src/validators/schemas.js";
+
+const draft = {
+  title: "Lemon Rice",
+  description: "Bright, tangy rice for any night.",
+  prepTime: 5,
+  cookTime: 20,
+  servings: "4",
+  calories: "310",
+  difficulty: "easy",
+  ingredients: [{ amount: "1 cup", item: "Rice" }],
+  steps: ["Cook the rice."],
+  nutrition: { protein: 6, carbs: 60, fat: 4, fiber: 1 },
+};
+
+/**
+ * Provider returning the same draft on every attempt
+ * @param {object} recipe
+ * @returns {object}
+ */
+const fixedProvider = (recipe) => ({
+  name: "fixed",
+  generateRecipe: async () => recipe,
+});
+
+describe("repairRecipeDraft", () => {
+  it("strips server-controlled fields", () => {
+    const repaired = repairRecipeDraft({
+      ...draft,
+      userId: "someone",
+      isGenerated: false,
+      imageUrl: "https://example.com/a.jpg",
+      nutritionMode: "auto",
+      visibility: "public",
+    });
+
+    for (const field of [
+      "userId",
+      "isGenerated",
+      "imageUrl",
+      "nutritionMode",
+      "visibility",
+    ]) {
+      assert.equal(field in repaired, false, field);
+    }
+    assert.equal(repaired.calories, 310);
+    assert.equal(repaired.prepTime, "5 min");
+  });
+});
+
+describe("generateRecipe", () => {
+  it("rejects a draft without nutrition even if it asks for auto", async () => {
+    const { nutrition, ...withoutNutrition } = draft;
+    await assert.rejects(
+      generateRecipe(
+        {},
+        {
+          provider: fixedProvider({
+            ...withoutNutrition,
+            nutritionMode: "auto",
+          }),
+          maxAttempts: 1,
+        }
+      ),
+      { code: "GENERATION_INVALID_OUTPUT" }
+    );
+  });
+
+  it("returns a draft that passes createRecipeSchema", async () => {
+    const { recipe } = await generateRecipe(
+      {},
+      { provider: fixedProvider(draft), maxAttempts: 1 }
+    );
+    assert.equal(createRecipeSchema.safeParse(recipe).success, true);
+    assert.equal("nutritionMode" in recipe, false);
+  });
+
+  it("does not let the model choose the visibility", async () => {
+    const { recipe } = await generateRecipe(
+      {},
+      {
+        provider: fixedProvider({ ...draft, visibility: "public" }),
+        maxAttempts: 1,
+      }
+    );
+    assert.equal("visibility" in recipe, false);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildDietarySearchConditions,
+  deriveRecipeLabels,
+} from "../../src/services/recipeLabels.js";
+import { buildConstraintMatchers } from "../../src/services/allergens.js";
+
+describe("buildDietarySearchConditions", () => {
+  it("matches unknown allergies by their normalized name", () => {
+    const [condition] = buildDietarySearchConditions({
+      allergies: ["Kiwi allergy"],
+    });
+    const pattern = condition["ingredients.item"].$not;
+
+    assert.ok(pattern.test("Sliced kiwi"));
+    assert.ok(pattern.test("Kiwis"));
+    assert.equal(
+      pattern.source,
+      buildConstraintMatchers({ allergies: ["Kiwi allergy"] })[0].terms[0]
+        .pattern.source
+    );
+  });
+
+  it("excludes known allergies by derived label", () => {
+    assert.deepEqual(
+      buildDietarySearchConditions({ allergies: ["Peanut allergy"] }),
+      [{ allergens: { $nin: ["peanut"] } }]
+    );
+  });
+});
+
+describe("deriveRecipeLabels", () => {
+  it("does not label cheese dishes vegan or dairy-free", () => {
+    const { allergens, dietLabels } = deriveRecipeLabels({
+      ingredients: [
+        { amount: "100 g", item: "Gruyere" },
+        { amount: "1 wheel", item: "Brie" },
+      ],
+    });
+
+    assert.deepEqual(allergens, ["dairy"]);
+    assert.ok(!dietLabels.includes("vegan"));
+    assert.ok(!dietLabels.includes("dairy-free"));
+    assert.ok(dietLabels.includes("vegetarian"));
+  });
+});
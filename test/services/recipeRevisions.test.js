@@ -0,0 +1,250 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RecipeRevision } from "../../src/models/index.js";
+import {
+  REVISION_FIELDS,
+  snapshotRecipe,
+  changedFields,
+  diffSnapshots,
+  recordRevision,
+} from "../../src/services/recipeRevisions.js";
+
+const original = {
+  _id: "665f1c2e8a1b2c3d4e5f6a7b",
+  userId: "owner-uid",
+  visibility: "public",
+  averageRating: 4.5,
+  title: "Soup",
+  servings: 2,
+  tags: ["Lunch"],
+  nutrition: { protein: "5g", carbs: "10g", fat: "1g", fiber: "2g" },
+  ingredients: [
+    { amount: "1", item: "Onion", quantity: 1, name: "onion" },
+    { amount: "2 cups", item: "Stock" },
+  ],
+  steps: [
+    { number: 1, title: "Chop", description: "Chop." },
+    { number: 2, title: "Simmer", description: "Simmer." },
+  ],
+};
+
+const edited = {
+  ...original,
+  title: "Onion Soup",
+  tags: ["Lunch", "Vegan"],
+  nutrition: { ...original.nutrition, protein: "6g" },
+  ingredients: [
+    { amount: "2", item: "Onion" },
+    { amount: "2 cups", item: "Stock" },
+  ],
+  steps: [
+    { number: 1, title: "Prep", description: "Wash." },
+    { number: 2, title: "Chop", description: "Chop." },
+    { number: 3, title: "Simmer", description: "Simmer." },
+  ],
+};
+
+describe("snapshotRecipe", () => {
+  it("keeps only submitted content fields", () => {
+    const snapshot = snapshotRecipe(original);
+
+    assert.deepEqual(Object.keys(snapshot), [
+      "title",
+      "servings",
+      "tags",
+      "nutrition",
+      "ingredients",
+      "steps",
+    ]);
+    assert.deepEqual(snapshot.ingredients[0], { amount: "1", item: "Onion" });
+  });
+});
+
+describe("changedFields", () => {
+  it("lists content fields that differ", () => {
+    assert.deepEqual(
+      changedFields(snapshotRecipe(original), snapshotRecipe(edited)),
+      ["title", "tags", "nutrition", "ingredients", "steps"]
+    );
+  });
+
+  it("ignores derived fields, ownership and visibility", () => {
+    const reparsed = { ...original, visibility: "private", averageRating: 2 };
+    assert.deepEqual(
+      changedFields(snapshotRecipe(original), snapshotRecipe(reparsed)),
+      []
+    );
+  });
+});
+
+describe("diffSnapshots", () => {
+  const diff = diffSnapshots(snapshotRecipe(original), snapshotRecipe(edited));
+  const byField = Object.fromEntries(
+    diff.map((change) => [change.field, change])
+  );
+
+  it("reports values and individual nutrients", () => {
+    assert.deepEqual(byField.title, {
+      field: "title",
+      type: "value",
+      from: "Soup",
+      to: "Onion Soup",
+    });
+    assert.deepEqual(byField["nutrition.protein"], {
+      field: "nutrition.protein",
+      type: "value",
+      from: "5g",
+      to: "6g",
+    });
+    assert.equal("nutrition.carbs" in byField, false);
+  });
+
+  it("pairs a removal and an addition in place as a change", () => {
+    assert.deepEqual(byField.ingredients.changed, [
+      {
+        fromIndex: 0,
+        toIndex: 0,
+        from: { amount: "1", item: "Onion" },
+        to: { amount: "2", item: "Onion" },
+      },
+    ]);
+    assert.deepEqual(byField.ingredients.added, []);
+    assert.deepEqual(byField.ingredients.removed, []);
+  });
+
+  it("does not report renumbered steps after an insertion", () => {
+    assert.deepEqual(byField.steps.added, [
+      {
+        index: 0,
+        value: { number: 1, title: "Prep", description: "Wash." },
+      },
+    ]);
+    assert.deepEqual(byField.steps.changed, []);
+    assert.deepEqual(byField.tags.added, [{ index: 1, value: "Vegan" }]);
+  });
+
+  it("reports removed list items and cleared values", () => {
+    const trimmed = { ...original, tags: [], servings: undefined };
+    const changes = diffSnapshots(
+      snapshotRecipe(original),
+      snapshotRecipe(trimmed)
+    );
+
+    assert.deepEqual(changes, [
+      { field: "servings", type: "value", from: 2, to: null },
+      {
+        field: "tags",
+        type: "list",
+        added: [],
+        removed: [{ index: 0, value: "Lunch" }],
+        changed: [],
+      },
+    ]);
+  });
+
+  it("is empty for identical snapshots", () => {
+    assert.deepEqual(
+      diffSnapshots(snapshotRecipe(edited), snapshotRecipe(edited)),
+      []
+    );
+  });
+});
+
+describe("reverting to a snapshot", () => {
+  it("restores every content field, clearing ones the snapshot lacks", () => {
+    const target = snapshotRecipe(original);
+    const restored = { ...edited, subtitle: "Added later" };
+    for (const field of REVISION_FIELDS) restored[field] = target[field];
+
+    assert.equal(restored.subtitle, undefined);
+    assert.deepEqual(changedFields(target, snapshotRecipe(restored)), []);
+  });
+});
+
+describe("recordRevision", () => {
+  /**
+   * Saved-document stand-in for recordRevision
+   * @param {object} data
+   * @returns {object}
+   */
+  const savedRecipe = (data) => ({ ...data, toObject: () => data });
+
+  /**
+   * Replace RecipeRevision reads and writes with an in-memory history
+   * @param {import("node:test").TestContext} t
+   * @param {object} options
+   * @param {number[]} options.stored - Revision numbers already stored
+   * @param {number} [options.conflicts] - Inserts rejected with E11000 first
+   * @returns {object[][]} Batches passed to insertMany
+   */
+  const fakeHistory = (t, { stored, conflicts = 0 }) => {
+    const batches = [];
+    t.mock.method(RecipeRevision, "findOne", () => {
+      const latest = stored.length ? { revision: Math.max(...stored) } : null;
+      const query = {
+        sort: () => query,
+        select: () => query,
+        lean: async () => latest,
+      };
+      return query;
+    });
+    t.mock.method(RecipeRevision, "insertMany", async (revisions) => {
+      batches.push(revisions);
+      if (conflicts > 0) {
+        conflicts -= 1;
+        // A concurrent edit took the number first
+        stored.push(revisions[0].revision);
+        throw Object.assign(new Error("E11000 duplicate key"), {
+          code: 11000,
+        });
+      }
+      stored.push(...revisions.map((revision) => revision.revision));
+      return revisions;
+    });
+    return batches;
+  };
+
+  it("stores the original as revision 1 on the first change", async (t) => {
+    const batches = fakeHistory(t, { stored: [] });
+    const revision = await recordRevision(original, savedRecipe(edited), {
+      userId: "owner-uid",
+    });
+
+    assert.deepEqual(
+      batches[0].map(({ revision: number, action }) => [number, action]),
+      [
+        [1, "initial"],
+        [2, "update"],
+      ]
+    );
+    assert.equal(revision.revision, 2);
+  });
+
+  it("takes the next free number when a concurrent edit wins", async (t) => {
+    const batches = fakeHistory(t, { stored: [4], conflicts: 1 });
+    const revision = await recordRevision(original, savedRecipe(edited), {
+      userId: "owner-uid",
+    });
+
+    assert.deepEqual(
+      batches.map((batch) => batch.map((entry) => entry.revision)),
+      [[5], [6]]
+    );
+    assert.equal(revision.revision, 6);
+  });
+
+  it("skips unchanged content and gives up after repeated conflicts", async (t) => {
+    fakeHistory(t, { stored: [1], conflicts: 10 });
+
+    assert.equal(
+      await recordRevision(original, savedRecipe(original), {
+        userId: "owner-uid",
+      }),
+      null
+    );
+    await assert.rejects(
+      recordRevision(original, savedRecipe(edited), { userId: "owner-uid" }),
+      { code: 11000 }
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { scaleRecipe } from "../../src/services/recipeScaling.js";
+
+const recipe = (ingredients, extra = {}) => ({
+  servings: 4,
+  calories: 300,
+  nutrition: { protein: "18g", carbs: "30g", fat: "10.5g", fiber: "3g" },
+  ingredients: ingredients.map(([amount, item]) => ({ amount, item })),
+  ...extra,
+});
+
+/**
+ * Scaled ingredient by name
+ * @param {object} scaled
+ * @param {string} item
+ * @returns {object}
+ */
+const ingredient = (scaled, item) =>
+  scaled.ingredients.find((entry) => entry.item === item);
+
+describe("scaleRecipe", () => {
+  it("renders scaled amounts as kitchen fractions", () => {
+    const scaled = scaleRecipe(
+      recipe([
+        ["1 1/2 cups", "Flour"],
+        ["1/3 cup", "Sugar"],
+        ["2-3", "Eggs"],
+        ["1", "Red bell pepper"],
+      ]),
+      6
+    );
+
+    assert.equal(ingredient(scaled, "Flour").amount, "2 1/4 cups");
+    assert.equal(ingredient(scaled, "Sugar").amount, "1/2 cup");
+    assert.equal(ingredient(scaled, "Eggs").amount, "3-4 1/2");
+    assert.equal(ingredient(scaled, "Eggs").quantityMax, 4.5);
+    assert.equal(ingredient(scaled, "Red bell pepper").amount, "1 1/2");
+    assert.deepEqual(scaled.scaling, {
+      originalServings: 4,
+      servings: 6,
+      factor: 1.5,
+    });
+  });
+
+  it("flags seasonings, leaveners and unmeasured amounts", () => {
+    const scaled = scaleRecipe(
+      recipe([
+        ["1 tsp", "Salt"],
+        ["2 tsp", "Baking powder"],
+        ["to taste", "Black pepper"],
+        ["a pinch", "Nutmeg"],
+        ["1", "Red bell pepper"],
+      ]),
+      8
+    );
+
+    assert.match(ingredient(scaled, "Salt").scalingNote, /^Seasoning/);
+    assert.equal(ingredient(scaled, "Salt").amount, "2 tsp");
+    assert.match(ingredient(scaled, "Baking powder").scalingNote, /^Leavening/);
+    assert.equal(ingredient(scaled, "Black pepper").amount, "to taste");
+    assert.match(ingredient(scaled, "Black pepper").scalingNote, /^Not scaled/);
+    assert.match(ingredient(scaled, "Nutmeg").scalingNote, /^Seasoning/);
+    assert.equal("scalingNote" in ingredient(scaled, "Red bell pepper"), false);
+  });
+
+  it("scales quantified shopping list items only", () => {
+    const scaled = scaleRecipe(
+      recipe([], {
+        shoppingList: [
+          { category: "Produce", items: ["2 chicken breasts", "Fresh herbs"] },
+        ],
+      }),
+      8
+    );
+
+    assert.deepEqual(scaled.shoppingList[0].items, [
+      "4 chicken breasts",
+      "Fresh herbs",
+    ]);
+  });
+
+  it("totals per-serving nutrition for the batch", () => {
+    const scaled = scaleRecipe(
+      recipe([], {
+        nutrition: { protein: "18g", carbs: "30g", fat: "10.5g", fiber: "3g" },
+        nutritionValues: { protein: 20 },
+      }),
+      6
+    );
+
+    // Per-serving values stay as stored
+    assert.equal(scaled.calories, 300);
+    assert.deepEqual(scaled.totalNutrition, {
+      calories: 1800,
+      protein: "120g",
+      carbs: "180g",
+      fat: "63g",
+      fiber: "18g",
+    });
+  });
+});
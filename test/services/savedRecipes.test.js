@@ -0,0 +1,134 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { SavedRecipe } from "../../src/models/index.js";
+import { listSavedRecipes } from "../../src/services/savedRecipes.js";
+
+const query = (overrides = {}) => ({
+  sortBy: "savedAt",
+  limit: 2,
+  ...overrides,
+});
+
+/**
+ * Aggregated saved recipe as the pipeline returns it
+ * @param {*} sortValue
+ * @param {string} id
+ * @returns {object}
+ */
+const row = (sortValue, id) => ({
+  _id: new mongoose.Types.ObjectId(id),
+  userId: "user-uid",
+  savedAt: new Date("2026-01-01T00:00:00Z"),
+  rating: 4,
+  sortValue,
+  recipe: {
+    _id: new mongoose.Types.ObjectId(),
+    title: "Soup",
+    totalTimeMinutes: 30,
+  },
+});
+
+/**
+ * Replace SavedRecipe.aggregate, recording the pipelines it receives
+ * @param {import("node:test").TestContext} t
+ * @param {object[]} rows - Page rows, including the one-extra lookahead
+ * @returns {object[][]} Pipelines passed to aggregate
+ */
+const fakeAggregate = (t, rows) => {
+  const pipelines = [];
+  t.mock.method(SavedRecipe, "aggregate", async (pipeline) => {
+    pipelines.push(pipeline);
+    return [{ recipes: rows, total: [{ count: 5 }] }];
+  });
+  return pipelines;
+};
+
+// The keyset condition applied before sorting a page
+const cursorMatch = (pipeline) => pipeline.at(-1).$facet.recipes[0].$match;
+
+describe("listSavedRecipes cursors", () => {
+  const savedAt = "2026-03-01T12:00:00.000Z";
+  const lastId = "665f1c2e8a1b2c3d4e5f6a02";
+
+  it("resumes after the last row, breaking sort ties by _id", async (t) => {
+    const pipelines = fakeAggregate(t, [
+      row(new Date("2026-03-02T00:00:00Z"), "665f1c2e8a1b2c3d4e5f6a01"),
+      row(new Date(savedAt), lastId),
+      row(new Date(savedAt), "665f1c2e8a1b2c3d4e5f6a00"),
+    ]);
+
+    const first = await listSavedRecipes("user-uid", query());
+    assert.equal(first.recipes.length, 2);
+    assert.equal(first.hasMore, true);
+    assert.equal(first.totalCount, 5);
+
+    await listSavedRecipes("user-uid", query({ cursor: first.nextCursor }));
+    assert.deepEqual(cursorMatch(pipelines[1]), {
+      $or: [
+        { sortValue: { $lt: new Date(savedAt) } },
+        {
+          sortValue: new Date(savedAt),
+          _id: { $lt: new mongoose.Types.ObjectId(lastId) },
+        },
+      ],
+    });
+  });
+
+  it("pages ascending sorts forward from the cursor", async (t) => {
+    const pipelines = fakeAggregate(t, [
+      row(20, "665f1c2e8a1b2c3d4e5f6a01"),
+      row(30, lastId),
+      row(30, "665f1c2e8a1b2c3d4e5f6a03"),
+    ]);
+    const sort = { sortBy: "totalTime" };
+
+    const first = await listSavedRecipes("user-uid", query(sort));
+    await listSavedRecipes(
+      "user-uid",
+      query({ ...sort, cursor: first.nextCursor })
+    );
+
+    assert.deepEqual(cursorMatch(pipelines[1]), {
+      $or: [
+        { sortValue: { $gt: 30 } },
+        {
+          sortValue: 30,
+          _id: { $gt: new mongoose.Types.ObjectId(lastId) },
+        },
+      ],
+    });
+    assert.deepEqual(pipelines[1].at(-1).$facet.recipes.slice(1), [
+      { $sort: { sortValue: 1, _id: 1 } },
+      { $limit: 3 },
+    ]);
+  });
+
+  it("ends pagination on the last page", async (t) => {
+    fakeAggregate(t, [row(new Date(savedAt), lastId)]);
+    const page = await listSavedRecipes("user-uid", query());
+
+    assert.equal(page.hasMore, false);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it("rejects cursors from another sort or that are malformed", async (t) => {
+    fakeAggregate(t, [
+      row(new Date(savedAt), "665f1c2e8a1b2c3d4e5f6a01"),
+      row(new Date(savedAt), lastId),
+      row(new Date(savedAt), "665f1c2e8a1b2c3d4e5f6a00"),
+    ]);
+    const { nextCursor } = await listSavedRecipes("user-uid", query());
+
+    for (const rejected of [
+      query({ cursor: nextCursor, sortOrder: "asc" }),
+      query({ cursor: nextCursor, sortBy: "rating" }),
+      query({ cursor: "not-a-cursor" }),
+    ]) {
+      await assert.rejects(listSavedRecipes("user-uid", rejected), {
+        status: 400,
+        code: "INVALID_CURSOR",
+      });
+    }
+  });
+});
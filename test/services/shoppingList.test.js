@@ -0,0 +1,152 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  aggregateIngredients,
+  groupByCategory,
+  resolveItemCategory,
+} from "../../src/services/shoppingList.js";
+
+const recipe = (id, servings, ingredients, extra = {}) => ({
+  _id: id,
+  title: id,
+  servings,
+  ingredients: ingredients.map(([amount, item]) => ({ amount, item })),
+  ...extra,
+});
+
+/**
+ * Aggregated items for a name
+ * @param {object[]} items
+ * @param {string} name
+ * @returns {object[]}
+ */
+const named = (items, name) => items.filter((item) => item.name === name);
+
+describe("aggregateIngredients", () => {
+  it("sums the same ingredient across recipes and units", () => {
+    const items = aggregateIngredients([
+      { recipe: recipe("A", 2, [["200 g", "Chicken breast"]]) },
+      { recipe: recipe("B", 4, [["1 lb", "Chicken breasts"]]), servings: 2 },
+    ]);
+
+    const [chicken] = named(items, "chicken breast");
+    assert.equal(chicken.amount, "425 g");
+    assert.equal(chicken.unit, "g");
+    assert.deepEqual(
+      chicken.recipes.map((source) => source.title),
+      ["A", "B"]
+    );
+  });
+
+  it("tidies summed volumes into a readable unit", () => {
+    const items = aggregateIngredients([
+      { recipe: recipe("A", 1, [["2 tbsp", "Olive oil"]]) },
+      { recipe: recipe("B", 1, [["2 tbsp", "Olive oil"]]) },
+    ]);
+
+    assert.equal(named(items, "olive oil")[0].amount, "1/4 cup");
+  });
+
+  it("keeps incompatible units apart", () => {
+    const items = aggregateIngredients([
+      {
+        recipe: recipe("A", 1, [
+          ["2 tbsp", "Butter"],
+          ["2 cloves", "Garlic"],
+        ]),
+      },
+      {
+        recipe: recipe("B", 1, [
+          ["1 stick", "Butter"],
+          ["1 tsp", "Garlic"],
+        ]),
+      },
+    ]);
+
+    assert.deepEqual(
+      named(items, "butter").map((item) => item.amount),
+      ["2 tbsp", "1 stick"]
+    );
+    assert.deepEqual(
+      named(items, "garlic").map((item) => item.amount),
+      ["2 cloves", "1 tsp"]
+    );
+  });
+
+  it("sums counts and ranges", () => {
+    const items = aggregateIngredients([
+      {
+        recipe: recipe("A", 1, [
+          ["1", "Onion, diced"],
+          ["2-3", "Carrots"],
+        ]),
+      },
+      {
+        recipe: recipe("B", 1, [
+          ["2", "Onions"],
+          ["1", "Carrot"],
+        ]),
+      },
+    ]);
+
+    assert.equal(named(items, "onion")[0].amount, "3");
+    assert.equal(named(items, "carrot")[0].amount, "3-4");
+  });
+
+  it("folds unmeasured amounts into a measured one", () => {
+    const items = aggregateIngredients([
+      { recipe: recipe("A", 1, [["to taste", "Salt"]]) },
+      { recipe: recipe("B", 1, [["1 tsp", "Salt"]]) },
+    ]);
+
+    const salt = named(items, "salt");
+    assert.equal(salt.length, 1);
+    assert.equal(salt[0].amount, "1 tsp");
+    assert.equal(salt[0].recipes.length, 2);
+  });
+
+  it("prefers the recipe's own shopping list category", () => {
+    const items = aggregateIngredients([
+      {
+        recipe: recipe(
+          "A",
+          1,
+          [
+            ["1 cup", "Milk"],
+            ["2", "Tortillas"],
+          ],
+          {
+            shoppingList: [{ category: "Frozen", items: ["2 tortillas"] }],
+          }
+        ),
+      },
+    ]);
+
+    assert.equal(named(items, "milk")[0].category, "Dairy & Eggs");
+    assert.equal(named(items, "tortilla")[0].category, "Frozen");
+  });
+});
+
+describe("resolveItemCategory", () => {
+  it("uses a store category, the user's category or a guess", () => {
+    assert.equal(resolveItemCategory("Cheddar", "dairy"), "Dairy & Eggs");
+    assert.equal(resolveItemCategory("Paper towels", "Household"), "Household");
+    assert.equal(resolveItemCategory("Apples"), "Produce");
+  });
+});
+
+describe("groupByCategory", () => {
+  it("orders store categories first, then custom ones", () => {
+    const groups = groupByCategory([
+      { name: "milk", category: "Dairy & Eggs" },
+      { name: "foil", category: "Household" },
+      { name: "apple", category: "Produce" },
+      { name: "mystery" },
+    ]);
+
+    assert.deepEqual(
+      groups.map((group) => group.category),
+      ["Produce", "Dairy & Eggs", "Other", "Household"]
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { transformRecipe } from "../../src/services/substitutions.js";
+
+const recipe = (ingredients, extra = {}) => ({
+  _id: "665f1c2e8a1b2c3d4e5f6a7b",
+  userId: "owner-uid",
+  title: "Buttermilk Pancakes",
+  description: "Fluffy pancakes for the weekend.",
+  prepTime: "10 min",
+  cookTime: "15 min",
+  servings: 4,
+  calories: 350,
+  difficulty: "Easy",
+  tags: ["Breakfast"],
+  visibility: "public",
+  forkCount: 3,
+  ratingTotal: 18,
+  reviewCount: 4,
+  averageRating: 4.5,
+  totalTimeMinutes: 25,
+  nutritionValues: { protein: 8 },
+  allergens: ["dairy"],
+  dietLabels: ["vegetarian"],
+  nutrition: { protein: "8g", carbs: "40g", fat: "10g", fiber: "2g" },
+  ingredients: ingredients.map(([amount, item]) => ({
+    amount,
+    item,
+    quantity: 1,
+    name: item.toLowerCase(),
+  })),
+  steps: [
+    { number: 1, title: "Mix", description: "Whisk the flour and buttermilk." },
+  ],
+  ...extra,
+});
+
+describe("transformRecipe", () => {
+  it("builds the draft from content fields only", () => {
+    const { draft } = transformRecipe(
+      recipe([
+        ["2 cups", "Flour"],
+        ["1 cup", "Buttermilk"],
+      ]),
+      "dairy-free"
+    );
+
+    for (const field of [
+      "_id",
+      "userId",
+      "visibility",
+      "forkCount",
+      "ratingTotal",
+      "reviewCount",
+      "averageRating",
+      "totalTimeMinutes",
+      "nutritionValues",
+    ]) {
+      assert.equal(field in draft, false, field);
+    }
+    assert.equal(draft.title, "Buttermilk Pancakes");
+    assert.deepEqual(draft.ingredients[0], { amount: "2 cups", item: "Flour" });
+  });
+
+  it("tags the diet when every ingredient was swapped", () => {
+    const { draft, unresolved } = transformRecipe(
+      recipe([
+        ["2 cups", "Flour"],
+        ["1 cup", "Buttermilk"],
+      ]),
+      "dairy-free"
+    );
+
+    assert.deepEqual(unresolved, []);
+    assert.ok(draft.dietLabels.includes("dairy-free"));
+    assert.deepEqual(draft.tags, ["Breakfast", "dairy-free"]);
+    assert.doesNotMatch(draft.steps[0].description, /buttermilk/i);
+  });
+
+  it("does not tag the diet when an ingredient is unresolved", () => {
+    const { draft, unresolved } = transformRecipe(
+      recipe([
+        ["2 cups", "Flour"],
+        ["8 oz", "Salmon fillet"],
+      ]),
+      "vegetarian"
+    );
+
+    assert.equal(unresolved.length, 1);
+    assert.equal(draft.dietLabels.includes("vegetarian"), false);
+    assert.deepEqual(draft.tags, ["Breakfast"]);
+  });
+});
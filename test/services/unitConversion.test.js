@@ -0,0 +1,97 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { convertRecipeUnits } from "../../src/services/unitConversion.js";
+
+const recipe = (ingredients, extra = {}) => ({
+  calories: 300,
+  ingredients: ingredients.map(([amount, item]) => ({ amount, item })),
+  ...extra,
+});
+
+/**
+ * Converted amounts by ingredient name
+ * @param {object} converted
+ * @returns {object}
+ */
+const amounts = (converted) =>
+  Object.fromEntries(
+    converted.ingredients.map((entry) => [entry.item, entry.amount])
+  );
+
+describe("convertRecipeUnits", () => {
+  it("returns the recipe as is without a system", () => {
+    const original = recipe([["2 cups", "Flour"]]);
+    assert.equal(convertRecipeUnits(original, null), original);
+  });
+
+  it("weighs dry staples and converts other amounts for metric", () => {
+    const converted = convertRecipeUnits(
+      recipe([
+        ["2 cups", "All-purpose flour"],
+        ["1 cup", "Milk"],
+        ["1 tbsp", "Olive oil"],
+        ["1 1/2 lb", "Beef"],
+        ["2-3 cups", "Broth"],
+        ["1 can (15 oz)", "Chickpeas"],
+      ]),
+      "metric"
+    );
+
+    assert.deepEqual(amounts(converted), {
+      "All-purpose flour": "250 g",
+      Milk: "235 ml",
+      "Olive oil": "1 tbsp",
+      Beef: "680 g",
+      Broth: "475-710 ml",
+      Chickpeas: "1 can (15 oz)",
+    });
+    assert.equal(converted.ingredients[0].originalAmount, "2 cups");
+    assert.equal("originalAmount" in converted.ingredients[2], false);
+    assert.equal(converted.measurementSystem, "metric");
+  });
+
+  it("uses the density table for weighed ingredients in imperial", () => {
+    const converted = convertRecipeUnits(
+      recipe([
+        ["250 g", "Sugar"],
+        ["125 g", "Flour"],
+        ["500 g", "Chicken breast"],
+        ["200 ml", "Cream"],
+      ]),
+      "imperial"
+    );
+
+    assert.deepEqual(amounts(converted), {
+      Sugar: "1 1/4 cups",
+      Flour: "1 cup",
+      "Chicken breast": "1 1/8 lb",
+      Cream: "7/8 cup",
+    });
+  });
+
+  it("converts steps, shopping items and nutrition", () => {
+    const converted = convertRecipeUnits(
+      recipe([], {
+        steps: [
+          {
+            number: 1,
+            title: "Bake",
+            description: "Bake at 350°F (175°C) for 20 min.",
+          },
+        ],
+        shoppingList: [{ category: "Baking", items: ["2 cups flour", "Salt"] }],
+        nutrition: { protein: "18 g", carbs: "30g", sodium: "0.4g" },
+      }),
+      "metric"
+    );
+
+    assert.equal(converted.steps[0].description, "Bake at 175°C for 20 min.");
+    assert.deepEqual(converted.shoppingList[0].items, ["250 g flour", "Salt"]);
+    assert.deepEqual(converted.nutrition, {
+      protein: "18g",
+      carbs: "30g",
+      sodium: "400mg",
+    });
+    assert.equal(converted.kilojoules, 1255);
+  });
+});
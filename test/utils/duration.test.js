@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseDurationMinutes,
+  formatDuration,
+} from "../../src/utils/duration.js";
+
+describe("parseDurationMinutes", () => {
+  it("parses common free-form durations", () => {
+    const cases = {
+      "15 min": 15,
+      "1 hr 20 mins": 80,
+      "1.5 hours": 90,
+      "1 1/2 hours": 90,
+      "10-15 minutes": 15,
+      "½ hour": 30,
+      45: 45,
+      "1h30m": 90,
+    };
+    for (const [value, minutes] of Object.entries(cases)) {
+      assert.equal(parseDurationMinutes(value), minutes, value);
+    }
+  });
+
+  it("treats a bare number after hours as minutes", () => {
+    assert.equal(parseDurationMinutes("1h30"), 90);
+    assert.equal(parseDurationMinutes("2 hours 30"), 150);
+    assert.equal(parseDurationMinutes("1 hr and 15"), 75);
+  });
+
+  it("does not add bare numbers after minutes", () => {
+    assert.equal(parseDurationMinutes("20 min 5"), 20);
+  });
+
+  it("parses ISO 8601 durations", () => {
+    assert.equal(parseDurationMinutes("PT1H20M"), 80);
+    assert.equal(parseDurationMinutes("P1D"), 1440);
+  });
+
+  it("returns null when no component is found", () => {
+    for (const value of ["PT", "P", "", "soon", null]) {
+      assert.equal(parseDurationMinutes(value), null, String(value));
+    }
+  });
+});
+
+describe("formatDuration", () => {
+  it("formats minutes for display", () => {
+    assert.equal(formatDuration(80), "1 hr 20 min");
+    assert.equal(formatDuration(60), "1 hr");
+    assert.equal(formatDuration(5), "5 min");
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  splitAmount,
+  parseAmount,
+  formatAmount,
+} from "../../src/utils/ingredients.js";
+
+describe("splitAmount", () => {
+  it("splits quantity, unit and remainder", () => {
+    assert.deepEqual(splitAmount("1 can (15 oz)"), {
+      quantity: 1,
+      quantityMax: null,
+      unit: "can",
+      remainder: "(15 oz)",
+    });
+    assert.deepEqual(splitAmount("a pinch"), {
+      quantity: 1,
+      quantityMax: null,
+      unit: "pinch",
+      remainder: "",
+    });
+  });
+
+  it("consumes the period after an abbreviated unit", () => {
+    assert.deepEqual(splitAmount("1 c. sugar"), {
+      quantity: 1,
+      quantityMax: null,
+      unit: "cup",
+      remainder: "sugar",
+    });
+    assert.equal(splitAmount("2 tbsp.").remainder, "");
+    assert.equal(splitAmount("1 lb. (450 g)").remainder, "(450 g)");
+    assert.equal(splitAmount("8 fl. oz. milk").unit, "fl oz");
+    assert.equal(splitAmount("8 fl. oz. milk").remainder, "milk");
+  });
+
+  it("keeps case-sensitive spoon abbreviations apart", () => {
+    assert.equal(parseAmount("1 T.").unit, "tbsp");
+    assert.equal(parseAmount("1 t.").unit, "tsp");
+  });
+
+  it("round-trips through formatAmount without a stray period", () => {
+    assert.equal(
+      formatAmount(splitAmount("1 1/2 c. flour")),
+      "1 1/2 cups flour"
+    );
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  convertTemperature,
+  convertTemperaturesInText,
+} from "../../src/utils/units.js";
+
+describe("convertTemperature", () => {
+  it("snaps oven temperatures to dial steps", () => {
+    assert.equal(convertTemperature(350, "F"), 180);
+    assert.equal(convertTemperature(425, "F"), 220);
+    assert.equal(convertTemperature(180, "C"), 350);
+    assert.equal(convertTemperature(200, "C"), 400);
+  });
+
+  it("rounds other temperatures to the degree", () => {
+    assert.equal(convertTemperature(40, "C"), 104);
+    assert.equal(convertTemperature(100, "F"), 38);
+  });
+});
+
+describe("convertTemperaturesInText", () => {
+  it("rewrites temperatures to the requested scale", () => {
+    assert.equal(
+      convertTemperaturesInText("Bake at 400°F, then at 350F.", "metric"),
+      "Bake at 200°C, then at 180°C."
+    );
+    assert.equal(
+      convertTemperaturesInText("Heat to 180 degrees Celsius.", "imperial"),
+      "Heat to 350°F."
+    );
+  });
+
+  it("keeps the requested scale of a pair", () => {
+    assert.equal(
+      convertTemperaturesInText("Bake at 350°F (175°C).", "metric"),
+      "Bake at 175°C."
+    );
+    assert.equal(
+      convertTemperaturesInText("Bake at 180°C/350°F.", "imperial"),
+      "Bake at 350°F."
+    );
+  });
+
+  it("leaves lower-case unit letters and other scales alone", () => {
+    assert.equal(
+      convertTemperaturesInText("Add 2c flour at 350°F.", "imperial"),
+      "Add 2c flour at 350°F."
+    );
+    assert.equal(convertTemperaturesInText(undefined, "metric"), undefined);
+  });
+});